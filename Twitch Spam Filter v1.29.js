@@ -0,0 +1,5942 @@
+// ==UserScript==
+// @name         Twitch Spam Filter
+// @namespace    https://github.com/Runkel79/advanced-twitch-spam-filter
+// @version      1.29
+// @description  Advanced Twitch chat spam filter with debug overlay, whitelist, and Ignore Replies.
+// @description:de Erweiterter Twitch-Chat-Spamfilter mit Debug-Overlay, Whitelist und „Antworten ignorieren“.
+// @match        https://www.twitch.tv/*
+// @grant        none
+// @run-at       document-idle
+// ==/UserScript==
+
+/*
+================================================================================
+                           TWITCH SPAM FILTER - USAGE
+================================================================================
+
+This script automatically filters spam messages in Twitch chat based on
+various detection methods. It detects:
+
+• Too many emotes per message
+• Too high emote density (percentage display in debug window)
+• Emote series (same emotes in a row)
+• Emote trains (same emote combinations from multiple users, in any order or slightly changed)
+• ASCII/Braille art
+• Zalgo text (letters with stacked combining marks), optionally cleaned instead of hidden
+• Repeated messages (exact and similar)
+• Message floods (one user posting too fast, even with different messages)
+• Mass mentions (many @names at once, over time, or of users who are not in chat)
+• Copy/paste spam between different users
+• Text in capital letters (share of capitals, also umlauts, Cyrillic and Greek)
+• Excessive repetition of characters, emoji, words and phrases (e.g., "GYATTTTT", "xd xd xd xd")
+• Emote names typed as plain text, via a per-channel emote dictionary
+• Blocked terms (keywords, whole words, wildcards and regexes)
+• Links to denied domains and disguised links ("xyz dot com"), optionally all links
+• Stricter thresholds for first-time chatters
+• Optional: a local Bayes classifier trained with your own ✓/✗ feedback
+
+================================================================================
+                                USAGE
+================================================================================
+
+F9 KEY:
+- Toggles the debug overlay on/off
+- Useful for quick show/hide during streaming
+
+DRAG & DROP:
+- The debug overlay can be moved with the mouse
+- Click and drag it to the desired position on screen
+
+LANGUAGE:
+- The overlay, log and rule reasons are shown in English or German
+- "Auto" (default) follows the language of the Twitch website (<html lang>)
+- The language selector in the overlay header overrides it; the choice is saved
+
+DEBUG OVERLAY FUNCTIONS:
+• Shows all filtered messages in real-time
+• Detailed information about filter rules and thresholds
+• Color highlighting: Green = set value, Red = reached value
+• Buttons to turn filter and marking on/off
+• Minimizable for better overview
+• Counter for processed messages
+
+IGNORE REPLIES:
+- When enabled, messages that are threaded replies (e.g., "Replying to …") are skipped by the filter
+- Helps keep threaded conversations intact and avoids over-filtering
+- Toggle via the overlay button: "Ignore Replies"
+
+FLOOD / HYPE MODE:
+- Every user has a budget of FLOOD_BURST messages (default 5) that refills with FLOOD_RATE messages
+  per second (default 0.5); a message over budget is spam, the log shows the user's rate (messages/s)
+- The "Hype mode" button multiplies both values by FLOOD_HYPE_MULTIPLIER (default 3) for raids and
+  big moments; it switches itself off after HYPE_MODE_DURATION_MS (default 5 minutes) and is not saved
+
+MENTIONS:
+- A message that mentions more than MAX_MENTIONS different users (default 4) is spam, as is a user who
+  mentions more than MAX_MENTIONS_PER_WINDOW users (default 8) within MENTION_WINDOW_MS (default 1 minute)
+- Mentioning more than MAX_UNKNOWN_MENTIONS users (default 2) who have not written in chat for
+  MENTION_CHATTER_WINDOW_MS (default 10 minutes) is spam; this starts one minute after the chat is opened
+- Mentions of the channel owner and of whitelisted users are not counted
+  (MENTION_EXEMPT_BROADCASTER, MENTION_EXEMPT_WHITELIST)
+
+PRIVILEGED USERS (automatic detection):
+- Messages from moderators, the broadcaster (channel owner), VIPs, staff/partners/verified accounts, whitelisted users, and common/verified bots are never filtered
+- Detection relies on robust Twitch DOM signals (user-type attributes, badges, and channel match) plus your `WHITELIST`
+- Such messages are skipped by the filter and shown as "whitelisted" in the debug overlay
+
+FIRST-TIME CHATTERS:
+- Messages that Twitch highlights as "First-time chat" are checked with stricter values:
+  FIRST_TIME_MAX_EMOTES (default 3), FIRST_TIME_BLOCK_LINKS (default on: links to domains that are not
+  allowed are spam) and FIRST_TIME_SIMILARITY_THRESHOLD (default 0.75); a stricter normal value stays
+- Their verdicts are tagged "[first-time chatter]" in the log (ENABLE_FIRST_TIME_RULES)
+- Twitch shows no account age in the chat, so only the first-time marker is used
+
+WHITELIST / BLOCKLIST:
+- Both lists are edited in the settings panel (⚙) and stored per profile
+- Type a login to search the list, press Enter or "Add" to add it, click × to remove an entry
+- Whitelisted users are never filtered; users from `WHITELIST` in the script are always whitelisted
+- Messages from blocklisted users are always treated as spam, no matter what the detection rules say
+
+BLOCKED TERMS:
+- Edited in the settings panel (⚙) below the blocklist and stored per profile
+- Types: "Text" (anywhere in the message), "Whole word", "Wildcard" (* = any characters, ? = one character,
+  matched against whole words) and "Regex" (JavaScript syntax)
+- Every entry is case-insensitive unless "Aa" is ticked, and can expire after 1 hour to 30 days
+- Regexes are checked before they are added: invalid patterns and patterns that take too long
+  (e.g. nested quantifiers like (a+)+) are rejected
+- The rule checks the message text without emotes; the matched term and pattern are shown in the log
+
+LINKS:
+- Links are found in the message text (with or without http://) and in Twitch's link elements;
+  disguised forms such as "xyz dot com", "xyz (.) com" and "x y z . c o m" are recognized as well
+- Domains are normalized before they are compared: lowercase, without "www." and the path,
+  international domains as punycode; a listed domain includes its subdomains
+- "Allowed domains" and "Denied domains" in the settings panel extend LINK_ALLOWLIST and LINK_DENYLIST
+  from the script (per profile). Links to denied domains are always spam, disguised links are spam
+  unless their domain is allowed (ENABLE_LINK_FILTER)
+- BLOCK_ALL_LINKS (off by default, on in the "Strict" preset) treats every link to a domain that is not
+  allowed as spam; privileged users can still post links
+
+TEXT NORMALIZATION:
+- Before any rule runs, every message is normalized once and all rules see the result:
+  invisible characters (zero-width spaces/joiners, bidi marks, ...) are removed, stylized alphabets
+  (fullwidth, 𝐛𝐨𝐥𝐝, 𝓼𝓬𝓻𝓲𝓹𝓽, ⓒⓘⓡⓒⓛⓔⓓ, ꜱᴍᴀʟʟ ᴄᴀᴘꜱ) become plain letters, and Cyrillic/Greek look-alikes
+  inside Latin words are replaced ("frее" with a Cyrillic "е" becomes "free")
+- Words written entirely in Cyrillic or Greek stay as they are; emoji sequences are kept
+- The log notes every message that was changed (grey line with the normalized text)
+
+ZALGO TEXT:
+- Counts the combining marks stacked on each letter; more than MAX_COMBINING_MARKS (default 3) is spam,
+  no matter how short the message is (ENABLE_ZALGO_FILTER)
+- With ZALGO_STRIP_MARKS the marks are removed and the cleaned message stays in the chat instead of
+  being hidden ("Cleaned" in the log); accents that belong to a letter (é) are kept
+
+UPPERCASE:
+- Counts the capital letters among all letters that have upper and lower case, in any script
+  (umlauts, Cyrillic, Greek, ...); emote names and @mentions are left out
+- At least UPPERCASE_MIN_LETTERS letters (default 6) and a share of UPPERCASE_RATIO (default 70%) is spam:
+  "HELLO WORLD lol" is detected, "OK" or "OK that was good" are not
+
+EMOTE DICTIONARY:
+- Every channel has its own list of emote names; words of a message that are on it count as emotes
+  (MAX_EMOTES, emote density, series and trains), even when they arrive as plain text, e.g. in popout
+  chat or before an extension has turned them into images (ENABLE_EMOTE_DICTIONARY)
+- The list learns the names of emote images seen in the channel (EMOTE_DICTIONARY_LEARN); names are
+  case-sensitive, so "KEKW" is an emote and "kekw" is not
+- "Import" in the settings panel adds the names from a JSON file: a list of names or an emote list
+  of BTTV, FFZ or 7TV; "Export" saves the list, "Clear" empties it
+
+EMOTE TRAINS:
+- The same emote combination from GLOBAL_EMOTE_TRAIN_THRESHOLD different users within
+  GLOBAL_EMOTE_SIGNATURE_WINDOW_MS; EMOTE_TRAIN_MODE decides what counts as the same combination:
+  'exact' = same order, 'multiset' (default) = any order ("KEKW Pog LUL" = "LUL Pog KEKW"),
+  'similar' = at least EMOTE_TRAIN_SIMILARITY of the emotes shared (default 70%): "KEKW Pog LUL" and
+  "KEKW Pog LUL Clap" share 3 of 4, so emote walls changed a little per user still form one train
+
+REPETITION:
+- Repeated characters are counted as you see them: an emoji with skin tone or a letter with accent is
+  one character, so five 😂 in a row count as 5 (MAX_CHAR_REPETITION, default 4)
+- The same word more than MAX_WORD_REPETITION times in a row (default 3, case is ignored) is spam:
+  "xd xd xd xd" or "lul LUL lul lul" (ENABLE_REPETITION_FILTER)
+- Repeated phrases are found anywhere in the message, also after other words: "hey chat buy my
+  stuff now buy my stuff now buy my stuff now" (ENABLE_PHRASE_REPEAT_FILTER)
+
+IMPORT / EXPORT:
+- "Export" in the settings panel saves the whole configuration as one JSON file:
+  the three overlay toggles, the language, KNOWN_BOTS, all profiles (settings, whitelist, blocklist, domain lists, blocked terms), channel assignments and user rules
+- "Import" reads such a file; invalid fields are reported in the overlay log and skipped
+- With "merge into current configuration" the file is merged (profiles by name, lists combined)
+  instead of replacing the current configuration; every setting in the file wins, even at its default value
+- Channel assignments to profiles that are neither in the file nor (when merging) present are reported as invalid
+- User rules in the file are code that runs in the page: the import then asks again with a warning
+
+STORAGE:
+- All settings are stored in one localStorage record ("tsf_settings") with a schema version
+- Settings of older versions (tsf_filter_enabled_v1.x, tsf_mark_enabled_v1.x, ...) are imported
+  automatically on the first start and the old keys are removed afterwards
+
+API (window.TSF, for the console and companion scripts):
+- TSF.setFilterEnabled(bool), setMarkEnabled(bool), setIgnoreReplies(bool), setHypeMode(bool), getToggles()
+- TSF.getSettings(), getSetting(key), setSetting(key, value) – thresholds of the active profile
+- TSF.getWhitelist(), addToWhitelist(login), removeFromWhitelist(login) – same for the blocklist
+- TSF.getAllowedDomains(), addAllowedDomain(domain), removeAllowedDomain(domain) – same for getDeniedDomains(),
+  addDeniedDomain(domain), removeDeniedDomain(domain)
+- TSF.getKeywords(), addKeyword({ pattern, type, caseSensitive, expiresIn }), removeKeyword(pattern, type) –
+  blocked terms of the active profile; addKeyword returns a Promise (regexes are timed first)
+- TSF.check(text, { user, emotes, links, firstTime }) runs a text through the rules and returns the verdict
+- TSF.getEmotes(), importEmotes(json), clearEmotes() – emote dictionary of the current channel
+- TSF.getBayesModel(), trainBayes(text, isSpam, emotes), exportBayes(), importBayes(json), resetBayes() –
+  Bayes classifier; trainBayes, importBayes and resetBayes return a Promise
+- TSF.getStats(), resetStats() – processed/filtered/hidden/cleaned/marked/passed/skipped and counts per rule
+- TSF.on('filtered' | 'passed', handler) – handler gets { verdict, node, user, text, emotes, action };
+  returns a function that unsubscribes (window events: tsf:message-filtered, tsf:message-passed)
+- TSF.getRules(), setRuleEnabled(id, bool) – all rules in the order they run
+- TSF.registerRule({ id, check, severity, order, label }) / unregisterRule(id) – rules of other scripts
+  (not saved); check(msg) gets { text, user, emotes, emoteCount, words } and returns a truthy value
+  or { limit, reached, trigger }
+- TSF.addUserRule({ id, label, code, severity, order }) / removeUserRule(id) – like the overlay form
+- Setters validate like the overlay and return an error text, or null on success
+
+RULES / USER RULES:
+- Every rule has an id, an order (built-in rules: 5-130), a severity and the settings it reads;
+  the rules run in ascending order and the first hit decides
+- "User rules" in the settings panel adds your own rules: an expression such as
+  /free followers/i.test(text), or a snippet with `return`. A truthy result marks the message as spam
+- Snippets see text, user, emotes, emoteCount and words; page globals (window, document, fetch, ...)
+  are hidden by name. This only guards against mistakes, it is NO sandbox: the code runs in the page
+  with full access and without a time limit (an endless loop freezes the chat). Only add code you
+  understand, and only import configuration files with user rules from people you trust
+- A user or script rule that throws an error is switched off and reported in the log; a built-in
+  rule that throws only skips that message
+- User rules are stored for all profiles and included in the export
+
+SCORING MODE:
+- With ENABLE_SCORING_MODE all rules run and add up a score instead of the first hit deciding:
+  weight of the rule (low 0.75, medium 1, high 1.25) times reached / limit, at most 2 per rule
+- Values below a limit count from SCORE_NEAR_MISS_RATIO (default 75%) of it, so several near misses
+  add up; hits without a value (blocked terms, links, exact copy/paste, user rules) count 2
+- From SCORE_THRESHOLD (default 1.5) the message is spam; the log names the rule with the highest
+  score and shows what every rule added ("Score 1.61 (threshold 1.5): emote-limit +0.83 (5/6), ...")
+
+BAYES CLASSIFIER:
+- Optional (ENABLE_BAYES_FILTER): learns from your own feedback which words and emotes your chat uses
+  for spam. Every filtered message in the log gets two links: ✓ = correct, this is spam;
+  ✗ = not spam, the message is shown again
+- Once it has seen BAYES_MIN_MESSAGES (default 10) of each kind, a spam probability from
+  BAYES_THRESHOLD (default 95%) is spam; in the scoring mode it adds up like every other rule
+- The model stays in this browser (IndexedDB) and is shared by all profiles; the settings panel shows
+  the words that point most to spam and to not spam, and has "Export", "Import" and "Reset"
+
+================================================================================
+                                SETTINGS
+================================================================================
+
+All settings are located further down in the script in the
+"SETTINGS (adjustable)" section. Each setting has a detailed explanation
+with examples and recommended values directly above it.
+
+SETTINGS PANEL:
+- The ⚙ button in the debug overlay opens a settings panel with every threshold and rule toggle
+- Values are validated (type and allowed range) and applied immediately, no reload needed
+- Changed values are saved in localStorage; the values in the script are the defaults
+- "Reset to preset" discards all changes made since the preset was chosen
+
+PRESETS:
+- "Lenient", "Balanced" (= the values in the script), "Strict" and "Emote-friendly"
+- Choosing a preset in the settings panel sets all thresholds and rule toggles of the current profile at once
+- "● modified" shows that values were changed after choosing the preset; "Diff" lists them in the log
+
+PROFILES (per channel):
+- Settings are stored in named profiles; every channel uses the profile assigned to it, or "Default"
+- The profile bar at the top of the settings panel assigns a profile to the current channel
+- "Copy" creates a new profile from the current one and assigns it to the current channel
+- "Rename"/"Delete" work on the current profile ("Default" cannot be renamed or deleted)
+- Switching channels applies the matching profile immediately
+
+IMPORTANT SETTINGS:
+• WHITELIST: Add your channel name and trusted users here
+• MAX_EMOTES: Maximum emotes per message (default: 6)
+• EMOTE_DENSITY_THRESHOLD: Emote density threshold (default: 0.6 = 60%)
+• SIMILARITY_THRESHOLD: Similarity threshold (default: 0.85)
+
+================================================================================
+*/
+
+/*
+================================================================================
+                         TWITCH SPAM FILTER – ANLEITUNG (DE)
+================================================================================
+
+Dieses Script filtert automatisch Spam im Twitch-Chat anhand verschiedener Erkennungen:
+
+• Zu viele Emotes pro Nachricht
+• Zu hohe Emote-Dichte (Prozentanzeige im Debug-Fenster)
+• Emote-Serien (gleiche Emotes hintereinander)
+• Emote-Züge (gleiche Emote-Kombinationen von mehreren Nutzern, auch umgestellt oder leicht verändert)
+• ASCII/Braille Art
+• Zalgo-Text (Buchstaben mit gestapelten Zeichen), auf Wunsch bereinigt statt versteckt
+• Wiederholte Nachrichten (exakt und ähnlich)
+• Nachrichtenfluten (ein Nutzer schreibt zu schnell, auch mit verschiedenen Nachrichten)
+• Massen-Erwähnungen (viele @Namen auf einmal, über die Zeit oder von Nutzern, die nicht im Chat sind)
+• Copy/Paste zwischen verschiedenen Nutzern
+• Text in Großbuchstaben (Anteil der Großbuchstaben, auch Umlaute, Kyrillisch und Griechisch)
+• Übermäßige Wiederholung von Zeichen, Emojis, Wörtern und Phrasen (z. B. „GYATTTTT“, „xd xd xd xd“)
+• Emote-Namen als reiner Text, über ein Emote-Wörterbuch pro Kanal
+• Gesperrte Begriffe (Text, ganze Wörter, Platzhalter und Regexe)
+• Links zu gesperrten Domains und getarnte Links („xyz dot com“), auf Wunsch alle Links
+• Strengere Schwellwerte für erstmalige Chatter
+• Optional: ein lokaler Bayes-Klassifikator, trainiert mit deinem eigenen ✓/✗-Feedback
+
+================================================================================
+                                BENUTZUNG
+================================================================================
+
+F9-TASTE:
+- Schaltet das Debug-Overlay ein/aus
+- Praktisch zum schnellen Anzeigen/Verstecken während des Streams
+
+DRAG & DROP:
+- Das Debug-Overlay lässt sich mit der Maus verschieben
+- Klicken und ziehen, um es beliebig zu positionieren
+
+SPRACHE:
+- Overlay, Log und Regel-Begründungen werden auf Deutsch oder Englisch angezeigt
+- „Automatisch“ (Standard) folgt der Sprache der Twitch-Seite (<html lang>)
+- Die Sprachauswahl im Overlay-Kopf überschreibt das; die Wahl wird gespeichert
+
+DEBUG-OVERLAY FUNKTIONEN:
+• Zeigt alle gefilterten Nachrichten in Echtzeit
+• Detailinfos zu Filterregeln und Schwellwerten
+• Farbliche Hervorhebung: Grün = Sollwert, Rot = Erreicht
+• Buttons zum Ein/Aus des Filters und der Markierung
+• Minimierbar für bessere Übersicht
+• Zähler für verarbeitete Nachrichten
+
+ANTWORTEN IGNORIEREN (Ignore Replies):
+- Wenn aktiviert, werden Antworten („Replying to …“) vom Filter übersprungen
+- Hält Thread-Konversationen intakt und verhindert Überfilterung
+- Umschalten über den Overlay-Button: „Antworten ignorieren“
+
+FLOOD / HYPE-MODUS:
+- Jeder Nutzer hat ein Budget von FLOOD_BURST Nachrichten (Standard 5), das sich mit FLOOD_RATE Nachrichten
+  pro Sekunde (Standard 0,5) wieder auffüllt; eine Nachricht über dem Budget ist Spam, das Log zeigt die Rate
+  des Nutzers (Nachrichten/s)
+- Der Button „Hype-Modus“ multipliziert beide Werte mit FLOOD_HYPE_MULTIPLIER (Standard 3) für Raids und
+  große Momente; er schaltet sich nach HYPE_MODE_DURATION_MS (Standard 5 Minuten) selbst aus und wird nicht gespeichert
+
+ERWÄHNUNGEN:
+- Eine Nachricht, die mehr als MAX_MENTIONS verschiedene Nutzer erwähnt (Standard 4), ist Spam, ebenso ein
+  Nutzer, der innerhalb von MENTION_WINDOW_MS (Standard 1 Minute) mehr als MAX_MENTIONS_PER_WINDOW Nutzer
+  erwähnt (Standard 8)
+- Wer mehr als MAX_UNKNOWN_MENTIONS Nutzer (Standard 2) erwähnt, die seit MENTION_CHATTER_WINDOW_MS
+  (Standard 10 Minuten) nicht im Chat geschrieben haben, gilt als Spam; das beginnt eine Minute nach dem Öffnen des Chats
+- Erwähnungen des Kanalinhabers und von Whitelist-Nutzern zählen nicht
+  (MENTION_EXEMPT_BROADCASTER, MENTION_EXEMPT_WHITELIST)
+
+PRIVILEGIERTE NUTZER (automatische Erkennung):
+- Nachrichten von Moderatoren, Broadcaster (Kanalinhaber), VIPs, Staff/Partner/Verified,
+  Whitelist-Nutzern sowie üblichen/verifizierten Bots werden nie gefiltert
+- Erkennung anhand robuster Twitch-DOM-Signale (user-type, Badges, Kanalabgleich) plus deiner `WHITELIST`
+- Solche Nachrichten werden übersprungen und im Debug-Overlay als „Whitelist“ markiert
+
+ERSTMALIGE CHATTER:
+- Nachrichten, die Twitch als „Erstmaliger Chat“ hervorhebt, werden mit strengeren Werten geprüft:
+  FIRST_TIME_MAX_EMOTES (Standard 3), FIRST_TIME_BLOCK_LINKS (standardmäßig an: Links zu nicht erlaubten
+  Domains sind Spam) und FIRST_TIME_SIMILARITY_THRESHOLD (Standard 0,75); ein strengerer normaler Wert bleibt
+- Ihre Ergebnisse sind im Log mit „[Erstmaliger Chatter]“ markiert (ENABLE_FIRST_TIME_RULES)
+- Twitch zeigt im Chat kein Kontoalter, daher zählt nur die Erstmalig-Markierung
+
+================================================================================
+                                EINSTELLUNGEN
+================================================================================
+
+EINSTELLUNGS-PANEL:
+- Der ⚙-Button im Debug-Overlay öffnet ein Panel mit allen Schwellwerten und Regel-Schaltern
+- Werte werden geprüft (Typ und erlaubter Bereich) und sofort angewendet, ohne Neuladen
+- Geänderte Werte werden im localStorage gespeichert; die Werte im Script sind die Standardwerte
+- „Auf Preset zurücksetzen“ verwirft alle Änderungen seit der Wahl des Presets
+
+PRESETS:
+- „Locker“, „Ausgewogen“ (= die Werte im Script), „Streng“ und „Emote-freundlich“
+- Die Wahl eines Presets im Einstellungs-Panel setzt alle Schwellwerte und Regel-Schalter des aktuellen Profils auf einmal
+- „● geändert“ zeigt, dass Werte nach der Wahl des Presets geändert wurden; „Diff“ listet sie im Log
+
+PROFILE (pro Kanal):
+- Einstellungen werden in benannten Profilen gespeichert; jeder Kanal nutzt sein zugewiesenes Profil oder „Default“
+- Die Profilleiste oben im Einstellungs-Panel weist dem aktuellen Kanal ein Profil zu
+- „Kopieren“ legt ein neues Profil aus dem aktuellen an und weist es dem aktuellen Kanal zu
+- „Umbenennen“/„Löschen“ wirken auf das aktuelle Profil („Default“ kann nicht umbenannt oder gelöscht werden)
+- Beim Kanalwechsel wird das passende Profil sofort angewendet
+
+WHITELIST / BLOCKLIST:
+- Beide Listen werden im Einstellungs-Panel (⚙) bearbeitet und pro Profil gespeichert
+- Login eintippen, um die Liste zu durchsuchen; Enter oder „Hinzufügen“ fügt ihn hinzu, × entfernt einen Eintrag
+- Nutzer auf der Whitelist werden nie gefiltert; Nutzer aus `WHITELIST` im Script sind immer auf der Whitelist
+- Nachrichten von Nutzern auf der Blocklist gelten immer als Spam, egal was die Erkennungsregeln sagen
+
+GESPERRTE BEGRIFFE:
+- Werden im Einstellungs-Panel (⚙) unter der Blocklist bearbeitet und pro Profil gespeichert
+- Typen: „Text“ (irgendwo in der Nachricht), „Ganzes Wort“, „Platzhalter“ (* = beliebige Zeichen,
+  ? = ein Zeichen, gegen ganze Wörter geprüft) und „Regex“ (JavaScript-Syntax)
+- Jeder Eintrag ignoriert Groß-/Kleinschreibung, außer „Aa“ ist angehakt, und kann nach 1 Stunde bis 30 Tagen ablaufen
+- Regexe werden vor dem Hinzufügen geprüft: ungültige Muster und zu langsame Muster
+  (z. B. verschachtelte Quantoren wie (a+)+) werden abgelehnt
+- Die Regel prüft den Nachrichtentext ohne Emotes; Treffer und Muster stehen im Log
+
+LINKS:
+- Links werden im Nachrichtentext (mit oder ohne http://) und in Twitchs Link-Elementen gefunden;
+  getarnte Formen wie „xyz dot com“, „xyz (.) com“ und „x y z . c o m“ werden ebenfalls erkannt
+- Domains werden vor dem Vergleich vereinheitlicht: Kleinbuchstaben, ohne „www.“ und Pfad,
+  internationale Domains als Punycode; eine gelistete Domain umfasst ihre Subdomains
+- „Erlaubte Domains“ und „Gesperrte Domains“ im Einstellungs-Panel ergänzen LINK_ALLOWLIST und LINK_DENYLIST
+  aus dem Script (pro Profil). Links zu gesperrten Domains sind immer Spam, getarnte Links sind Spam,
+  wenn ihre Domain nicht erlaubt ist (ENABLE_LINK_FILTER)
+- BLOCK_ALL_LINKS (standardmäßig aus, im Preset „Streng“ an) behandelt jeden Link zu einer nicht erlaubten
+  Domain als Spam; privilegierte Nutzer können weiterhin Links posten
+
+TEXT-NORMALISIERUNG:
+- Bevor eine Regel läuft, wird jede Nachricht einmal normalisiert und alle Regeln sehen das Ergebnis:
+  unsichtbare Zeichen (Nullbreiten-Leerzeichen/-Verbinder, Bidi-Marken, ...) werden entfernt, Zierschriften
+  (Vollbreite, 𝐟𝐞𝐭𝐭, 𝓼𝓬𝓱𝓻𝓲𝓯𝓽, ⓚⓡⓔⓘⓢ, ᴋʟᴇɪɴᴇ ᴋᴀᴘɪᴛᴀʟᴇ) werden zu normalen Buchstaben, und kyrillische/griechische
+  Doppelgänger in lateinischen Wörtern werden ersetzt („frее“ mit kyrillischem „е“ wird zu „free“)
+- Wörter, die ganz in Kyrillisch oder Griechisch geschrieben sind, bleiben unverändert; Emoji-Folgen bleiben erhalten
+- Das Log vermerkt jede geänderte Nachricht (graue Zeile mit dem normalisierten Text)
+
+ZALGO-TEXT:
+- Zählt die auf jedem Buchstaben gestapelten Kombinationszeichen; mehr als MAX_COMBINING_MARKS (Standard 3)
+  ist Spam, egal wie kurz die Nachricht ist (ENABLE_ZALGO_FILTER)
+- Mit ZALGO_STRIP_MARKS werden die Zeichen entfernt und die bereinigte Nachricht bleibt im Chat, statt
+  versteckt zu werden („Bereinigt“ im Log); Akzente, die zu einem Buchstaben gehören (é), bleiben erhalten
+
+GROSSBUCHSTABEN:
+- Zählt die Großbuchstaben unter allen Buchstaben mit Groß- und Kleinschreibung, in jeder Schrift
+  (Umlaute, Kyrillisch, Griechisch, ...); Emote-Namen und @Erwähnungen zählen nicht mit
+- Ab UPPERCASE_MIN_LETTERS Buchstaben (Standard 6) und einem Anteil von UPPERCASE_RATIO (Standard 70 %) ist es Spam:
+  „HALLO LEUTE lol“ wird erkannt, „OK“ oder „OK war gut“ nicht
+
+EMOTE-WÖRTERBUCH:
+- Jeder Kanal hat eine eigene Liste von Emote-Namen; Wörter einer Nachricht aus dieser Liste zählen als
+  Emotes (MAX_EMOTES, Emote-Dichte, -Serien und -Züge), auch wenn sie als reiner Text ankommen, z. B. im
+  Popout-Chat oder bevor eine Erweiterung sie in Bilder umgewandelt hat (ENABLE_EMOTE_DICTIONARY)
+- Die Liste lernt die Namen der Emote-Bilder, die im Kanal erscheinen (EMOTE_DICTIONARY_LEARN); Groß- und
+  Kleinschreibung zählt, „KEKW“ ist also ein Emote, „kekw“ nicht
+- „Importieren“ im Einstellungs-Panel übernimmt die Namen aus einer JSON-Datei: eine Liste von Namen oder
+  eine Emote-Liste von BTTV, FFZ oder 7TV; „Exportieren“ speichert die Liste, „Leeren“ leert sie
+
+EMOTE-ZÜGE:
+- Die gleiche Emote-Kombination von GLOBAL_EMOTE_TRAIN_THRESHOLD verschiedenen Nutzern innerhalb von
+  GLOBAL_EMOTE_SIGNATURE_WINDOW_MS; EMOTE_TRAIN_MODE legt fest, was als gleiche Kombination zählt:
+  'exact' = gleiche Reihenfolge, 'multiset' (Standard) = beliebige Reihenfolge („KEKW Pog LUL“ = „LUL Pog KEKW“),
+  'similar' = mindestens EMOTE_TRAIN_SIMILARITY der Emotes gemeinsam (Standard 70 %): „KEKW Pog LUL“ und
+  „KEKW Pog LUL Clap“ teilen 3 von 4, so bilden auch leicht veränderte Emote-Wände einen Zug
+
+WIEDERHOLUNGEN:
+- Wiederholte Zeichen werden so gezählt, wie man sie sieht: ein Emoji mit Hautfarbe oder ein Buchstabe mit
+  Akzent ist ein Zeichen, fünf 😂 hintereinander zählen also als 5 (MAX_CHAR_REPETITION, Standard 4)
+- Dasselbe Wort öfter als MAX_WORD_REPETITION-mal hintereinander (Standard 3, Groß-/Kleinschreibung egal)
+  ist Spam: „xd xd xd xd“ oder „lul LUL lul lul“ (ENABLE_REPETITION_FILTER)
+- Wiederholte Phrasen werden überall in der Nachricht gefunden, auch nach anderen Wörtern: „hey chat kauft
+  mein zeug jetzt kauft mein zeug jetzt kauft mein zeug jetzt“ (ENABLE_PHRASE_REPEAT_FILTER)
+
+IMPORT / EXPORT:
+- „Exportieren“ im Einstellungs-Panel speichert die gesamte Konfiguration als eine JSON-Datei:
+  die drei Overlay-Schalter, die Sprache, KNOWN_BOTS, alle Profile (Einstellungen, Whitelist, Blocklist, Domain-Listen, gesperrte Begriffe), Kanalzuweisungen und eigene Regeln
+- „Importieren“ liest eine solche Datei; ungültige Felder werden im Overlay-Log gemeldet und übersprungen
+- Mit „mit aktueller Konfiguration zusammenführen“ wird die Datei eingemischt (Profile nach Namen, Listen vereint)
+  statt die aktuelle Konfiguration zu ersetzen; jede Einstellung aus der Datei gilt, auch mit Standardwert
+- Kanalzuweisungen an Profile, die weder in der Datei noch (beim Zusammenführen) vorhanden sind, werden als ungültig gemeldet
+- Eigene Regeln in der Datei sind Code, der in der Seite läuft: der Import fragt dann mit einer Warnung nach
+
+SPEICHERUNG:
+- Alle Einstellungen liegen in einem localStorage-Eintrag („tsf_settings“) mit Schema-Version
+- Einstellungen älterer Versionen (tsf_filter_enabled_v1.x, tsf_mark_enabled_v1.x, ...) werden beim
+  ersten Start automatisch übernommen und die alten Schlüssel danach entfernt
+
+API (window.TSF, für die Konsole und Begleit-Scripts):
+- TSF.setFilterEnabled(bool), setMarkEnabled(bool), setIgnoreReplies(bool), setHypeMode(bool), getToggles()
+- TSF.getSettings(), getSetting(key), setSetting(key, value) – Schwellwerte des aktiven Profils
+- TSF.getWhitelist(), addToWhitelist(login), removeFromWhitelist(login) – ebenso für die Blocklist
+- TSF.getAllowedDomains(), addAllowedDomain(domain), removeAllowedDomain(domain) – ebenso getDeniedDomains(),
+  addDeniedDomain(domain), removeDeniedDomain(domain)
+- TSF.getKeywords(), addKeyword({ pattern, type, caseSensitive, expiresIn }), removeKeyword(pattern, type) –
+  gesperrte Begriffe des aktiven Profils; addKeyword liefert ein Promise (Regexe werden vorher gestoppt)
+- TSF.check(text, { user, emotes, links, firstTime }) prüft einen Text mit den Regeln und liefert das Ergebnis (Verdict)
+- TSF.getEmotes(), importEmotes(json), clearEmotes() – Emote-Wörterbuch des aktuellen Kanals
+- TSF.getBayesModel(), trainBayes(text, isSpam, emotes), exportBayes(), importBayes(json), resetBayes() –
+  Bayes-Klassifikator; trainBayes, importBayes und resetBayes geben ein Promise zurück
+- TSF.getStats(), resetStats() – verarbeitet/gefiltert/versteckt/bereinigt/markiert/durchgelassen/übersprungen und Zähler pro Regel
+- TSF.on('filtered' | 'passed', handler) – handler erhält { verdict, node, user, text, emotes, action };
+  liefert eine Funktion zum Abmelden (Window-Events: tsf:message-filtered, tsf:message-passed)
+- TSF.getRules(), setRuleEnabled(id, bool) – alle Regeln in der Reihenfolge, in der sie laufen
+- TSF.registerRule({ id, check, severity, order, label }) / unregisterRule(id) – Regeln anderer Scripts
+  (nicht gespeichert); check(msg) erhält { text, user, emotes, emoteCount, words } und liefert einen
+  wahren Wert oder { limit, reached, trigger }
+- TSF.addUserRule({ id, label, code, severity, order }) / removeUserRule(id) – wie das Formular im Overlay
+- Setter prüfen wie das Overlay und liefern einen Fehlertext oder null bei Erfolg
+
+REGELN / EIGENE REGELN:
+- Jede Regel hat eine ID, eine Reihenfolge (eingebaute Regeln: 5-130), einen Schweregrad und die
+  Einstellungen, die sie liest; die Regeln laufen aufsteigend, der erste Treffer entscheidet
+- „Eigene Regeln“ im Einstellungs-Panel fügt eigene Regeln hinzu: ein Ausdruck wie
+  /free followers/i.test(text) oder ein Snippet mit `return`. Ein wahres Ergebnis markiert die Nachricht als Spam
+- Snippets sehen text, user, emotes, emoteCount und words; globale Objekte der Seite (window, document,
+  fetch, ...) sind nur dem Namen nach verborgen. Das schützt vor Versehen, ist aber KEINE Sandbox: der
+  Code läuft mit vollem Zugriff in der Seite und ohne Zeitlimit (eine Endlosschleife friert den Chat
+  ein). Nur Code hinzufügen, den du verstehst, und Konfigurationsdateien mit eigenen Regeln nur von
+  Leuten importieren, denen du vertraust
+- Eine eigene oder Skript-Regel, die einen Fehler wirft, wird abgeschaltet und im Log gemeldet; eine
+  eingebaute Regel überspringt dann nur diese Nachricht
+- Eigene Regeln gelten für alle Profile und sind im Export enthalten
+
+PUNKTE-MODUS:
+- Mit ENABLE_SCORING_MODE laufen alle Regeln und zählen Punkte zusammen, statt dass der erste Treffer
+  entscheidet: Gewicht der Regel (low 0,75, medium 1, high 1,25) mal Erreicht / Limit, höchstens 2 pro Regel
+- Werte unter einem Limit zählen ab SCORE_NEAR_MISS_RATIO (Standard 75 %) davon, so summieren sich mehrere
+  knappe Fälle; Treffer ohne Wert (gesperrte Begriffe, Links, exaktes Copy/Paste, eigene Regeln) zählen 2
+- Ab SCORE_THRESHOLD (Standard 1,5) ist die Nachricht Spam; das Log nennt die Regel mit den meisten Punkten
+  und zeigt, was jede Regel beigetragen hat („Punkte 1.61 (Schwelle 1.5): emote-limit +0.83 (5/6), ...“)
+
+BAYES-KLASSIFIKATOR:
+- Optional (ENABLE_BAYES_FILTER): lernt aus deinem eigenen Feedback, welche Wörter und Emotes in deinem
+  Chat für Spam stehen. Jede gefilterte Nachricht im Log bekommt zwei Links: ✓ = richtig, das ist Spam;
+  ✗ = kein Spam, die Nachricht wird wieder angezeigt
+- Sobald er BAYES_MIN_MESSAGES (Standard 10) Nachrichten jeder Art kennt, ist eine Spam-Wahrscheinlichkeit
+  ab BAYES_THRESHOLD (Standard 95 %) Spam; im Punkte-Modus zählt er wie jede andere Regel mit
+- Das Modell bleibt in diesem Browser (IndexedDB) und gilt für alle Profile; das Einstellungs-Panel zeigt
+  die Wörter, die am stärksten für und gegen Spam sprechen, und hat „Export“, „Import“ und „Zurücksetzen“
+*/
+
+(function() {
+    'use strict';
+
+    /*********************
+     * SETTINGS (adjustable)
+     *********************/
+    
+    /*
+     * MAX_EMOTES = 6
+     * - What it does: Limits the maximum number of emotes per message
+     * - Example: A message with 7 emotes will be detected as spam
+     * - Recommended: 4-8 (6 is a good middle value)
+     */
+    const MAX_EMOTES = 6;
+
+    /*
+     * EMOTE_DENSITY_THRESHOLD = 0.6
+     * - What it does: Detects messages with too high emote ratio
+     * - Example: At 0.6 = 60% means: If more than 60% of the message consists of emotes, it's considered spam
+     * - Example: "Hello 👋😊🎉" (3 emotes, 1 word) = 75% emotes → spam
+     * - Recommended: 0.5-0.7 (0.6 is balanced)
+     */
+    const EMOTE_DENSITY_THRESHOLD = 0.6;
+
+    /*
+     * MAX_SAME_EMOTE_RUN = 3
+     * - What it does: Detects series of the same emote
+     * - Example: "😂😂😂😂" (4 same emotes) → spam
+     * - Example: "😂😊😂😊😂" (5 different emotes) → OK
+     * - Recommended: 2-4 (3 is a good middle value)
+     */
+    const MAX_SAME_EMOTE_RUN = 3;
+
+    /*
+     * GLOBAL_EMOTE_SIGNATURE_WINDOW_MS = 10000
+     * - What it does: Time window in milliseconds for emote train detection
+     * - Example: 10000 = 10 seconds. If multiple users post the same emote combination within 10 seconds, it's detected as spam
+     * - Recommended: 5000-15000 (10000 = 10 seconds is balanced)
+     */
+    const GLOBAL_EMOTE_SIGNATURE_WINDOW_MS = 10000;
+
+    /*
+     * GLOBAL_EMOTE_TRAIN_THRESHOLD = 3
+     * - What it does: Number of different users who must post the same emote combination before it's detected as emote train
+     * - Example: At 3: If 3 different users post "😂😊🎉" within 10 seconds, it's detected as spam
+     * - Recommended: 2-4 (3 is a good middle value)
+     */
+    const GLOBAL_EMOTE_TRAIN_THRESHOLD = 3;
+
+    /*
+     * EMOTE_TRAIN_MODE = 'multiset'
+     * - What it does: How the emote combinations of an emote train are compared:
+     *   'exact' = same emotes in the same order, 'multiset' = same emotes in any order,
+     *   'similar' = the emotes overlap by at least EMOTE_TRAIN_SIMILARITY (repeated emotes count)
+     * - Example: "KEKW Pog LUL" and "LUL Pog KEKW" are one train with 'multiset' and 'similar', two with 'exact'
+     * - Example: "KEKW Pog LUL" and "KEKW Pog LUL Clap" (3 of 4 emotes shared = 75%) are one train with 'similar'
+     * - Recommended: 'multiset'; 'similar' against raids with emote walls that are changed a little per user
+     */
+    const EMOTE_TRAIN_MODE = 'multiset';
+
+    /*
+     * EMOTE_TRAIN_SIMILARITY = 0.7
+     * - What it does: Share of shared emotes (Jaccard index) from which two combinations belong to the
+     *   same emote train, only with EMOTE_TRAIN_MODE = 'similar'
+     * - Example: "KEKW KEKW Pog" and "KEKW Pog" share 2 of 3 emotes = 67% -> different trains at 0.7
+     * - Recommended: 0.6-0.8 (0.7 is balanced)
+     */
+    const EMOTE_TRAIN_SIMILARITY = 0.7;
+
+    /*
+     * ENABLE_EMOTE_DICTIONARY = true
+     * - What it does: Words of the message that are in the channel's emote dictionary count as emotes
+     *   (MAX_EMOTES, emote density, emote series and trains), also when no extension has turned them into images
+     * - Example: "KEKW KEKW KEKW KEKW" as plain text counts as 4 emotes once KEKW is in the dictionary
+     * - Recommended: true
+     */
+    const ENABLE_EMOTE_DICTIONARY = true;
+
+    /*
+     * EMOTE_DICTIONARY_LEARN = true
+     * - What it does: Adds the names of emote images seen in chat to the channel's emote dictionary
+     * - Example: After one rendered "OMEGALUL" in a channel, a plain-text "OMEGALUL" there counts as emote
+     * - Recommended: true (turn off to only use imported emote lists)
+     */
+    const EMOTE_DICTIONARY_LEARN = true;
+
+    /*
+     * ENABLE_ART_SPAM_DETECTION = true
+     * - What it does: Activates/deactivates detection of Braille and ASCII art
+     * - Recommended: true (for better spam protection)
+     */
+    const ENABLE_ART_SPAM_DETECTION = true;
+
+    /*
+     * ART_SPAM_MIN_LENGTH = 20
+     * - What it does: Minimum text length from which Braille/ASCII art is checked
+     * - Example: Short texts like "Hi" are not checked for art spam
+     * - Recommended: 15-30 (20 is a good middle value)
+     */
+    const ART_SPAM_MIN_LENGTH = 20;
+
+    /*
+     * ART_SPAM_MIN_RATIO = 0.35
+     * - What it does: Ratio of art characters from which a message is considered spam
+     * - Example: At 0.35 = 35%: If more than 35% of characters are Braille/ASCII art, it's detected as spam
+     * - Recommended: 0.3-0.5 (0.35 is balanced)
+     */
+    const ART_SPAM_MIN_RATIO = 0.35;
+
+    /*
+     * ART_SPAM_MIN_LINES = 2
+     * - What it does: Alternative heuristic for multi-line messages
+     * - Example: At 2 lines, a lower art character density is accepted
+     * - Recommended: 2-3 (2 is a good middle value)
+     */
+    const ART_SPAM_MIN_LINES = 2;
+
+    /*
+     * ART_SPAM_MIN_RATIO_WITH_LINES = 0.2
+     * - What it does: Art character density threshold for multi-line messages
+     * - Example: At 2+ lines, only 20% art characters are sufficient for spam detection
+     * - Recommended: 0.15-0.3 (0.2 is balanced)
+     */
+    const ART_SPAM_MIN_RATIO_WITH_LINES = 0.2;
+
+    /*
+     * TEXT_MIN_LENGTH = 6
+     * - What it does: Minimum text length from which spam detection is activated
+     * - Example: Short messages like "Hi" or "GG" are not checked
+     * - Recommended: 4-8 (6 is a good middle value)
+     */
+    const TEXT_MIN_LENGTH = 6;
+
+    /*
+     * PER_USER_REPEAT_WINDOW_MS = 60000
+     * - What it does: Time window in milliseconds for detecting repetitions from the same user
+     * - Example: 60000 = 60 seconds. If a user posts the same message multiple times within 60 seconds, it's detected as spam
+     * - Recommended: 30000-120000 (60000 = 1 minute is balanced)
+     */
+    const PER_USER_REPEAT_WINDOW_MS = 60000;
+
+    /*
+     * PER_USER_EXACT_REPEAT_THRESHOLD = 3
+     * - What it does: Number of exact repetitions from which it's considered spam
+     * - Example: At 3: A user may post the same message 2x, on the 3rd time it's detected as spam
+     * - Recommended: 2-4 (3 is a good middle value)
+     */
+    const PER_USER_EXACT_REPEAT_THRESHOLD = 3;
+
+    /*
+     * PER_USER_SIMILAR_REPEAT_THRESHOLD = 3
+     * - What it does: Number of similar repetitions from which it's considered spam
+     * - Example: At 3: A user may post similar messages 2x, on the 3rd time it's detected as spam
+     * - Recommended: 2-4 (3 is a good middle value)
+     */
+    const PER_USER_SIMILAR_REPEAT_THRESHOLD = 3;
+
+    /*
+     * ENABLE_FLOOD_FILTER = true
+     * - What it does: Limits how fast one user may post, no matter what the messages say
+     *   (token bucket: FLOOD_BURST messages at once, then FLOOD_RATE messages per second)
+     * - Example: Someone posting 10 different messages in 5 seconds is detected as spam
+     * - Recommended: true
+     */
+    const ENABLE_FLOOD_FILTER = true;
+
+    /*
+     * FLOOD_BURST = 5
+     * - What it does: Number of messages a user may post in quick succession
+     * - Example: At 5: 5 messages within a few seconds are OK, the 6th is detected as spam
+     *   unless the user slowed down in between
+     * - Recommended: 4-8 (5 is balanced)
+     */
+    const FLOOD_BURST = 5;
+
+    /*
+     * FLOOD_RATE = 0.5
+     * - What it does: Sustained messages per second a user may post after the burst is used up
+     * - Example: 0.5 = one message every 2 seconds
+     * - Recommended: 0.3-1 (0.5 is balanced)
+     */
+    const FLOOD_RATE = 0.5;
+
+    /*
+     * FLOOD_HYPE_MULTIPLIER = 3
+     * - What it does: Hype mode (overlay button or TSF.setHypeMode) multiplies FLOOD_BURST and FLOOD_RATE
+     *   by this value, for raids, big plays and other moments where everyone spams
+     * - Example: At 3: 15 messages at once and 1.5 messages per second
+     * - Recommended: 2-4
+     */
+    const FLOOD_HYPE_MULTIPLIER = 3;
+
+    /*
+     * HYPE_MODE_DURATION_MS = 300000
+     * - What it does: Hype mode switches itself off after this time
+     * - Example: 300000 = 5 minutes
+     * - Recommended: 120000-600000
+     */
+    const HYPE_MODE_DURATION_MS = 300000;
+
+    /*
+     * ENABLE_MENTION_FILTER = true
+     * - What it does: Detects mass-pinging: messages with many @mentions, users who mention many
+     *   different people within MENTION_WINDOW_MS, and mentions of users who are not in chat
+     * - Recommended: true
+     */
+    const ENABLE_MENTION_FILTER = true;
+
+    /*
+     * MAX_MENTIONS = 4
+     * - What it does: Maximum number of different users mentioned in one message
+     * - Example: At 4: "@a @b @c @d hi" is OK, a fifth @name makes it spam
+     * - Recommended: 3-5
+     */
+    const MAX_MENTIONS = 4;
+
+    /*
+     * MENTION_WINDOW_MS = 60000
+     * - What it does: Time window in milliseconds for counting the mentions of one user
+     * - Recommended: 30000-120000
+     */
+    const MENTION_WINDOW_MS = 60000;
+
+    /*
+     * MAX_MENTIONS_PER_WINDOW = 8
+     * - What it does: Maximum number of different users one user may mention within MENTION_WINDOW_MS
+     * - Example: At 8: pinging 3 users in each of 3 messages within a minute (9 users) is spam
+     * - Recommended: 6-12
+     */
+    const MAX_MENTIONS_PER_WINDOW = 8;
+
+    /*
+     * MAX_UNKNOWN_MENTIONS = 2
+     * - What it does: Maximum number of users in one message that are mentioned without having written
+     *   in chat for MENTION_CHATTER_WINDOW_MS (bots ping random accounts)
+     * - Example: At 2: "@x @y" is OK even if both are lurkers, a third unknown user makes it spam
+     * - Only counted after the script has watched the chat for one minute
+     * - Recommended: 1-3
+     */
+    const MAX_UNKNOWN_MENTIONS = 2;
+
+    /*
+     * MENTION_CHATTER_WINDOW_MS = 600000
+     * - What it does: Users who wrote in chat within this time count as "in chat" for MAX_UNKNOWN_MENTIONS
+     * - Example: 600000 = 10 minutes
+     * - Recommended: 300000-1800000
+     */
+    const MENTION_CHATTER_WINDOW_MS = 600000;
+
+    /*
+     * MENTION_EXEMPT_BROADCASTER = true / MENTION_EXEMPT_WHITELIST = true
+     * - What it does: Mentions of the channel owner / of whitelisted users are not counted
+     * - Recommended: true
+     */
+    const MENTION_EXEMPT_BROADCASTER = true;
+    const MENTION_EXEMPT_WHITELIST = true;
+
+    /*
+     * GLOBAL_COPY_PASTE_WINDOW_MS = 8000
+     * - What it does: Time window in milliseconds for global copy/paste detection
+     * - Example: 8000 = 8 seconds. If different users post the same message within 8 seconds, it's detected as copy/paste spam
+     * - Recommended: 5000-15000 (8000 = 8 seconds is balanced); longer windows stay fast, new messages are
+     *   only compared with similar ones (see "Copy/paste index" in the engine)
+     */
+    const GLOBAL_COPY_PASTE_WINDOW_MS = 8000;
+
+    /*
+     * GLOBAL_COPY_PASTE_MIN_LENGTH = 6
+     * - What it does: Minimum text length for global copy/paste detection
+     * - Example: Short messages like "Hi" are not checked for copy/paste
+     * - Recommended: 4-8 (6 is a good middle value)
+     */
+    const GLOBAL_COPY_PASTE_MIN_LENGTH = 6;
+
+    /*
+     * SIMILARITY_THRESHOLD = 0.85
+     * - What it does: Threshold for similarity detection (0.0 to 1.0)
+     * - Example: At 0.85: Texts with 85% similarity are recognized as "similar"
+     * - Example: "Hello World" and "Hello World!" are very similar
+     * - Recommended: 0.8-0.9 (0.85 is a good middle value)
+     */
+    const SIMILARITY_THRESHOLD = 0.85;
+
+    /*
+     * ENABLE_UPPERCASE_FILTER = true
+     * - What it does: Activates/deactivates filter for text in capital letters (any script: Latin with
+     *   umlauts, Cyrillic, Greek, ...); emote names and @mentions are not counted
+     * - Example: "HELLO WORLD", "WOW AMAZING" and "HELLO WORLD lol" are detected as spam
+     * - Recommended: true (for better spam protection)
+     */
+    const ENABLE_UPPERCASE_FILTER = true;
+
+    /*
+     * UPPERCASE_RATIO = 0.7
+     * - What it does: Share of capital letters from which a message counts as uppercase spam
+     * - Example: At 0.7: "HELLO WORLD lol" (10 of 13 letters = 77%) is detected, "Hello World" is OK
+     * - Recommended: 0.6-0.8
+     */
+    const UPPERCASE_RATIO = 0.7;
+
+    /*
+     * UPPERCASE_MIN_LETTERS = 6
+     * - What it does: Minimum number of letters (with upper/lower case) before the ratio is checked
+     * - Example: At 6: "OK" or "GG WP" are never detected, "BUY NOW" is
+     * - Recommended: 5-10
+     */
+    const UPPERCASE_MIN_LETTERS = 6;
+
+    /*
+     * ENABLE_REPETITION_FILTER = true
+     * - What it does: Activates/deactivates filter for repeated characters (also emoji) and repeated words
+     * - Example: "GYATTTTT", "NOOOOO", "REEEEEEEE", "777777", "😂😂😂😂😂" and "xd xd xd xd" are detected as spam
+     * - Recommended: true (for better spam protection)
+     */
+    const ENABLE_REPETITION_FILTER = true;
+
+    /*
+     * ENABLE_PHRASE_REPEAT_FILTER = true
+     * - What it does: Detects one phrase repeated multiple times in a single message, also after
+     *   other words or in the middle of the message
+     * - Example: "CHAT NO TTS ... CHAT NO TTS ... CHAT NO TTS ..." and "hi guys buy my stuff buy my stuff buy my stuff" are detected as spam
+     * - Recommended: true
+     */
+    const ENABLE_PHRASE_REPEAT_FILTER = true;
+
+    /*
+     * PHRASE_REPEAT_MIN_WORDS = 4
+     * - What it does: Minimum words per repeated phrase
+     * - Recommended: 3-6 (4 is balanced)
+     */
+    const PHRASE_REPEAT_MIN_WORDS = 4;
+
+    /*
+     * PHRASE_REPEAT_MIN_REPEATS = 3
+     * - What it does: Minimum number of repeated phrase blocks in one message
+     * - Example: phrase repeated 3x or more => spam
+     * - Recommended: 3-4
+     */
+    const PHRASE_REPEAT_MIN_REPEATS = 3;
+
+    /*
+     * SHORT_PHRASE_WORDS = 2
+     * - What it does: Phrases shorter than PHRASE_REPEAT_MIN_WORDS but with at least this many words
+     *   need SHORT_PHRASE_MIN_REPEATS repeats (single words: MAX_WORD_REPETITION)
+     * - Example: "X Y X Y X Y ..." can still be detected as spam
+     * - Recommended: 2
+     */
+    const SHORT_PHRASE_WORDS = 2;
+
+    /*
+     * SHORT_PHRASE_MIN_REPEATS = 6
+     * - What it does: Required repeats for phrases from SHORT_PHRASE_WORDS up to PHRASE_REPEAT_MIN_WORDS - 1 words
+     * - Example: Two-word phrases must repeat at least 6x
+     * - Recommended: 5-8 (6 is balanced)
+     */
+    const SHORT_PHRASE_MIN_REPEATS = 6;
+
+    /*
+     * MAX_CHAR_REPETITION = 4
+     * - What it does: Maximum number of same characters in a row
+     * - Example: At 4: "AAAAA" (5x A) is detected as spam, "AAAA" (4x A) is OK
+     * - Recommended: 3-5 (4 is a good middle value)
+     */
+    const MAX_CHAR_REPETITION = 4;
+
+    /*
+     * MAX_WORD_REPETITION = 3
+     * - What it does: Maximum number of times the same word may follow itself (case is ignored)
+     * - Example: At 3: "LUL LUL LUL" is OK, "xd xd xd xd" is detected as spam
+     * - Recommended: 3-5
+     */
+    const MAX_WORD_REPETITION = 3;
+
+    /*
+     * ENABLE_ZALGO_FILTER = true
+     * - What it does: Detects "Zalgo" text, letters with stacks of combining marks
+     *   that spill over the lines above and below in the chat
+     * - Recommended: true
+     */
+    const ENABLE_ZALGO_FILTER = true;
+
+    /*
+     * MAX_COMBINING_MARKS = 3
+     * - What it does: Maximum number of combining marks on one letter
+     * - Example: At 3: a letter with 4 or more stacked marks is detected as spam;
+     *   accents (é, ñ) and Vietnamese or Thai text use 1-2 marks
+     * - Recommended: 3-4
+     */
+    const MAX_COMBINING_MARKS = 3;
+
+    /*
+     * ZALGO_STRIP_MARKS = false
+     * - What it does: Instead of hiding a Zalgo message, removes the stacked marks and shows the
+     *   cleaned message (accents that belong to a letter, like é, are kept)
+     * - Recommended: false (true if you prefer to keep such messages readable)
+     */
+    const ZALGO_STRIP_MARKS = false;
+
+    /*
+     * ENABLE_LINK_FILTER = true
+     * - What it does: Detects links to domains on the denylist (LINK_DENYLIST and the profile's
+     *   "Denied domains") and disguised links such as "cheapviewers dot com" or "c h e a p v i e w s . c o m"
+     * - Example: "buy followers at xyz dot com" is detected, "https://clips.twitch.tv/..." is OK
+     * - Recommended: true
+     */
+    const ENABLE_LINK_FILTER = true;
+
+    /*
+     * BLOCK_ALL_LINKS = false
+     * - What it does: Treats every link to a domain that is not on the allowlist as spam
+     * - Privileged users (moderators, VIPs, whitelist, ...) are never filtered, so they can still post links
+     * - Recommended: false (true for channels that do not want links in chat at all)
+     */
+    const BLOCK_ALL_LINKS = false;
+
+    /*
+     * LINK_ALLOWLIST = ["clips.twitch.tv", "youtube.com", "youtu.be"]
+     * - What it does: Domains that are never treated as spam links (subdomains included,
+     *   so "youtube.com" also allows "www.youtube.com" and "m.youtube.com")
+     * - More domains can be added per profile in the settings panel ("Allowed domains")
+     */
+    const LINK_ALLOWLIST = [
+        "clips.twitch.tv",
+        "youtube.com",
+        "youtu.be"
+    ];
+
+    /*
+     * LINK_DENYLIST = []
+     * - What it does: Domains whose links are always spam (subdomains included)
+     * - Example: ["bit.ly", "streamboost.xyz"]
+     * - More domains can be added per profile in the settings panel ("Denied domains")
+     */
+    const LINK_DENYLIST = [];
+
+    /*
+     * ENABLE_FIRST_TIME_RULES = true
+     * - What it does: Checks messages that Twitch marks as "First-time chat" with the stricter
+     *   FIRST_TIME_* values below; spam bots mostly post from brand-new accounts
+     * - Only the stricter value is used: if the normal setting is already stricter, it stays
+     * - Recommended: true
+     */
+    const ENABLE_FIRST_TIME_RULES = true;
+
+    /*
+     * FIRST_TIME_MAX_EMOTES = 3
+     * - What it does: MAX_EMOTES for first-time chatters
+     * - Recommended: 2-4
+     */
+    const FIRST_TIME_MAX_EMOTES = 3;
+
+    /*
+     * FIRST_TIME_BLOCK_LINKS = true
+     * - What it does: BLOCK_ALL_LINKS for first-time chatters: every link to a domain that is not
+     *   on the allowlist is spam
+     * - Recommended: true
+     */
+    const FIRST_TIME_BLOCK_LINKS = true;
+
+    /*
+     * FIRST_TIME_SIMILARITY_THRESHOLD = 0.75
+     * - What it does: SIMILARITY_THRESHOLD for first-time chatters (lower = more messages count as similar)
+     * - Recommended: 0.7-0.8
+     */
+    const FIRST_TIME_SIMILARITY_THRESHOLD = 0.75;
+
+    /*
+     * ENABLE_SCORING_MODE = false
+     * - What it does: Instead of the first rule that fires, all rules add up a score: weight of the rule
+     *   (by severity: low 0.75, medium 1, high 1.25) times how far the message is over its limit
+     *   (reached / limit, at most 2). The message is spam when the total reaches SCORE_THRESHOLD
+     * - Example: Emote density 90% at a limit of 60% scores 0.75 × 1.5 = 1.13
+     * - Recommended: false (true if single rules hide too much and near misses should add up)
+     */
+    const ENABLE_SCORING_MODE = false;
+
+    /*
+     * SCORE_THRESHOLD = 1.5
+     * - What it does: Total score from which a message is spam (scoring mode only)
+     * - Example: At 1.5: 5 emotes (limit 6) and 75% uppercase (limit 70%) together are spam,
+     *   7 emotes alone are not
+     * - Recommended: 1.25-2
+     */
+    const SCORE_THRESHOLD = 1.5;
+
+    /*
+     * SCORE_NEAR_MISS_RATIO = 0.75
+     * - What it does: Share of a limit from which a message that stays below it already adds to the score
+     *   (scoring mode only; emote, uppercase, repetition, Zalgo, art and mention limits)
+     * - Example: At 0.75 with MAX_EMOTES 6: 5 emotes add 0.83 × 1, 4 emotes add nothing
+     * - Recommended: 0.7-0.9
+     */
+    const SCORE_NEAR_MISS_RATIO = 0.75;
+
+    /*
+     * ENABLE_BAYES_FILTER = false
+     * - What it does: A local naive-Bayes classifier that learns from your feedback in the overlay log
+     *   (✓ = spam, ✗ = not spam) and rates every message; the model never leaves the browser (IndexedDB)
+     * - Example: After a few confirmed "follow my channel" messages, similar new ones get a high spam probability
+     * - Recommended: false (true if you want to train it; it only decides after BAYES_MIN_MESSAGES of each kind)
+     */
+    const ENABLE_BAYES_FILTER = false;
+
+    /*
+     * BAYES_THRESHOLD = 0.95
+     * - What it does: Spam probability of the classifier from which a message is spam
+     * - Example: At 0.95: 97% is spam, 90% is OK (in scoring mode it still adds to the score)
+     * - Recommended: 0.9-0.99
+     */
+    const BAYES_THRESHOLD = 0.95;
+
+    /*
+     * BAYES_MIN_MESSAGES = 10
+     * - What it does: Trained spam and non-spam messages the classifier needs (each) before it rates messages
+     * - Example: At 10: 30 spam and 9 non-spam messages trained => not active yet
+     * - Recommended: 10-50 (more = fewer mistakes at the start)
+     */
+    const BAYES_MIN_MESSAGES = 10;
+
+    /*
+     * WHITELIST = ["streamername", "vampire_laugh"]
+     * - What it does: List of usernames that are never filtered
+     * - Example: ["yourname", "moderator1", "vip_user"]
+     * - IMPORTANT: Replace "streamername" with your actual channel name!
+     * - Recommended: Add moderators, VIPs and trusted users here
+     */
+    const WHITELIST = [
+        "streamername", // <-- enter your channel name here (without @)
+        "example_name2"
+    ];
+    const KNOWN_BOTS = [
+        // common bots on Twitch (automatically privileged)
+        "nightbot",
+        "streamelements",
+        "moobot",
+        "streamlabs",
+        "fossabot",
+        "soundalerts",
+        "wizebot",
+        "coebot",
+        "stay_hydrated_bot",
+        "anotherttvviewer"
+    ];
+    const SCRIPT_VERSION = "1.29";
+    const STORAGE_KEY = "tsf_settings";
+    // Debug verbosity for Emote-Train intermediate events
+    const DEBUG_VERBOSE_EMOTE_TRAIN = false;
+
+    /*********************
+     * Editable settings (overlay settings panel)
+     *********************/
+    // The constants above are the defaults. Values changed in the overlay are stored
+    // in the active profile (only the ones that differ from the default) and are read
+    // by the detection code through the `settings` object.
+    const SETTINGS_SCHEMA = [
+        { key: 'MAX_EMOTES', type: 'int', min: 1, max: 100, def: MAX_EMOTES },
+        { key: 'EMOTE_DENSITY_THRESHOLD', type: 'float', min: 0.05, max: 1, step: 0.05, def: EMOTE_DENSITY_THRESHOLD },
+        { key: 'MAX_SAME_EMOTE_RUN', type: 'int', min: 1, max: 50, def: MAX_SAME_EMOTE_RUN },
+        { key: 'GLOBAL_EMOTE_SIGNATURE_WINDOW_MS', type: 'int', min: 1000, max: 120000, step: 1000, def: GLOBAL_EMOTE_SIGNATURE_WINDOW_MS },
+        { key: 'GLOBAL_EMOTE_TRAIN_THRESHOLD', type: 'int', min: 2, max: 50, def: GLOBAL_EMOTE_TRAIN_THRESHOLD },
+        { key: 'EMOTE_TRAIN_MODE', type: 'choice', options: ['exact', 'multiset', 'similar'], def: EMOTE_TRAIN_MODE },
+        { key: 'EMOTE_TRAIN_SIMILARITY', type: 'float', min: 0.3, max: 1, step: 0.05, def: EMOTE_TRAIN_SIMILARITY },
+        { key: 'ENABLE_EMOTE_DICTIONARY', type: 'bool', def: ENABLE_EMOTE_DICTIONARY },
+        { key: 'EMOTE_DICTIONARY_LEARN', type: 'bool', def: EMOTE_DICTIONARY_LEARN },
+        { key: 'ENABLE_ART_SPAM_DETECTION', type: 'bool', def: ENABLE_ART_SPAM_DETECTION },
+        { key: 'ART_SPAM_MIN_LENGTH', type: 'int', min: 1, max: 500, def: ART_SPAM_MIN_LENGTH },
+        { key: 'ART_SPAM_MIN_RATIO', type: 'float', min: 0.05, max: 1, step: 0.05, def: ART_SPAM_MIN_RATIO },
+        { key: 'ART_SPAM_MIN_LINES', type: 'int', min: 1, max: 50, def: ART_SPAM_MIN_LINES },
+        { key: 'ART_SPAM_MIN_RATIO_WITH_LINES', type: 'float', min: 0.05, max: 1, step: 0.05, def: ART_SPAM_MIN_RATIO_WITH_LINES },
+        { key: 'TEXT_MIN_LENGTH', type: 'int', min: 1, max: 100, def: TEXT_MIN_LENGTH },
+        { key: 'PER_USER_REPEAT_WINDOW_MS', type: 'int', min: 1000, max: 600000, step: 1000, def: PER_USER_REPEAT_WINDOW_MS },
+        // per-user history keeps the last 6 messages, so higher thresholds could never fire
+        { key: 'PER_USER_EXACT_REPEAT_THRESHOLD', type: 'int', min: 2, max: 6, def: PER_USER_EXACT_REPEAT_THRESHOLD },
+        { key: 'PER_USER_SIMILAR_REPEAT_THRESHOLD', type: 'int', min: 2, max: 6, def: PER_USER_SIMILAR_REPEAT_THRESHOLD },
+        { key: 'ENABLE_FLOOD_FILTER', type: 'bool', def: ENABLE_FLOOD_FILTER },
+        { key: 'FLOOD_BURST', type: 'int', min: 1, max: 50, def: FLOOD_BURST },
+        { key: 'FLOOD_RATE', type: 'float', min: 0.05, max: 10, step: 0.05, def: FLOOD_RATE },
+        { key: 'FLOOD_HYPE_MULTIPLIER', type: 'float', min: 1, max: 10, step: 0.5, def: FLOOD_HYPE_MULTIPLIER },
+        { key: 'HYPE_MODE_DURATION_MS', type: 'int', min: 10000, max: 3600000, step: 10000, def: HYPE_MODE_DURATION_MS },
+        { key: 'ENABLE_MENTION_FILTER', type: 'bool', def: ENABLE_MENTION_FILTER },
+        { key: 'MAX_MENTIONS', type: 'int', min: 1, max: 50, def: MAX_MENTIONS },
+        { key: 'MENTION_WINDOW_MS', type: 'int', min: 1000, max: 600000, step: 1000, def: MENTION_WINDOW_MS },
+        { key: 'MAX_MENTIONS_PER_WINDOW', type: 'int', min: 1, max: 100, def: MAX_MENTIONS_PER_WINDOW },
+        { key: 'MAX_UNKNOWN_MENTIONS', type: 'int', min: 0, max: 50, def: MAX_UNKNOWN_MENTIONS },
+        { key: 'MENTION_CHATTER_WINDOW_MS', type: 'int', min: 60000, max: 3600000, step: 60000, def: MENTION_CHATTER_WINDOW_MS },
+        { key: 'MENTION_EXEMPT_BROADCASTER', type: 'bool', def: MENTION_EXEMPT_BROADCASTER },
+        { key: 'MENTION_EXEMPT_WHITELIST', type: 'bool', def: MENTION_EXEMPT_WHITELIST },
+        { key: 'GLOBAL_COPY_PASTE_WINDOW_MS', type: 'int', min: 1000, max: 120000, step: 1000, def: GLOBAL_COPY_PASTE_WINDOW_MS },
+        { key: 'GLOBAL_COPY_PASTE_MIN_LENGTH', type: 'int', min: 1, max: 100, def: GLOBAL_COPY_PASTE_MIN_LENGTH },
+        { key: 'SIMILARITY_THRESHOLD', type: 'float', min: 0.5, max: 1, step: 0.01, def: SIMILARITY_THRESHOLD },
+        { key: 'ENABLE_UPPERCASE_FILTER', type: 'bool', def: ENABLE_UPPERCASE_FILTER },
+        { key: 'UPPERCASE_RATIO', type: 'float', min: 0.3, max: 1, step: 0.05, def: UPPERCASE_RATIO },
+        { key: 'UPPERCASE_MIN_LETTERS', type: 'int', min: 1, max: 100, def: UPPERCASE_MIN_LETTERS },
+        { key: 'ENABLE_REPETITION_FILTER', type: 'bool', def: ENABLE_REPETITION_FILTER },
+        { key: 'ENABLE_PHRASE_REPEAT_FILTER', type: 'bool', def: ENABLE_PHRASE_REPEAT_FILTER },
+        { key: 'PHRASE_REPEAT_MIN_WORDS', type: 'int', min: 2, max: 20, def: PHRASE_REPEAT_MIN_WORDS },
+        { key: 'PHRASE_REPEAT_MIN_REPEATS', type: 'int', min: 2, max: 20, def: PHRASE_REPEAT_MIN_REPEATS },
+        { key: 'SHORT_PHRASE_WORDS', type: 'int', min: 1, max: 10, def: SHORT_PHRASE_WORDS },
+        { key: 'SHORT_PHRASE_MIN_REPEATS', type: 'int', min: 2, max: 50, def: SHORT_PHRASE_MIN_REPEATS },
+        { key: 'MAX_CHAR_REPETITION', type: 'int', min: 2, max: 50, def: MAX_CHAR_REPETITION },
+        { key: 'MAX_WORD_REPETITION', type: 'int', min: 2, max: 50, def: MAX_WORD_REPETITION },
+        { key: 'ENABLE_ZALGO_FILTER', type: 'bool', def: ENABLE_ZALGO_FILTER },
+        { key: 'MAX_COMBINING_MARKS', type: 'int', min: 1, max: 50, def: MAX_COMBINING_MARKS },
+        { key: 'ZALGO_STRIP_MARKS', type: 'bool', def: ZALGO_STRIP_MARKS },
+        { key: 'ENABLE_LINK_FILTER', type: 'bool', def: ENABLE_LINK_FILTER },
+        { key: 'BLOCK_ALL_LINKS', type: 'bool', def: BLOCK_ALL_LINKS },
+        { key: 'ENABLE_FIRST_TIME_RULES', type: 'bool', def: ENABLE_FIRST_TIME_RULES },
+        { key: 'FIRST_TIME_MAX_EMOTES', type: 'int', min: 0, max: 100, def: FIRST_TIME_MAX_EMOTES },
+        { key: 'FIRST_TIME_BLOCK_LINKS', type: 'bool', def: FIRST_TIME_BLOCK_LINKS },
+        { key: 'FIRST_TIME_SIMILARITY_THRESHOLD', type: 'float', min: 0.5, max: 1, step: 0.01, def: FIRST_TIME_SIMILARITY_THRESHOLD },
+        { key: 'ENABLE_SCORING_MODE', type: 'bool', def: ENABLE_SCORING_MODE },
+        { key: 'SCORE_THRESHOLD', type: 'float', min: 0.25, max: 5, step: 0.05, def: SCORE_THRESHOLD },
+        { key: 'SCORE_NEAR_MISS_RATIO', type: 'float', min: 0.5, max: 1, step: 0.05, def: SCORE_NEAR_MISS_RATIO },
+        { key: 'ENABLE_BAYES_FILTER', type: 'bool', def: ENABLE_BAYES_FILTER },
+        { key: 'BAYES_THRESHOLD', type: 'float', min: 0.5, max: 1, step: 0.01, def: BAYES_THRESHOLD },
+        { key: 'BAYES_MIN_MESSAGES', type: 'int', min: 1, max: 1000, def: BAYES_MIN_MESSAGES }
+    ];
+
+    /*********************
+     * Localization
+     *********************/
+    // One string table per language; every text the overlay shows goes through t(key, params)
+    // (translate() below, for the language chosen further down). Entries are plain strings or
+    // functions of the params object. Missing keys fall back to English, so adding a language
+    // only needs a new table here.
+    // Rule reasons get `limit` and `reached` already formatted (see formatReason()).
+    const DEFAULT_LANGUAGE = 'en';
+    const I18N = {
+        en: {
+            languageName: 'English',
+            on: 'ON',
+            off: 'OFF',
+            filter: 'Filter',
+            marking: 'Marking',
+            ignoreReplies: 'Ignore Replies',
+            hypeMode: 'Hype mode',
+            hypeModeTitle: (p) => `Relaxes the flood limit (x${p.factor}) for ${p.minutes} min`,
+            settingsTitle: 'Settings',
+            minimize: 'Minimize',
+            expand: 'Expand',
+            messagesProcessed: 'messages processed',
+            overlayNote: 'F9 = Overlay On/Off | Drag = move',
+            language: 'Language',
+            languageAuto: (p) => `Auto (${p.name})`,
+            languageChanged: (p) => `Language -> ${p.name}`,
+            whitelisted: 'whitelisted',
+            whitelist: 'Whitelist',
+            blocklist: 'Blocklist',
+            allowedDomains: 'Allowed domains',
+            deniedDomains: 'Denied domains',
+
+            errExpectedBool: 'expected true/false',
+            errExpectedChoice: (p) => `expected one of: ${p.options}`,
+            errNotANumber: 'not a number',
+            errWholeNumber: 'whole number expected',
+            errRange: (p) => `allowed range ${p.min}-${p.max}`,
+            errNameEmpty: 'name is empty',
+            errNameTooLong: 'name is longer than 40 characters',
+            errProfileExists: (p) => `profile "${p.name}" already exists`,
+            errRenameDefault: 'the default profile cannot be renamed',
+            errDeleteDefault: 'the default profile cannot be deleted',
+            errInvalidLogin: (p) => `"${p.value}" is not a valid login`,
+            errAlreadyListed: (p) => `${p.login} is already on the list "${p.list}"`,
+            errNotListed: (p) => `${p.login} is not on the list "${p.list}"`,
+            errInvalidDomain: (p) => `"${p.value}" is not a valid domain`,
+            errNotJsonObject: 'not a JSON object',
+            errFormat: (p) => `expected "${p.format}"`,
+            errVersion: (p) => `unsupported version ${p.version}`,
+            errLoginList: 'expected a list of logins',
+            errDomainList: 'expected a list of domains',
+            errExpectedObject: 'expected an object',
+            errProfileName: 'invalid profile name',
+            errUnknownSetting: 'unknown setting',
+            errUnknownPreset: (p) => `unknown preset "${p.preset}"`,
+            errUnknownLanguage: (p) => `unknown language "${p.language}"`,
+            errChannelLogin: 'invalid channel login',
+            errExpectedProfileName: 'expected a profile name',
+            errProfileMissing: (p) => `profile "${p.name}" does not exist`,
+
+            profile: 'Profile',
+            profileFor: (p) => `Profile for ${p.channel}:`,
+            copy: 'Copy',
+            rename: 'Rename',
+            delete: 'Delete',
+            promptNewProfile: 'Name of the new profile:',
+            copyName: (p) => `${p.name} copy`,
+            promptRenameProfile: 'New name of the profile:',
+            confirmDeleteProfile: (p) => `Delete profile "${p.name}"? Channels using it fall back to "${p.fallback}".`,
+            profileCopied: (p) => `Profile "${p.from}" copied to "${p.to}"`,
+            profileRenamed: (p) => `Profile "${p.from}" renamed to "${p.to}"`,
+            profileDeleted: (p) => `Profile "${p.name}" deleted`,
+            profileActive: (p) => `Profile "${p.name}" active (channel: ${p.channel})`,
+
+            preset: 'Preset:',
+            presetLenient: 'Lenient',
+            presetBalanced: 'Balanced',
+            presetStrict: 'Strict',
+            presetEmoteFriendly: 'Emote-friendly',
+            diff: 'Diff',
+            presetDiffTitle: 'Show the values that differ from the preset in the log',
+            presetModified: (p) => `● modified (${p.count})`,
+            presetModifiedTitle: (p) => `${p.count} value(s) differ from "${p.preset}"`,
+            confirmApplyPreset: (p) => `Apply preset "${p.preset}"? All thresholds of profile "${p.profile}" will be overwritten.`,
+            presetApplied: (p) => `Preset "${p.preset}" applied to profile "${p.profile}"`,
+            presetDiff: (p) => `Differences to preset "${p.preset}" (preset → current):`,
+
+            searchAddLogin: 'Search / add login',
+            searchAddDomain: 'Search / add domain',
+            add: 'Add',
+            remove: 'Remove',
+            definedInScript: (p) => `Defined in the script (${p.name})`,
+            userAdded: (p) => `${p.list}: ${p.login} added`,
+            userRemoved: (p) => `${p.list}: ${p.login} removed`,
+
+            userRules: 'User rules',
+            userRuleId: 'id',
+            userRuleLabel: 'Reason shown in the log',
+            userRuleCode: 'Expression or snippet, e.g. /free followers/i.test(text)',
+            userRuleOrder: 'Order (built-in rules: 5-130)',
+            userRuleNote: 'Sees text, user, emotes, emoteCount and words; a truthy result = spam. This is no sandbox: the code runs in the page with full access and no time limit. Only add code you understand.',
+            severityLow: 'low',
+            severityMedium: 'medium',
+            severityHigh: 'high',
+            ruleAdded: (p) => `Rule "${p.id}" added`,
+            ruleRemoved: (p) => `Rule "${p.id}" removed`,
+            ruleToggled: (p) => `Rule "${p.id}" -> ${p.state}`,
+            ruleFailed: (p) => `Rule "${p.id}" failed and was switched off: ${p.error}`,
+            ruleFailedSkipped: (p) => `Rule "${p.id}" failed and skipped the message: ${p.error}`,
+            blockedTerms: 'Blocked terms',
+            keywordPlaceholder: 'Term, word, wild*card or regex',
+            keywordTypeKeyword: 'Text',
+            keywordTypeWord: 'Whole word',
+            keywordTypeWildcard: 'Wildcard',
+            keywordTypeRegex: 'Regex',
+            caseSensitive: 'Aa',
+            expiryNever: 'No expiry',
+            expiry1h: '1 hour',
+            expiry1d: '1 day',
+            expiry7d: '7 days',
+            expiry30d: '30 days',
+            expiresAt: (p) => `Expires ${p.date}`,
+            keywordAdded: (p) => `Blocked term "${p.pattern}" added`,
+            keywordRemoved: (p) => `Blocked term "${p.pattern}" removed`,
+            errRuleId: 'id: only a-z, 0-9, - and _ (max. 30 characters)',
+            errRuleExists: (p) => `rule "${p.id}" already exists`,
+            errRuleNotFound: (p) => `rule "${p.id}" not found`,
+            errRuleBuiltin: (p) => `rule "${p.id}" is built in`,
+            errRuleCode: (p) => `code: ${p.error}`,
+            errRuleCodeEmpty: 'code: expression or snippet expected (max. 2000 characters)',
+            errRuleCheck: 'check must be a function',
+            errRuleSeverity: 'severity: low, medium or high expected',
+            errRuleList: 'expected a list of rules',
+            errKeywordEmpty: 'pattern: 1 to 200 characters expected',
+            errKeywordType: (p) => `unknown type "${p.type}" (keyword, word, wildcard or regex)`,
+            errRegexInvalid: (p) => `invalid pattern: ${p.error}`,
+            errRegexSlow: 'regex is too slow (nested quantifiers or catastrophic backtracking)',
+            errKeywordExists: (p) => `"${p.pattern}" is already on the list`,
+            errKeywordNotFound: (p) => `"${p.pattern}" is not on the list`,
+            errKeywordList: 'expected a list of blocked terms',
+            errExpiry: 'expires: timestamp (ms) or null expected',
+
+            export: 'Export',
+            import: 'Import',
+            mergeIntoCurrent: ' merge into current configuration',
+            configExported: 'Configuration exported',
+            importInvalidJson: (p) => `Import failed: invalid JSON (${p.error})`,
+            importFailed: (p) => `Import of ${p.file} failed`,
+            confirmImportWithErrors: (p) => `${p.count} invalid field(s) will be skipped (see log). ${p.merge ? 'Merge' : 'Replace the current configuration'} anyway?`,
+            confirmImport: (p) => `${p.merge ? 'Merge' : 'Replace the current configuration'} with ${p.file}?`,
+            warnImportUserRules: (p) => `WARNING: the file contains ${p.count} user rule(s) (${p.ids}). Their code runs in this page with full access to it and to your Twitch session, without a time limit. Only import it if you trust whoever made the file.`,
+            configImported: (p) => `Configuration ${p.merge ? 'merged' : 'imported'} from ${p.file}`,
+            emoteDictionary: (p) => `Emote dictionary of ${p.channel} (${p.count})`,
+            emoteDictionaryTitle: 'Words in this list count as emotes in this channel. Learned from emote images in chat, or imported: a list of names or a BTTV/FFZ/7TV emote list (JSON).',
+            clear: 'Clear',
+            confirmClearEmotes: (p) => `Remove all ${p.count} emotes of ${p.channel} from the dictionary?`,
+            emotesImported: (p) => `Emote dictionary of ${p.channel}: ${p.count} emote(s) read, ${p.added} new`,
+            emotesExported: (p) => `Emote dictionary of ${p.channel} exported`,
+            emotesCleared: (p) => `Emote dictionary of ${p.channel} cleared`,
+            errNoChannel: 'no channel open',
+            errNoEmoteNames: 'no emote names found',
+            bayesClassifier: (p) => `Bayes classifier: ${p.spam} spam / ${p.ham} not spam (${p.tokens} words)`,
+            bayesClassifierTitle: (p) => `Trained with the ✓/✗ links of filtered messages in the log (ENABLE_BAYES_FILTER). Active from ${p.min} messages of each kind; stored in this browser for all profiles.`,
+            bayesTopSpam: 'Points to spam',
+            bayesTopHam: 'Points to not spam',
+            bayesIsSpam: 'Correct, this is spam (train the classifier)',
+            bayesNotSpam: 'Not spam: show the message again and train the classifier',
+            bayesTrainedSpam: 'trained as spam',
+            bayesTrainedHam: 'trained as not spam',
+            reset: 'Reset',
+            confirmBayesReset: (p) => `Forget all ${p.count} trained messages of the Bayes classifier?`,
+            bayesImported: (p) => `Bayes classifier imported (${p.spam} spam / ${p.ham} not spam)`,
+            bayesExported: 'Bayes classifier exported',
+            bayesReset: 'Bayes classifier reset',
+            bayesStorageFailed: (p) => `Bayes classifier: IndexedDB error: ${p.error}`,
+            errBayesModel: 'no valid Bayes model found',
+
+            settingDefault: (p) => `Default: ${p.def}`,
+            settingDefaultRange: (p) => `Default: ${p.def} | Range: ${p.min}-${p.max}`,
+            invalidValue: (p) => `Invalid value for ${p.key}: ${p.error}`,
+            settingChanged: (p) => `Setting ${p.key} -> ${p.value}`,
+            resetToPreset: 'Reset to preset',
+            settingsReset: (p) => `Settings reset to preset "${p.preset}"`,
+
+            hidden: (p) => `Hidden (${p.reason}) - ${p.user}`,
+            marked: (p) => `Marked (${p.reason}) - ${p.user}`,
+            cleaned: (p) => `Cleaned (${p.reason}) - ${p.user}`,
+            detected: (p) => `Detected (${p.reason}) - ${p.user}`,
+            similarPair: (p) => `Similar pair → Filtered: "${p.filtered}" ↔ Trigger: "${p.trigger}"${p.triggerUser ? ` by ${p.triggerUser}` : ''}`,
+            textNormalized: (p) => `Normalized (${[p.removed ? `${p.removed} invisible removed` : '', p.folded ? `${p.folded} look-alike/styled replaced` : ''].filter(Boolean).join(', ')}): "${p.text}" - ${p.user}`,
+            noChatContainer: 'No chat container found, retry...',
+            chatContainerFound: 'Chat container found.',
+            chatObserverActive: 'Chat observer active.',
+            observeChatError: (p) => `observeChat error: ${p.error}`,
+            privilegedCheckError: (p) => `isPrivileged error: ${p.error}`,
+            privilegedUser: (p) => `Whitelist/Privileged: ${p.user}`,
+            // log prefix of changes made in the overlay or through window.TSF
+            fromOverlay: (p) => `Overlay-${p.text}`,
+            fromApi: (p) => `API-${p.text}`,
+            starting: (p) => `Starting Twitch Spam Filter v${p.version}...`,
+
+            reasonBlocklist: 'Blocklist',
+            reasonTooManyEmotes: (p) => `Too many emotes (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonEmoteDensity: (p) => `Too high emote density (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonEmoteSeries: (p) => `Emote series (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonUppercase: (p) => `Uppercase (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonCharRepetition: (p) => `Repeated characters (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonWordRepetition: (p) => `Repeated word (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonPhraseRepeat: (p) => `Repeated phrase blocks (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonArt: (p) => `ASCII/Braille Art (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonZalgo: (p) => `Zalgo text, stacked marks (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonFlood: (p) => `Flood, messages per second (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonMentions: (p) => `Mass mentions (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonMentionWindow: (p) => `Mentions within the time window (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonUnknownMentions: (p) => `Mentions of users not in chat (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonRepetition: (p) => `Repetition (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonSimilar: (p) => `Similar messages (Limit: ${p.limit} | Found: ${p.reached})`,
+            reasonCopyPasteExact: 'Copy-Paste (Exact match)',
+            reasonCopyPasteSimilar: (p) => `Copy-Paste (similar: Threshold ${p.limit} | Similarity: ${p.reached})`,
+            reasonEmoteTrain: (p) => `Emote-Train (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonCustomRule: (p) => `Rule "${p.label}"${p.reached ? ` (Limit: ${p.limit} | Reached: ${p.reached})` : ''}`,
+            reasonBayes: (p) => `Bayes classifier (Limit: ${p.limit} | Reached: ${p.reached})`,
+            reasonFirstTime: (p) => `${p.reason} [first-time chatter]`,
+            scoreBreakdown: (p) => `Score ${p.total} (threshold ${p.threshold}): ${p.rules}`,
+            reasonKeyword: (p) => `Blocked term "${p.pattern}" (match: "${p.match}")`,
+            reasonLink: (p) => p.denied ? `Denied domain ${p.domain}` : `Disguised link to ${p.domain}`,
+            reasonAnyLink: (p) => `Link to ${p.domain}`
+        },
+        de: {
+            languageName: 'Deutsch',
+            on: 'AN',
+            off: 'AUS',
+            filter: 'Filter',
+            marking: 'Markierung',
+            ignoreReplies: 'Antworten ignorieren',
+            hypeMode: 'Hype-Modus',
+            hypeModeTitle: (p) => `Lockert das Flood-Limit (x${p.factor}) für ${p.minutes} Min.`,
+            settingsTitle: 'Einstellungen',
+            minimize: 'Minimieren',
+            expand: 'Erweitern',
+            messagesProcessed: 'Nachrichten verarbeitet',
+            overlayNote: 'F9 = Overlay An/Aus | Ziehen = bewegen',
+            language: 'Sprache',
+            languageAuto: (p) => `Automatisch (${p.name})`,
+            languageChanged: (p) => `Sprache -> ${p.name}`,
+            whitelisted: 'Whitelist',
+            whitelist: 'Whitelist',
+            blocklist: 'Blocklist',
+            allowedDomains: 'Erlaubte Domains',
+            deniedDomains: 'Gesperrte Domains',
+
+            errExpectedBool: 'true/false erwartet',
+            errExpectedChoice: (p) => `erwartet wird einer der Werte: ${p.options}`,
+            errNotANumber: 'keine Zahl',
+            errWholeNumber: 'ganze Zahl erwartet',
+            errRange: (p) => `erlaubter Bereich ${p.min}-${p.max}`,
+            errNameEmpty: 'Name ist leer',
+            errNameTooLong: 'Name ist länger als 40 Zeichen',
+            errProfileExists: (p) => `Profil „${p.name}“ existiert bereits`,
+            errRenameDefault: 'das Standardprofil kann nicht umbenannt werden',
+            errDeleteDefault: 'das Standardprofil kann nicht gelöscht werden',
+            errInvalidLogin: (p) => `„${p.value}“ ist kein gültiger Login`,
+            errAlreadyListed: (p) => `${p.login} steht bereits auf der Liste „${p.list}“`,
+            errNotListed: (p) => `${p.login} steht nicht auf der Liste „${p.list}“`,
+            errInvalidDomain: (p) => `„${p.value}“ ist keine gültige Domain`,
+            errNotJsonObject: 'kein JSON-Objekt',
+            errFormat: (p) => `„${p.format}“ erwartet`,
+            errVersion: (p) => `nicht unterstützte Version ${p.version}`,
+            errLoginList: 'Liste von Logins erwartet',
+            errDomainList: 'Liste von Domains erwartet',
+            errExpectedObject: 'Objekt erwartet',
+            errProfileName: 'ungültiger Profilname',
+            errUnknownSetting: 'unbekannte Einstellung',
+            errUnknownPreset: (p) => `unbekanntes Preset „${p.preset}“`,
+            errUnknownLanguage: (p) => `unbekannte Sprache „${p.language}“`,
+            errChannelLogin: 'ungültiger Kanal-Login',
+            errExpectedProfileName: 'Profilname erwartet',
+            errProfileMissing: (p) => `Profil „${p.name}“ existiert nicht`,
+
+            profile: 'Profil',
+            profileFor: (p) => `Profil für ${p.channel}:`,
+            copy: 'Kopieren',
+            rename: 'Umbenennen',
+            delete: 'Löschen',
+            promptNewProfile: 'Name des neuen Profils:',
+            copyName: (p) => `${p.name} Kopie`,
+            promptRenameProfile: 'Neuer Name des Profils:',
+            confirmDeleteProfile: (p) => `Profil „${p.name}“ löschen? Kanäle mit diesem Profil nutzen dann „${p.fallback}“.`,
+            profileCopied: (p) => `Profil „${p.from}“ nach „${p.to}“ kopiert`,
+            profileRenamed: (p) => `Profil „${p.from}“ in „${p.to}“ umbenannt`,
+            profileDeleted: (p) => `Profil „${p.name}“ gelöscht`,
+            profileActive: (p) => `Profil „${p.name}“ aktiv (Kanal: ${p.channel})`,
+
+            preset: 'Preset:',
+            presetLenient: 'Locker',
+            presetBalanced: 'Ausgewogen',
+            presetStrict: 'Streng',
+            presetEmoteFriendly: 'Emote-freundlich',
+            presetDiffTitle: 'Zeigt die vom Preset abweichenden Werte im Log',
+            presetModified: (p) => `● geändert (${p.count})`,
+            presetModifiedTitle: (p) => `${p.count} Wert(e) weichen von „${p.preset}“ ab`,
+            confirmApplyPreset: (p) => `Preset „${p.preset}“ anwenden? Alle Schwellwerte des Profils „${p.profile}“ werden überschrieben.`,
+            presetApplied: (p) => `Preset „${p.preset}“ auf Profil „${p.profile}“ angewendet`,
+            presetDiff: (p) => `Abweichungen vom Preset „${p.preset}“ (Preset → aktuell):`,
+
+            searchAddLogin: 'Login suchen / hinzufügen',
+            searchAddDomain: 'Domain suchen / hinzufügen',
+            add: 'Hinzufügen',
+            remove: 'Entfernen',
+            definedInScript: (p) => `Im Script festgelegt (${p.name})`,
+            userAdded: (p) => `${p.list}: ${p.login} hinzugefügt`,
+            userRemoved: (p) => `${p.list}: ${p.login} entfernt`,
+
+            userRules: 'Eigene Regeln',
+            userRuleId: 'ID',
+            userRuleLabel: 'Begründung im Log',
+            userRuleCode: 'Ausdruck oder Snippet, z. B. /free followers/i.test(text)',
+            userRuleOrder: 'Reihenfolge (eingebaute Regeln: 5-130)',
+            userRuleNote: 'Sieht text, user, emotes, emoteCount und words; ein wahres Ergebnis = Spam. Das ist keine Sandbox: der Code läuft mit vollem Zugriff in der Seite und ohne Zeitlimit. Nur Code hinzufügen, den du verstehst.',
+            severityLow: 'niedrig',
+            severityMedium: 'mittel',
+            severityHigh: 'hoch',
+            ruleAdded: (p) => `Regel „${p.id}“ hinzugefügt`,
+            ruleRemoved: (p) => `Regel „${p.id}“ entfernt`,
+            ruleToggled: (p) => `Regel „${p.id}“ -> ${p.state}`,
+            ruleFailed: (p) => `Regel „${p.id}“ ist fehlgeschlagen und wurde abgeschaltet: ${p.error}`,
+            ruleFailedSkipped: (p) => `Regel „${p.id}“ ist fehlgeschlagen und hat die Nachricht übersprungen: ${p.error}`,
+            blockedTerms: 'Gesperrte Begriffe',
+            keywordPlaceholder: 'Begriff, Wort, Platz*halter oder Regex',
+            keywordTypeKeyword: 'Text',
+            keywordTypeWord: 'Ganzes Wort',
+            keywordTypeWildcard: 'Platzhalter',
+            keywordTypeRegex: 'Regex',
+            caseSensitive: 'Aa',
+            expiryNever: 'Kein Ablauf',
+            expiry1h: '1 Stunde',
+            expiry1d: '1 Tag',
+            expiry7d: '7 Tage',
+            expiry30d: '30 Tage',
+            expiresAt: (p) => `Läuft ab am ${p.date}`,
+            keywordAdded: (p) => `Gesperrter Begriff „${p.pattern}“ hinzugefügt`,
+            keywordRemoved: (p) => `Gesperrter Begriff „${p.pattern}“ entfernt`,
+            errRuleId: 'ID: nur a-z, 0-9, - und _ (max. 30 Zeichen)',
+            errRuleExists: (p) => `Regel „${p.id}“ existiert bereits`,
+            errRuleNotFound: (p) => `Regel „${p.id}“ nicht gefunden`,
+            errRuleBuiltin: (p) => `Regel „${p.id}“ ist eingebaut`,
+            errRuleCode: (p) => `Code: ${p.error}`,
+            errRuleCodeEmpty: 'Code: Ausdruck oder Snippet erwartet (max. 2000 Zeichen)',
+            errRuleCheck: 'check muss eine Funktion sein',
+            errRuleSeverity: 'severity: low, medium oder high erwartet',
+            errRuleList: 'Liste von Regeln erwartet',
+            errKeywordEmpty: 'Muster: 1 bis 200 Zeichen erwartet',
+            errKeywordType: (p) => `unbekannter Typ „${p.type}“ (keyword, word, wildcard oder regex)`,
+            errRegexInvalid: (p) => `ungültiges Muster: ${p.error}`,
+            errRegexSlow: 'Regex ist zu langsam (verschachtelte Quantoren oder katastrophales Backtracking)',
+            errKeywordExists: (p) => `„${p.pattern}“ steht bereits auf der Liste`,
+            errKeywordNotFound: (p) => `„${p.pattern}“ steht nicht auf der Liste`,
+            errKeywordList: 'Liste gesperrter Begriffe erwartet',
+            errExpiry: 'expires: Zeitstempel (ms) oder null erwartet',
+
+            export: 'Exportieren',
+            import: 'Importieren',
+            mergeIntoCurrent: ' mit aktueller Konfiguration zusammenführen',
+            configExported: 'Konfiguration exportiert',
+            importInvalidJson: (p) => `Import fehlgeschlagen: ungültiges JSON (${p.error})`,
+            importFailed: (p) => `Import von ${p.file} fehlgeschlagen`,
+            confirmImportWithErrors: (p) => `${p.count} ungültige(s) Feld(er) werden übersprungen (siehe Log). Trotzdem ${p.merge ? 'zusammenführen' : 'die aktuelle Konfiguration ersetzen'}?`,
+            confirmImport: (p) => `${p.merge ? 'Mit' : 'Aktuelle Konfiguration durch'} ${p.file} ${p.merge ? 'zusammenführen' : 'ersetzen'}?`,
+            warnImportUserRules: (p) => `WARNUNG: Die Datei enthält ${p.count} eigene Regel(n) (${p.ids}). Ihr Code läuft mit vollem Zugriff auf diese Seite und deine Twitch-Sitzung und ohne Zeitlimit. Nur importieren, wenn du der Person vertraust, von der die Datei stammt.`,
+            configImported: (p) => `Konfiguration aus ${p.file} ${p.merge ? 'zusammengeführt' : 'importiert'}`,
+            emoteDictionary: (p) => `Emote-Wörterbuch von ${p.channel} (${p.count})`,
+            emoteDictionaryTitle: 'Wörter aus dieser Liste zählen in diesem Kanal als Emotes. Gelernt aus Emote-Bildern im Chat oder importiert: eine Liste von Namen oder eine Emote-Liste von BTTV/FFZ/7TV (JSON).',
+            clear: 'Leeren',
+            confirmClearEmotes: (p) => `Alle ${p.count} Emotes von ${p.channel} aus dem Wörterbuch entfernen?`,
+            emotesImported: (p) => `Emote-Wörterbuch von ${p.channel}: ${p.count} Emote(s) gelesen, ${p.added} neu`,
+            emotesExported: (p) => `Emote-Wörterbuch von ${p.channel} exportiert`,
+            emotesCleared: (p) => `Emote-Wörterbuch von ${p.channel} geleert`,
+            errNoChannel: 'kein Kanal geöffnet',
+            errNoEmoteNames: 'keine Emote-Namen gefunden',
+            bayesClassifier: (p) => `Bayes-Klassifikator: ${p.spam} Spam / ${p.ham} kein Spam (${p.tokens} Wörter)`,
+            bayesClassifierTitle: (p) => `Trainiert mit den ✓/✗-Links gefilterter Nachrichten im Log (ENABLE_BAYES_FILTER). Aktiv ab ${p.min} Nachrichten jeder Art; in diesem Browser für alle Profile gespeichert.`,
+            bayesTopSpam: 'Spricht für Spam',
+            bayesTopHam: 'Spricht gegen Spam',
+            bayesIsSpam: 'Richtig, das ist Spam (Klassifikator trainieren)',
+            bayesNotSpam: 'Kein Spam: Nachricht wieder anzeigen und Klassifikator trainieren',
+            bayesTrainedSpam: 'als Spam trainiert',
+            bayesTrainedHam: 'als kein Spam trainiert',
+            reset: 'Zurücksetzen',
+            confirmBayesReset: (p) => `Alle ${p.count} trainierten Nachrichten des Bayes-Klassifikators vergessen?`,
+            bayesImported: (p) => `Bayes-Klassifikator importiert (${p.spam} Spam / ${p.ham} kein Spam)`,
+            bayesExported: 'Bayes-Klassifikator exportiert',
+            bayesReset: 'Bayes-Klassifikator zurückgesetzt',
+            bayesStorageFailed: (p) => `Bayes-Klassifikator: IndexedDB-Fehler: ${p.error}`,
+            errBayesModel: 'kein gültiges Bayes-Modell gefunden',
+
+            settingDefault: (p) => `Standard: ${p.def}`,
+            settingDefaultRange: (p) => `Standard: ${p.def} | Bereich: ${p.min}-${p.max}`,
+            invalidValue: (p) => `Ungültiger Wert für ${p.key}: ${p.error}`,
+            settingChanged: (p) => `Einstellung ${p.key} -> ${p.value}`,
+            resetToPreset: 'Auf Preset zurücksetzen',
+            settingsReset: (p) => `Einstellungen auf Preset „${p.preset}“ zurückgesetzt`,
+
+            hidden: (p) => `Versteckt (${p.reason}) - ${p.user}`,
+            marked: (p) => `Markiert (${p.reason}) - ${p.user}`,
+            cleaned: (p) => `Bereinigt (${p.reason}) - ${p.user}`,
+            detected: (p) => `Erkannt (${p.reason}) - ${p.user}`,
+            similarPair: (p) => `Ähnliches Paar → Gefiltert: "${p.filtered}" ↔ Auslöser: "${p.trigger}"${p.triggerUser ? ` von ${p.triggerUser}` : ''}`,
+            textNormalized: (p) => `Normalisiert (${[p.removed ? `${p.removed} unsichtbare entfernt` : '', p.folded ? `${p.folded} Doppelgänger/Zierschrift ersetzt` : ''].filter(Boolean).join(', ')}): "${p.text}" - ${p.user}`,
+            noChatContainer: 'Kein Chat-Container gefunden, versuche erneut...',
+            chatContainerFound: 'Chat-Container gefunden.',
+            chatObserverActive: 'Chat-Überwachung aktiv.',
+            observeChatError: (p) => `Fehler in observeChat: ${p.error}`,
+            privilegedCheckError: (p) => `Fehler in isPrivileged: ${p.error}`,
+            privilegedUser: (p) => `Whitelist/Privilegiert: ${p.user}`,
+            fromOverlay: (p) => `Overlay-${p.text}`,
+            fromApi: (p) => `API-${p.text}`,
+            starting: (p) => `Starte Twitch Spam Filter v${p.version}...`,
+
+            reasonBlocklist: 'Blocklist',
+            reasonTooManyEmotes: (p) => `Zu viele Emotes (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonEmoteDensity: (p) => `Zu hohe Emote-Dichte (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonEmoteSeries: (p) => `Emote-Serie (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonUppercase: (p) => `Großbuchstaben (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonCharRepetition: (p) => `Wiederholte Zeichen (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonWordRepetition: (p) => `Wiederholtes Wort (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonPhraseRepeat: (p) => `Wiederholte Phrasenblöcke (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonArt: (p) => `ASCII/Braille Art (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonZalgo: (p) => `Zalgo-Text, gestapelte Zeichen (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonFlood: (p) => `Flood, Nachrichten pro Sekunde (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonMentions: (p) => `Massen-Erwähnungen (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonMentionWindow: (p) => `Erwähnungen im Zeitfenster (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonUnknownMentions: (p) => `Erwähnungen von Nutzern, die nicht im Chat sind (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonRepetition: (p) => `Wiederholung (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonSimilar: (p) => `Ähnliche Nachrichten (Limit: ${p.limit} | Gefunden: ${p.reached})`,
+            reasonCopyPasteExact: 'Copy-Paste (genaue Übereinstimmung)',
+            reasonCopyPasteSimilar: (p) => `Copy-Paste (ähnlich: Schwellwert ${p.limit} | Ähnlichkeit: ${p.reached})`,
+            reasonEmoteTrain: (p) => `Emote-Zug (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonCustomRule: (p) => `Regel „${p.label}“${p.reached ? ` (Limit: ${p.limit} | Erreicht: ${p.reached})` : ''}`,
+            reasonBayes: (p) => `Bayes-Klassifikator (Limit: ${p.limit} | Erreicht: ${p.reached})`,
+            reasonFirstTime: (p) => `${p.reason} [Erstmaliger Chatter]`,
+            scoreBreakdown: (p) => `Punkte ${p.total} (Schwelle ${p.threshold}): ${p.rules}`,
+            reasonKeyword: (p) => `Gesperrter Begriff „${p.pattern}“ (Treffer: „${p.match}“)`,
+            reasonLink: (p) => p.denied ? `Gesperrte Domain ${p.domain}` : `Getarnter Link zu ${p.domain}`,
+            reasonAnyLink: (p) => `Link zu ${p.domain}`
+        }
+    };
+
+    function translate(lang, key, params) {
+        const table = I18N[lang] || I18N[DEFAULT_LANGUAGE];
+        const entry = key in table ? table[key] : I18N[DEFAULT_LANGUAGE][key];
+        return typeof entry === 'function' ? entry(params || {}) : entry;
+    }
+
+    // Language of t(); the browser part sets it from the stored setting or the page
+    let language = DEFAULT_LANGUAGE;
+
+    function t(key, params) {
+        return translate(language, key, params);
+    }
+
+    // Returns { ok: true, value } or { ok: false, error }
+    function validateSetting(field, raw) {
+        if (field.type === 'bool') {
+            if (typeof raw === 'boolean') return { ok: true, value: raw };
+            if (raw === 'true' || raw === 'false') return { ok: true, value: raw === 'true' };
+            return { ok: false, error: t('errExpectedBool') };
+        }
+        if (field.type === 'choice') {
+            const value = String(raw).trim();
+            if (field.options.includes(value)) return { ok: true, value };
+            return { ok: false, error: t('errExpectedChoice', { options: field.options.join(', ') }) };
+        }
+        const num = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+        if (String(raw).trim() === '' || !Number.isFinite(num)) return { ok: false, error: t('errNotANumber') };
+        if (field.type === 'int' && !Number.isInteger(num)) return { ok: false, error: t('errWholeNumber') };
+        if (num < field.min || num > field.max) return { ok: false, error: t('errRange', { min: field.min, max: field.max }) };
+        return { ok: true, value: num };
+    }
+
+    /*********************
+     * Detection engine (no DOM access)
+     *********************/
+    // All rules run in an engine created by createSpamEngine(). An engine reads its thresholds
+    // from the config object it was given (the overlay passes the live `settings` object),
+    // takes the time from an injectable clock and keeps its own message history, so several
+    // engines never share state. The same code runs in the browser and under Node (see test/).
+    const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS_SCHEMA.map(field => [field.key, field.def]));
+
+    // Verdict of one message:
+    // { spam, rule, severity, limit, reached, trigger }
+    // - rule: id of the rule that fired (see BUILTIN_RULES, or a user/script rule)
+    // - limit/reached: the threshold of the rule and the value the message reached (null if
+    //   the rule has no threshold)
+    // - trigger: { text, user } of the earlier message the rule matched against, or null
+    // - firstTime: only present (true) when the stricter first-time settings were used
+    // - score: only present in scoring mode (also on passes): { total, threshold, rules }, rules:
+    //   [{ rule, score, limit, reached }] for every rule that added to the total; `rule` of the
+    //   verdict is the one with the highest score (rules that fired first, then near misses)
+    const RULE_SEVERITIES = ['low', 'medium', 'high'];
+    // Scoring mode: weight of a rule by severity (a rule can set its own `weight`), and the grade
+    // of a hit without a measured value (blocked terms, links, exact copy/paste, user rules)
+    const SCORE_SEVERITY_WEIGHTS = { low: 0.75, medium: 1, high: 1.25 };
+    const SCORE_MAX_GRADE = 2;
+
+    const RULE_FAILED = Object.freeze({});
+
+    // reached / limit of a rule result, or null when it has no usable numbers
+    function limitRatio(result) {
+        if (typeof result.limit !== 'number' || typeof result.reached !== 'number') return null;
+        if (result.limit <= 0) return result.reached > 0 ? SCORE_MAX_GRADE : 0;
+        return result.reached / result.limit;
+    }
+    const PASS = Object.freeze({ spam: false, rule: null, severity: null, limit: null, reached: null, trigger: null });
+    function createVerdict(rule, limit = null, reached = null, trigger = null, severity = RULES[rule].severity) {
+        return { spam: true, rule, severity, limit, reached, trigger };
+    }
+
+    // ---------- Text normalization (before all rules) ----------
+    // Look-alike letters that spammers mix into Latin words (a small part of the Unicode
+    // confusables list): Cyrillic, Greek and small capitals -> Latin
+    const CONFUSABLES = {
+        'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+        'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ӏ': 'l',
+        'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T',
+        'Х': 'X', 'У': 'Y', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S', 'Ү': 'Y', 'Ԛ': 'Q', 'Ԝ': 'W',
+        'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'υ': 'u', 'ϲ': 'c',
+        'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O',
+        'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+        'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ꜰ': 'f', 'ɢ': 'g', 'ʜ': 'h', 'ɪ': 'i', 'ᴊ': 'j',
+        'ᴋ': 'k', 'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p', 'ǫ': 'q', 'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't',
+        'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z'
+    };
+    // Invisible and format characters (zero-width space/joiner, bidi marks, tag characters,
+    // variation selectors, Hangul fillers, ...). Joiners, variation selectors and tags that
+    // belong to an emoji sequence are kept.
+    const INVISIBLE_PATTERN = /[\p{Cf}\u{E0000}\u034F\u115F\u1160\u3164\uFFA0\uFE00-\uFE0F\u{E0100}-\u{E01EF}]/gu;
+    const EMOJI_JOINER = /^[\u200D\uFE0E\uFE0F\u{E0020}-\u{E007F}]$/u;
+    const EMOJI_BEFORE = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F\u20E3\u{E0020}-\u{E007F}]$/u;
+    // Stylized alphabets that NFKC maps back to plain letters and digits: fullwidth forms,
+    // enclosed alphanumerics, letterlike symbols (ℍ, ℓ), math alphanumerics (𝐇, 𝕙, 𝓱)
+    const STYLIZED_PATTERN = /[\uFF01-\uFF5E\u2460-\u24FF\u{1D400}-\u{1D7FF}\u{1F100}-\u{1F149}]|(?=\p{L})[\u2100-\u214F]/gu;
+    // Negative circled/squared capitals (🅐, 🅰) have no NFKC mapping
+    const NEGATIVE_LETTER_PATTERN = /[\u{1F150}-\u{1F169}\u{1F170}-\u{1F189}]/gu;
+    const MIXED_WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+    // Folds look-alikes in words that contain Latin letters, or that consist of look-alikes
+    // only. Other Cyrillic and Greek words ("Привет") are left alone.
+    function foldConfusables(text, counter) {
+        return text.replace(MIXED_WORD_PATTERN, (word) => {
+            let latin = false;
+            let foreign = false;
+            for (const c of word) {
+                if (/[a-zA-Z]/.test(c)) latin = true;
+                else if (/\p{L}/u.test(c) && !CONFUSABLES[c]) foreign = true;
+            }
+            if (foreign && !latin) return word;
+            return word.replace(/[^\x00-\x7F]/g, (c) => {
+                if (!CONFUSABLES[c]) return c;
+                counter.folded++;
+                return CONFUSABLES[c];
+            });
+        });
+    }
+
+    // The shared first stage of every check: removes invisible characters, maps stylized
+    // alphabets to plain letters and folds look-alikes.
+    // Returns { text, removed, folded } (counts of removed and replaced characters).
+    function normalizeText(text) {
+        const result = { text, removed: 0, folded: 0 };
+        if (!text || /^[\x20-\x7E]*$/.test(text)) return result;
+        let s = text.replace(INVISIBLE_PATTERN, (c, offset, all) => {
+            if (EMOJI_JOINER.test(c) && EMOJI_BEFORE.test(all.slice(Math.max(0, offset - 2), offset))) return c;
+            result.removed++;
+            return '';
+        });
+        s = s.replace(STYLIZED_PATTERN, (c) => {
+            const plain = c.normalize('NFKC');
+            if (plain === c) return c;
+            result.folded++;
+            return plain;
+        });
+        s = s.replace(NEGATIVE_LETTER_PATTERN, (c) => {
+            const cp = c.codePointAt(0);
+            result.folded++;
+            return String.fromCharCode(65 + (cp >= 0x1F170 ? cp - 0x1F170 : cp - 0x1F150));
+        });
+        result.text = foldConfusables(result.removed ? s.trim() : s, result);
+        return result;
+    }
+
+    // ---------- Similarity detection ----------
+    function createBigrams(input) {
+        const s = (input || '').toLowerCase();
+        const cleaned = s
+            .normalize('NFKD')
+            .replace(/[^\p{Letter}\p{Number}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (cleaned.length < 2) return [];
+        const grams = [];
+        for (let i = 0; i < cleaned.length - 1; i++) {
+            grams.push(cleaned.slice(i, i + 2));
+        }
+        return grams;
+    }
+
+    // Bigram counts of a text, built once per message: { text, grams: Map(bigram -> count), size }
+    function bigramProfile(text) {
+        const list = createBigrams(text);
+        const grams = new Map();
+        for (const g of list) grams.set(g, (grams.get(g) || 0) + 1);
+        return { text: text || '', grams, size: list.length };
+    }
+
+    // Dice coefficient of two bigram profiles
+    function diceProfiles(a, b) {
+        if (!a.text || !b.text) return 0;
+        if (a.text === b.text) return 1;
+        if (!a.size || !b.size) return 0;
+        const [small, large] = a.grams.size <= b.grams.size ? [a.grams, b.grams] : [b.grams, a.grams];
+        let intersection = 0;
+        for (const [g, count] of small) intersection += Math.min(count, large.get(g) || 0);
+        return (2 * intersection) / (a.size + b.size);
+    }
+
+    function diceCoefficient(a, b) {
+        return diceProfiles(bigramProfile(a), bigramProfile(b));
+    }
+
+    function similarityScore(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        const cleanA = removeEmotes(a);
+        const cleanB = removeEmotes(b);
+        if (!cleanA || !cleanB) return 0;
+        if (cleanA === cleanB) return 1;
+        return diceCoefficient(cleanA, cleanB);
+    }
+
+    // For inputs that are already cleaned (lowercased, punctuation stripped, emotes removed)
+    function similarityScoreClean(cleanA, cleanB) {
+        if (!cleanA || !cleanB) return 0;
+        if (cleanA === cleanB) return 1;
+        return diceCoefficient(cleanA, cleanB);
+    }
+
+    function areTextsSimilar(a, b, threshold) {
+        if (!a || !b) return false;
+        if (a === b) return true;
+        if (Math.min(a.length, b.length) < 6) return false;
+        return similarityScore(a, b) >= threshold;
+    }
+    
+    // Helper function to remove emotes from text
+    function removeEmotes(text) {
+        if (!text) return '';
+        // Remove emoji-like characters (simple heuristic)
+        // Unicode ranges for emojis, symbols, etc.
+        return text
+            .replace(/[\u{1F600}-\u{1F64F}]/gu, '') // Emoticons
+            .replace(/[\u{1F300}-\u{1F5FF}]/gu, '') // Various symbols and pictograms
+            .replace(/[\u{1F680}-\u{1F6FF}]/gu, '') // Transport and map symbols
+            .replace(/[\u{1F1E0}-\u{1F1FF}]/gu, '') // Flags
+            .replace(/[\u{2600}-\u{26FF}]/gu, '')   // Various symbols
+            .replace(/[\u{2700}-\u{27BF}]/gu, '')   // Dingbats
+            .replace(/[\u{FE00}-\u{FE0F}]/gu, '')   // Variation selectors
+            .replace(/[\u{1F900}-\u{1F9FF}]/gu, '') // Supplemental symbols and pictograms
+            .replace(/[\u{1F018}-\u{1F270}]/gu, '') // Various symbols
+            .replace(/\s+/g, ' ') // Multiple spaces to one
+            .trim();
+    }
+
+    function mostCommonRunLength(codes) {
+        if (!codes || codes.length === 0) return 0;
+        let best = 1, run = 1;
+        for (let i = 1; i < codes.length; i++) {
+            if (codes[i] === codes[i - 1]) {
+                run++;
+                if (run > best) best = run;
+            } else {
+                run = 1;
+            }
+        }
+        return best;
+    }
+
+    // Emote names as typed in chat: one word without spaces (they are case-sensitive: "KEKW" is not "kekw")
+    function isEmoteName(name) {
+        return typeof name === 'string' && /^\S{2,50}$/.test(name);
+    }
+
+    // Emote names from an imported JSON file: a list of names, or the emote lists of the
+    // BTTV/FFZ/7TV APIs ([{ code }], { channelEmotes, sharedEmotes }, { emote_set: { emotes: [{ name }] } },
+    // { sets: { id: { emoticons: [{ name }] } } }).
+    // Returns the valid names in file order, without duplicates.
+    function readEmoteNames(doc) {
+        const names = new Set();
+        const visit = (value, depth) => {
+            if (depth > 4 || !value) return;
+            if (typeof value === 'string') {
+                if (isEmoteName(value)) names.add(value);
+            } else if (Array.isArray(value)) {
+                for (const item of value) visit(item, depth + 1);
+            } else if (typeof value === 'object') {
+                const lists = ['emotes', 'emoticons', 'channelEmotes', 'sharedEmotes', 'emote_set'].filter(key => value[key]);
+                // emote lists first: sets have names too
+                for (const key of lists) visit(value[key], depth + 1);
+                if (value.sets && typeof value.sets === 'object') visit(Object.values(value.sets), depth + 1);
+                else if (!lists.length) visit(typeof value.code === 'string' ? value.code : value.name, depth);
+            }
+        };
+        visit(doc, 0);
+        return Array.from(names);
+    }
+
+    // Moves the words of the text that are in the emote dictionary (a Set of names) to the emote codes:
+    // { text, emoteCodes } with the codes in the order of the words
+    function findTextEmotes(text, dictionary) {
+        const emoteCodes = [];
+        if (!text || !dictionary || !dictionary.size) return { text: text || '', emoteCodes };
+        const words = text.split(/\s+/).filter(word => {
+            if (!dictionary.has(word)) return true;
+            emoteCodes.push(word.toLowerCase());
+            return false;
+        });
+        return { text: emoteCodes.length ? words.join(' ').trim() : text, emoteCodes };
+    }
+
+    // sorted: order-insensitive signature ("a|b|c" for "c b a"), for the 'multiset' and 'similar' emote train modes
+    function emoteSignature(codes, sorted = false) {
+        // signature with limited length so performance stays good
+        // Normalize codes to ensure consistent comparison
+        const normalized = (codes || [])
+            .filter(c => c && c.trim()) // Remove empty codes
+            .map(c => c.toLowerCase().trim()); // Ensure lowercase and trimmed
+        // sort the whole wall before cutting it, so longer walls don't depend on the order either
+        if (sorted) normalized.sort();
+        return normalized.slice(0, 12).join('|');
+    }
+
+    // Jaccard index of two signatures with repeated emotes counted: shared / all emotes of both
+    // ("kekw|kekw|pog" and "kekw|pog" share 2 of 3)
+    function emoteSignatureSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        const counts = new Map();
+        const codesA = a.split('|');
+        for (const code of codesA) counts.set(code, (counts.get(code) || 0) + 1);
+        let shared = 0;
+        let union = codesA.length;
+        for (const code of b.split('|')) {
+            const left = counts.get(code) || 0;
+            if (left) {
+                shared++;
+                counts.set(code, left - 1);
+            } else {
+                union++;
+            }
+        }
+        return shared / union;
+    }
+
+    // Does a remembered emote combination belong to the same train as this one (EMOTE_TRAIN_MODE)?
+    // entry and current: { sig, sorted } (see emoteSignature)
+    function sameEmoteTrain(entry, current, config) {
+        if (config.EMOTE_TRAIN_MODE === 'multiset') return entry.sorted === current.sorted;
+        if (config.EMOTE_TRAIN_MODE === 'similar') return emoteSignatureSimilarity(entry.sorted, current.sorted) >= config.EMOTE_TRAIN_SIMILARITY;
+        return entry.sig === current.sig;
+    }
+
+    // Helper function for uppercase filter: counts the letters that have a case (Unicode categories
+    // Lu/Lt and Ll, so umlauts, Cyrillic and Greek count; Chinese or Japanese letters do not).
+    // Words that are @mentions or one of the message's emote codes are left out.
+    // Returns { letters, upper, ratio }
+    function uppercaseRatio(text, emoteCodes = []) {
+        const emotes = emoteCodes.map(code => String(code).toLowerCase());
+        let letters = 0;
+        let upper = 0;
+        for (const word of (text || '').split(/\s+/)) {
+            if (!word || word.startsWith('@') || emotes.includes(word.toLowerCase())) continue;
+            const cased = word.match(/[\p{Lu}\p{Lt}\p{Ll}]/gu) || [];
+            letters += cased.length;
+            upper += cased.filter(c => /[\p{Lu}\p{Lt}]/u.test(c)).length;
+        }
+        return { letters, upper, ratio: letters ? upper / letters : 0 };
+    }
+
+    // User-perceived characters: an emoji with skin tone or ZWJ sequence, or a letter with its
+    // accents, is one grapheme (code points where Intl.Segmenter is missing)
+    const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+    function splitGraphemes(text) {
+        if (!text) return [];
+        return graphemeSegmenter ? Array.from(graphemeSegmenter.segment(text), s => s.segment) : Array.from(text);
+    }
+
+    // Helper function for repeated characters
+    function hasExcessiveRepetition(text, maxRepetitionAllowed) {
+        if (!text || splitGraphemes(text).length < 3) return false;
+        return longestCharRun(text) > maxRepetitionAllowed;
+    }
+
+    // Longest run of the same grapheme
+    function longestCharRun(text) {
+        return longestRun(splitGraphemes(text));
+    }
+
+    function longestRun(items) {
+        if (!items.length) return 0;
+        let maxRepetition = 1;
+        let currentRepetition = 1;
+
+        for (let i = 1; i < items.length; i++) {
+            if (items[i] === items[i - 1]) {
+                currentRepetition++;
+                maxRepetition = Math.max(maxRepetition, currentRepetition);
+            } else {
+                currentRepetition = 1;
+            }
+        }
+
+        return maxRepetition;
+    }
+
+    // Combining marks (not the spacing marks of Indic scripts) in stacks on one base character
+    const MARK_STACK_PATTERN = /[\p{Mn}\p{Me}]+/gu;
+
+    function longestMarkStack(text) {
+        let longest = 0;
+        for (const m of text.matchAll(MARK_STACK_PATTERN)) {
+            const length = Array.from(m[0]).length;
+            if (length > longest) longest = length;
+        }
+        return longest;
+    }
+
+    // Removes combining marks; a single mark that composes with its letter (e + ́ -> é) is kept
+    function stripCombiningMarks(text) {
+        return text.replace(/(\P{M})?([\p{Mn}\p{Me}]+)/gu, (m, base, marks) => {
+            if (!base) return '';
+            const composed = (base + Array.from(marks)[0]).normalize('NFC');
+            return Array.from(composed).length === 1 ? composed : base;
+        });
+    }
+
+    // ---------- Copy/paste index (copy-paste rules) ----------
+    // Recent messages of all users for the global copy/paste rules. Every entry keeps its bigram
+    // profile and a MinHash signature of its distinct bigrams. The signature is cut into bands:
+    // messages that agree in all values of a band share a bucket (LSH), and only those are
+    // compared with diceProfiles(). Similar texts share a bucket with high probability,
+    // unrelated ones rarely do, so a message is compared with a few candidates instead of
+    // every message in GLOBAL_COPY_PASTE_WINDOW_MS.
+    const MINHASH_SIZE = 128;
+    // Rows per band, fewest candidates first; lshRows() takes the first one that still finds
+    // LSH_RECALL of the pairs at the similarity threshold
+    const LSH_ROWS = [8, 4, 2, 1];
+    const LSH_RECALL = 0.999;
+
+    // FNV-1a
+    function hashString(s) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+        return h >>> 0;
+    }
+
+    // murmur3 finalizer: spreads the bits of a 32-bit number
+    function mixHash(h) {
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Smallest hash of the distinct bigrams for each of MINHASH_SIZE hash functions (cached on the profile)
+    function minHashSignature(profile) {
+        if (profile.signature) return profile.signature;
+        const signature = new Uint32Array(MINHASH_SIZE).fill(0xffffffff);
+        for (const gram of profile.grams.keys()) {
+            const base = hashString(gram);
+            for (let i = 0; i < MINHASH_SIZE; i++) {
+                const value = mixHash((base + Math.imul(i + 1, 0x9e3779b9)) >>> 0);
+                if (value < signature[i]) signature[i] = value;
+            }
+        }
+        profile.signature = signature;
+        return signature;
+    }
+
+    // A Dice coefficient t is a Jaccard index of about t / (2 - t); two texts with Jaccard index j
+    // share a bucket with probability 1 - (1 - j^rows)^bands. Low thresholds need short bands
+    // (more candidates), down to one row per band.
+    function lshRows(threshold) {
+        const jaccard = threshold / (2 - threshold);
+        return LSH_ROWS.find(rows => 1 - (1 - jaccard ** rows) ** (MINHASH_SIZE / rows) >= LSH_RECALL) || 1;
+    }
+
+    function lshKeys(signature, rows) {
+        const keys = [];
+        for (let start = 0; start < MINHASH_SIZE; start += rows) keys.push(`${start}:${signature.subarray(start, start + rows).join(',')}`);
+        return keys;
+    }
+
+    // entries: in the order they were added; exact: text -> entries; buckets: rows -> (LSH key -> entries),
+    // one table per band size in use (normal and first-time threshold), built on first use
+    function createCopyPasteIndex() {
+        return { entries: [], exact: new Map(), buckets: new Map(), added: 0 };
+    }
+
+    function bucketEntry(buckets, rows, entry, add) {
+        for (const key of lshKeys(minHashSignature(entry.profile), rows)) {
+            const bucket = buckets.get(key);
+            if (add) {
+                if (bucket) bucket.add(entry);
+                else buckets.set(key, new Set([entry]));
+            } else if (bucket) {
+                bucket.delete(entry);
+                if (!bucket.size) buckets.delete(key);
+            }
+        }
+    }
+
+    // entry: { user, text (cleaned), raw, time, profile (optional, see bigramProfile) }
+    function addToCopyPasteIndex(index, entry) {
+        entry.profile = entry.profile || bigramProfile(entry.text);
+        entry.seq = index.added++;
+        index.entries.push(entry);
+        if (index.exact.has(entry.text)) index.exact.get(entry.text).push(entry);
+        else index.exact.set(entry.text, [entry]);
+        for (const [rows, buckets] of index.buckets) bucketEntry(buckets, rows, entry, true);
+    }
+
+    // Drops entries older than windowMs, oldest first. Entries that arrived out of time order may
+    // stay a little longer, so the lookups check the time as well.
+    function expireCopyPasteIndex(index, now, windowMs) {
+        let expired = 0;
+        while (expired < index.entries.length && now - index.entries[expired].time >= windowMs) expired++;
+        for (const entry of index.entries.splice(0, expired)) {
+            const same = index.exact.get(entry.text);
+            same.splice(same.indexOf(entry), 1);
+            if (!same.length) index.exact.delete(entry.text);
+            for (const [rows, buckets] of index.buckets) bucketEntry(buckets, rows, entry, false);
+        }
+    }
+
+    // Oldest entry with the same cleaned text from another user, or null
+    function findExactCopy(index, text, user, now, windowMs) {
+        const same = index.exact.get(text) || [];
+        return same.find(m => m.user !== user && now - m.time < windowMs) || null;
+    }
+
+    // Most similar entry of another user with a Dice coefficient >= threshold (the oldest one
+    // on a tie): { entry, score } or null
+    function findSimilarCopy(index, profile, user, threshold, now, windowMs) {
+        const rows = lshRows(threshold);
+        if (!index.buckets.has(rows)) {
+            const buckets = new Map();
+            for (const entry of index.entries) bucketEntry(buckets, rows, entry, true);
+            index.buckets.set(rows, buckets);
+        }
+        const buckets = index.buckets.get(rows);
+        const candidates = new Set();
+        for (const key of lshKeys(minHashSignature(profile), rows)) {
+            for (const entry of buckets.get(key) || []) candidates.add(entry);
+        }
+        let best = null;
+        for (const entry of candidates) {
+            if (entry.user === user || now - entry.time >= windowMs) continue;
+            // the shorter text limits the score: 2 * min / (a + b)
+            const sizes = entry.profile.size + profile.size;
+            if (sizes && 2 * Math.min(entry.profile.size, profile.size) < threshold * sizes) continue;
+            const score = diceProfiles(entry.profile, profile);
+            if (score < threshold || (best && (score < best.score || (score === best.score && entry.seq > best.entry.seq)))) continue;
+            best = { entry, score };
+        }
+        return best;
+    }
+
+    // ---------- Blocked terms (keyword rule) ----------
+    // Entry: { pattern, type, caseSensitive, expires }
+    // - type: 'keyword' (anywhere in the text), 'word' (whole word), 'wildcard' (whole
+    //   space-separated word, * = any characters, ? = one character) or 'regex'
+    // - expires: ms timestamp, or null for no expiry
+    const KEYWORD_TYPES = ['keyword', 'word', 'wildcard', 'regex'];
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Throws a SyntaxError for an invalid regex
+    function compileKeyword(entry) {
+        const flags = entry.caseSensitive ? 'u' : 'iu';
+        if (entry.type === 'regex') return new RegExp(entry.pattern, flags);
+        if (entry.type === 'word') return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(entry.pattern)}(?![\\p{L}\\p{N}_])`, flags);
+        if (entry.type === 'wildcard') {
+            const source = entry.pattern.split(/([*?])/).map(part => part === '*' ? '\\S*' : part === '?' ? '\\S' : escapeRegExp(part)).join('');
+            return new RegExp(`(?<!\\S)${source}(?!\\S)`, flags);
+        }
+        return new RegExp(escapeRegExp(entry.pattern), flags);
+    }
+
+    // Compiled once per entry object; entries are replaced, not changed, when edited
+    const keywordMatchers = new WeakMap();
+    function keywordMatcher(entry) {
+        if (!keywordMatchers.has(entry)) {
+            let matcher = null;
+            try {
+                matcher = compileKeyword(entry);
+            } catch (_) {
+                // validated when added; an invalid entry simply never matches
+            }
+            keywordMatchers.set(entry, matcher);
+        }
+        return keywordMatchers.get(entry);
+    }
+
+    // First entry that matches the text: { entry, match } or null
+    function findKeyword(entries, text, now) {
+        for (const entry of entries) {
+            if (entry.expires && entry.expires <= now) continue;
+            const matcher = keywordMatcher(entry);
+            const found = matcher && matcher.exec(text);
+            if (found) return { entry, match: found[0] };
+        }
+        return null;
+    }
+
+    // Static check for patterns like (a+)+ or (\w*)*: a quantified group that contains a
+    // quantifier can backtrack exponentially. The overlay also times the regex (see testRegexTiming).
+    function hasNestedQuantifier(pattern) {
+        return /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+(?:,\d*)?\})/.test(pattern);
+    }
+
+    // Texts that make backtracking regexes slow: every literal character of the pattern repeated,
+    // followed by a character that breaks the match
+    function regexStressInputs(pattern, length) {
+        const chars = new Set(['a', ' ', '1']);
+        for (const c of pattern.replace(/\\./g, '')) {
+            if (/[\p{L}\p{N}\s]/u.test(c)) chars.add(c);
+        }
+        return Array.from(chars).slice(0, 20).map(c => c.repeat(length) + '!');
+    }
+
+    // Top-level domains that count as a link without "http(s)://" in front. Short TLDs that are
+    // also common words or typos in chat ("ok.so", "yes.it", "nice.gg") are left out.
+    const LINK_TLDS = new Set([
+        'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'tv', 'xyz', 'top', 'site', 'online', 'shop', 'store',
+        'live', 'stream', 'app', 'dev', 'link', 'click', 'club', 'fun', 'icu', 'buzz', 'vip', 'pro', 'win',
+        'bet', 'casino', 'ru', 'su', 'ua', 'de', 'uk', 'eu', 'fr', 'es', 'nl', 'pl', 'br', 'cn', 'jp', 'kr',
+        'tk', 'ml', 'ga', 'cf', 'gq', 'cc', 'ws', 'ly', 'gl', 'sh', 'ai', 'fm', 'lt', 'lv'
+    ]);
+    const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+    const LINK_PATTERN = /(?<![\p{L}\p{N}@.-])(https?:\/\/)?((?:[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+(\p{L}{2,63}))(?![\p{L}\p{N}-])/giu;
+
+    // "example.com", "https://WWW.Example.com/path" or "bücher.de" -> "example.com" / "xn--bcher-kva.de";
+    // '' when the value is not a domain. Look-alike letters end up as punycode and match no list.
+    function normalizeDomain(value) {
+        if (typeof value !== 'string') return '';
+        let host = value.trim().toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .replace(/[/?#].*$/s, '')
+            .replace(/^.*@/, '')
+            .replace(/:\d*$/, '')
+            .replace(/\.$/, '');
+        try {
+            host = new URL(`http://${host}`).hostname;
+        } catch (_) {
+            return '';
+        }
+        host = host.replace(/^www\./, '');
+        return DOMAIN_PATTERN.test(host) ? host : '';
+    }
+
+    // true for the domain itself and its subdomains
+    function domainListed(domain, list) {
+        return list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+    }
+
+    // Undoes the usual ways to hide a link from filters: spaced-out letters
+    // ("c h e a p . c o m"), "dot"/"punkt" words and bracketed dots ("xyz [.] com")
+    function deobfuscateLinks(text) {
+        return text
+            .replace(/(?<!\S)(?:\S )+\S(?!\S)/gu, (m) => m.length >= 5 ? m.replace(/ /g, '') : m)
+            .replace(/\s*[([{<]\s*(?:\.|d[o0]t|punkt)\s*[)\]}>]\s*/giu, '.')
+            .replace(/\s+(?:d[o0]t|punkt)\s+/giu, '.')
+            .replace(/ \. /g, '.');
+    }
+
+    function collectLinks(text, links, obfuscated) {
+        LINK_PATTERN.lastIndex = 0;
+        let m;
+        while ((m = LINK_PATTERN.exec(text))) {
+            if (!m[1] && !LINK_TLDS.has(m[3].toLowerCase())) continue;
+            const domain = normalizeDomain(m[2]);
+            if (domain && !links.some(link => link.domain === domain)) links.push({ domain, text: m[0], obfuscated });
+        }
+    }
+
+    // Links in a message: [{ domain, text, obfuscated }]. hrefs are the targets of the link
+    // elements of the chat line; obfuscated links are only found after deobfuscateLinks().
+    function findLinks(text, hrefs = []) {
+        const links = [];
+        for (const href of hrefs) {
+            const domain = normalizeDomain(href);
+            if (domain && !links.some(link => link.domain === domain)) links.push({ domain, text: href, obfuscated: false });
+        }
+        collectLinks(text, links, false);
+        const plain = deobfuscateLinks(text);
+        if (plain !== text) collectLinks(plain, links, true);
+        return links;
+    }
+
+    // Words of a message for the repetition rules: lowercase, without punctuation; emoji (with skin
+    // tones and ZWJ joiners) count as word characters
+    function repetitionWords(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\p{Letter}\p{Mark}\p{Number}\p{Extended_Pictographic}\p{Emoji_Component}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    // Repeated phrases are only searched in the first words of very long messages
+    const REPETITION_MAX_WORDS = 200;
+
+    // Most back-to-back repeats of any block of `phraseWords` words, at any position:
+    // { repeats, start } (start: index of the first word of the first block)
+    function longestRepeatedBlock(words, phraseWords) {
+        let best = { repeats: 1, start: 0 };
+        let matched = 0;
+        // words[i] === words[i + phraseWords] for `matched` positions in a row means
+        // floor(matched / phraseWords) + 1 blocks in a row
+        for (let i = 0; i + phraseWords < words.length; i++) {
+            matched = words[i] === words[i + phraseWords] ? matched + 1 : 0;
+            const repeats = Math.floor(matched / phraseWords) + 1;
+            if (repeats > best.repeats) best = { repeats, start: i - matched + 1 };
+        }
+        return best;
+    }
+
+    // A block that is itself a repetition ("a b a b") is found with its shorter period
+    function isRepeatingBlock(words, start, phraseWords) {
+        for (let period = 1; period < phraseWords; period++) {
+            if (phraseWords % period) continue;
+            let periodic = true;
+            for (let i = start + period; i < start + phraseWords && periodic; i++) periodic = words[i] === words[i - period];
+            if (periodic) return true;
+        }
+        return false;
+    }
+
+    // Most back-to-back repeats of a single word: { repeats, word }
+    function detectRepeatedWord(text) {
+        const words = repetitionWords(text).slice(0, REPETITION_MAX_WORDS);
+        if (!words.length) return { repeats: 0, word: null };
+        const run = longestRepeatedBlock(words, 1);
+        return { repeats: run.repeats, word: words[run.start] };
+    }
+
+    // Detects exact repeated phrase blocks inside one message (A A A pattern), also after a prefix
+    // or in the middle of the message. Phrases from PHRASE_REPEAT_MIN_WORDS words need
+    // PHRASE_REPEAT_MIN_REPEATS repeats, shorter ones (from SHORT_PHRASE_WORDS) SHORT_PHRASE_MIN_REPEATS.
+    // Returns { repeats, phraseWords, start, limit } or null
+    function detectRepeatedPhraseSpam(text, config) {
+        if (!config.ENABLE_PHRASE_REPEAT_FILTER || !text) return null;
+        const words = repetitionWords(text).slice(0, REPETITION_MAX_WORDS);
+        const minPhraseWords = Math.max(2, Math.min(config.SHORT_PHRASE_WORDS, config.PHRASE_REPEAT_MIN_WORDS));
+        const maxPhraseWords = Math.floor(words.length / Math.min(config.PHRASE_REPEAT_MIN_REPEATS, config.SHORT_PHRASE_MIN_REPEATS));
+        for (let phraseWords = minPhraseWords; phraseWords <= maxPhraseWords; phraseWords++) {
+            const limit = phraseWords >= config.PHRASE_REPEAT_MIN_WORDS ? config.PHRASE_REPEAT_MIN_REPEATS : config.SHORT_PHRASE_MIN_REPEATS;
+            const { repeats, start } = longestRepeatedBlock(words, phraseWords);
+            if (repeats >= limit && !isRepeatingBlock(words, start, phraseWords)) {
+                return { repeats, phraseWords, start, limit };
+            }
+        }
+
+        return null;
+    }
+
+    // ---------- Bayes classifier (bayes rule) ----------
+    // Model as plain data, so it can be stored and exported as it is:
+    // { spam, ham: trained messages per kind, tokens: { token: [spam count, ham count] } }
+    // Each token counts once per message; both kinds have the same prior, so a model trained
+    // mostly with spam does not call everything spam.
+    const BAYES_MAX_TOKENS = 20000;
+    const BAYES_TOKENS_PER_MESSAGE = 100;
+
+    function createBayesModel() {
+        return { spam: 0, ham: 0, tokens: {} };
+    }
+
+    // Distinct lowercase words (2-30 characters) and emotes ("emote:<code>") of a message
+    function bayesTokens(text, emoteCodes = []) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}\p{M}'._-]*/gu) || [];
+        const tokens = new Set(words.filter(word => word.length >= 2 && word.length <= 30));
+        for (const code of emoteCodes) if (code) tokens.add(`emote:${code}`);
+        return Array.from(tokens).slice(0, BAYES_TOKENS_PER_MESSAGE);
+    }
+
+    // Above BAYES_MAX_TOKENS the tokens seen only once are forgotten
+    function trainBayes(model, tokens, spam) {
+        const column = spam ? 0 : 1;
+        model[spam ? 'spam' : 'ham']++;
+        for (const token of tokens) {
+            if (!Object.prototype.hasOwnProperty.call(model.tokens, token)) model.tokens[token] = [0, 0];
+            model.tokens[token][column]++;
+        }
+        if (Object.keys(model.tokens).length > BAYES_MAX_TOKENS) {
+            for (const [token, counts] of Object.entries(model.tokens)) {
+                if (counts[0] + counts[1] <= 1) delete model.tokens[token];
+            }
+        }
+    }
+
+    // log(P(token | spam) / P(token | not spam)) with add-one smoothing; > 0 = points to spam
+    function bayesTokenWeight(model, counts) {
+        return Math.log((counts[0] + 1) / (model.spam + 2)) - Math.log((counts[1] + 1) / (model.ham + 2));
+    }
+
+    // Spam probability (0-1) of a message from its tokens; unknown tokens are left out, so a
+    // message without known tokens gets 0.5
+    function bayesSpamProbability(model, tokens) {
+        let logRatio = 0;
+        for (const token of tokens) {
+            if (Object.prototype.hasOwnProperty.call(model.tokens, token)) logRatio += bayesTokenWeight(model, model.tokens[token]);
+        }
+        return 1 / (1 + Math.exp(-logRatio));
+    }
+
+    // The `count` tokens that point most to spam and most to not spam (seen at least twice):
+    // { spam: [{ token, weight, spam, ham }], ham: [...] }
+    function topBayesTokens(model, count = 10) {
+        const weighted = Object.entries(model.tokens)
+            .filter(([, counts]) => counts[0] + counts[1] >= 2)
+            .map(([token, counts]) => ({ token, weight: Math.round(bayesTokenWeight(model, counts) * 100) / 100, spam: counts[0], ham: counts[1] }))
+            .sort((a, b) => b.weight - a.weight);
+        return {
+            spam: weighted.filter(entry => entry.weight > 0).slice(0, count),
+            ham: weighted.filter(entry => entry.weight < 0).reverse().slice(0, count)
+        };
+    }
+
+    // Checks a stored or imported model; returns a clean copy or null
+    function readBayesModel(data) {
+        if (!data || typeof data !== 'object' || !data.tokens || typeof data.tokens !== 'object') return null;
+        const count = (v) => Number.isInteger(v) && v >= 0;
+        if (!count(data.spam) || !count(data.ham)) return null;
+        const model = createBayesModel();
+        model.spam = data.spam;
+        model.ham = data.ham;
+        for (const [token, counts] of Object.entries(data.tokens)) {
+            if (!Array.isArray(counts) || counts.length !== 2 || !counts.every(count) || token.length > 100) return null;
+            if (token !== '__proto__') model.tokens[token] = counts.slice();
+        }
+        return model;
+    }
+
+    /*********************
+     * Rule registry
+     *********************/
+    // A rule is a plain object:
+    // { id, order, severity, weight, reasonKey, settings, enabledSetting, enabled, percent, showTrigger, clean, cleanSetting,
+    //   check, measure, record }
+    // - order: rules run in ascending order, the first hit decides the verdict (in scoring mode all rules run)
+    // - weight: optional, factor of the rule in scoring mode (default: by severity, SCORE_SEVERITY_WEIGHTS)
+    // - settings: SETTINGS_SCHEMA keys the rule reads (its config schema)
+    // - enabledSetting: bool setting that switches the rule per profile; enabled: runtime switch
+    // - reasonKey: I18N key of the reason text; percent: limit/reached are ratios (0-1) and shown
+    //   as percentages; showTrigger: the overlay also logs the earlier message that triggered it
+    // - clean(text): optional; when the bool setting `cleanSetting` is on, the overlay shows the
+    //   message with every text cleaned by this function instead of hiding it
+    // - check(msg, ctx): null/false = no hit, true or { limit, reached, trigger } = spam
+    //   msg: { user, text, rawText, emoteCodes, emoteCount, wordCount, cleaned, links, mentions, now },
+    //   ctx: { config, keywords, domains, hypeMode, exemptions, bayes, state, log }
+    // - measure(msg, ctx): optional, { limit, reached } also below the limit (null: not measurable);
+    //   in scoring mode a near miss from SCORE_NEAR_MISS_RATIO of the limit adds to the score
+    // - record(msg, ctx): optional, runs after check() found nothing (e.g. remembers the message;
+    //   in scoring mode only when the message passes)
+
+    // Message history of one engine, shared by the history-based rules
+    function createEngineState() {
+        return { perUser: new Map(), global: createCopyPasteIndex(), emoteSignatures: [], buckets: new Map(), mentions: new Map(), chatters: new Map(), watchingSince: null };
+    }
+
+    // buckets of users who have been quiet long enough to be full again are dropped above this count
+    const FLOOD_BUCKET_LIMIT = 1000;
+
+    // Token bucket of one user: refills with `rate` tokens per second up to `capacity`, every
+    // message takes one token. Also keeps the times of the recent messages for the reported rate.
+    function takeFloodToken(user, now, capacity, rate, state) {
+        const refillMs = capacity / rate * 1000;
+        if (state.buckets.size > FLOOD_BUCKET_LIMIT) {
+            for (const [login, b] of state.buckets) {
+                if (now - b.time >= refillMs) state.buckets.delete(login);
+            }
+        }
+        if (!state.buckets.has(user)) state.buckets.set(user, { tokens: capacity, time: now, times: [] });
+        const bucket = state.buckets.get(user);
+        bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.time) / 1000 * rate);
+        bucket.time = now;
+        bucket.times = bucket.times.filter(time => now - time < refillMs);
+        bucket.times.push(now);
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // Messages per second of the user's recent messages (at least over one second)
+    function floodRate(user, now, state) {
+        const times = state.buckets.get(user).times;
+        return times.length / Math.max(1, (now - times[0]) / 1000);
+    }
+
+    // @name tokens (Twitch logins: letters, digits and _), lowercase and without duplicates;
+    // "mail@example.com" is no mention
+    const MENTION_PATTERN = /(?:^|[^\w@])@(\w{3,25})\b/g;
+    function findMentions(text) {
+        const names = [];
+        for (const m of text.matchAll(MENTION_PATTERN)) {
+            const name = m[1].toLowerCase();
+            if (!names.includes(name)) names.push(name);
+        }
+        return names;
+    }
+
+    // mentions of users who are not in chat only count after the engine has seen chat this long
+    const MENTION_WARMUP_MS = 60000;
+    // chatters who have been quiet longer than MENTION_CHATTER_WINDOW_MS are dropped above this count
+    const CHATTER_LIMIT = 5000;
+
+    // Notes that `user` wrote in chat (for the mention rules)
+    function rememberChatter(user, now, config, state) {
+        if (state.watchingSince === null) state.watchingSince = now;
+        state.chatters.delete(user);
+        state.chatters.set(user, now);
+        if (state.chatters.size <= CHATTER_LIMIT) return;
+        // oldest entries first (Map keeps insertion order)
+        for (const [login, time] of state.chatters) {
+            if (now - time < config.MENTION_CHATTER_WINDOW_MS) break;
+            state.chatters.delete(login);
+        }
+    }
+
+    // Mentions of the message that count: not the sender, and not the broadcaster or
+    // whitelisted users when MENTION_EXEMPT_BROADCASTER / MENTION_EXEMPT_WHITELIST are on
+    function countedMentions(msg, { config, exemptions }) {
+        return msg.mentions.filter(name => name !== msg.user &&
+            !(config.MENTION_EXEMPT_BROADCASTER && name === exemptions.broadcaster) &&
+            !(config.MENTION_EXEMPT_WHITELIST && exemptions.whitelist.includes(name)));
+    }
+
+    // Adds the counted mentions to the sender's history (once per check) and returns the
+    // history of the current window
+    function rememberMentions(msg, ctx) {
+        const { config, state } = ctx;
+        const history = (state.mentions.get(msg.user) || []).filter(m => msg.now - m.time < config.MENTION_WINDOW_MS);
+        if (!msg.mentionsRemembered) {
+            for (const name of countedMentions(msg, ctx)) history.push({ name, time: msg.now });
+            msg.mentionsRemembered = true;
+        }
+        if (history.length) state.mentions.set(msg.user, history);
+        else state.mentions.delete(msg.user);
+        return history;
+    }
+
+    // Adds the message to the sender's history (once per check) and returns that history
+    function rememberUserMessage(msg, state) {
+        if (!state.perUser.has(msg.user)) state.perUser.set(msg.user, []);
+        const history = state.perUser.get(msg.user);
+        if (!msg.userRemembered && msg.cleaned && msg.cleaned.length >= 3) {
+            history.push({ text: msg.cleaned, raw: msg.text, time: msg.now });
+            // keep last 6
+            if (history.length > 6) history.shift();
+        }
+        msg.userRemembered = true;
+        return history;
+    }
+
+    // Copy/paste index without the messages older than GLOBAL_COPY_PASTE_WINDOW_MS
+    function recentGlobalMessages(msg, ctx) {
+        expireCopyPasteIndex(ctx.state.global, msg.now, ctx.config.GLOBAL_COPY_PASTE_WINDOW_MS);
+        return ctx.state.global;
+    }
+
+    // Bigram profile of the cleaned text, shared by both copy/paste rules and the index
+    function messageProfile(msg) {
+        if (!msg.bigrams) msg.bigrams = bigramProfile(msg.cleaned);
+        return msg.bigrams;
+    }
+
+    // Messages that passed the copy/paste rules become candidates for the next messages
+    function rememberGlobalMessage(msg, ctx) {
+        if (msg.globalRemembered || !msg.cleaned || msg.cleaned.length < ctx.config.GLOBAL_COPY_PASTE_MIN_LENGTH) return;
+        addToCopyPasteIndex(ctx.state.global, { user: msg.user, text: msg.cleaned, raw: msg.text, time: msg.now, profile: messageProfile(msg) });
+        msg.globalRemembered = true;
+    }
+
+    const BUILTIN_RULES = [
+        {
+            // decided before the engine runs (per-profile list, see handleChatNode)
+            id: 'blocklist', order: 0, severity: 'high', reasonKey: 'reasonBlocklist', settings: [], check: null
+        },
+        {
+            // blocked terms of the active profile; trigger.text is the matched text
+            id: 'keyword', order: 5, severity: 'high', reasonKey: 'reasonKeyword', settings: [],
+            check(msg, { keywords }) {
+                const found = findKeyword(keywords, msg.text, msg.now);
+                return found ? { trigger: { text: found.match, user: null, pattern: found.entry.pattern } } : null;
+            }
+        },
+        {
+            // denylisted domains, and disguised links to any domain that is not allowlisted
+            id: 'link', order: 6, severity: 'high', reasonKey: 'reasonLink',
+            enabledSetting: 'ENABLE_LINK_FILTER', settings: ['ENABLE_LINK_FILTER'],
+            check(msg, { domains }) {
+                const denied = msg.links.find(link => domainListed(link.domain, domains.deny));
+                const link = denied || msg.links.find(l => l.obfuscated && !domainListed(l.domain, domains.allow));
+                return link ? { trigger: { text: link.text, user: null, domain: link.domain, denied: !!denied } } : null;
+            }
+        },
+        {
+            id: 'link-any', order: 7, severity: 'low', reasonKey: 'reasonAnyLink',
+            enabledSetting: 'BLOCK_ALL_LINKS', settings: ['BLOCK_ALL_LINKS'],
+            check(msg, { domains }) {
+                const link = msg.links.find(l => !domainListed(l.domain, domains.allow));
+                return link ? { trigger: { text: link.text, user: null, domain: link.domain, denied: false } } : null;
+            }
+        },
+        {
+            // counts every message that got this far, also emote-only and very short ones
+            id: 'flood', order: 8, severity: 'medium', reasonKey: 'reasonFlood',
+            enabledSetting: 'ENABLE_FLOOD_FILTER', settings: ['ENABLE_FLOOD_FILTER', 'FLOOD_BURST', 'FLOOD_RATE', 'FLOOD_HYPE_MULTIPLIER'],
+            check(msg, { config, hypeMode, state }) {
+                const factor = hypeMode ? config.FLOOD_HYPE_MULTIPLIER : 1;
+                const rate = config.FLOOD_RATE * factor;
+                if (takeFloodToken(msg.user, msg.now, config.FLOOD_BURST * factor, rate, state)) return null;
+                return { limit: Math.round(rate * 100) / 100, reached: Math.round(floodRate(msg.user, msg.now, state) * 10) / 10 };
+            }
+        },
+        {
+            id: 'emote-limit', order: 10, severity: 'medium', reasonKey: 'reasonTooManyEmotes', settings: ['MAX_EMOTES'],
+            measure: (msg, { config }) => ({ limit: config.MAX_EMOTES, reached: msg.emoteCount }),
+            check(msg, { config }) {
+                if (msg.emoteCount <= config.MAX_EMOTES) return null;
+                return { limit: config.MAX_EMOTES, reached: msg.emoteCount };
+            }
+        },
+        {
+            id: 'emote-density', order: 20, severity: 'low', reasonKey: 'reasonEmoteDensity', percent: true, settings: ['EMOTE_DENSITY_THRESHOLD'],
+            measure(msg, { config }) {
+                const tokensTotal = msg.wordCount + msg.emoteCount;
+                return tokensTotal < 3 ? null : { limit: config.EMOTE_DENSITY_THRESHOLD, reached: msg.emoteCount / tokensTotal };
+            },
+            check(msg, ctx) {
+                const density = this.measure(msg, ctx);
+                return density && density.reached > density.limit ? density : null;
+            }
+        },
+        {
+            // a single emote only is handled implicitly by the emote train rule
+            id: 'emote-series', order: 30, severity: 'medium', reasonKey: 'reasonEmoteSeries', settings: ['MAX_SAME_EMOTE_RUN'],
+            measure: (msg, { config }) => ({ limit: config.MAX_SAME_EMOTE_RUN, reached: mostCommonRunLength(msg.emoteCodes) }),
+            check(msg, { config }) {
+                const maxRun = mostCommonRunLength(msg.emoteCodes);
+                if (maxRun <= config.MAX_SAME_EMOTE_RUN) return null;
+                return { limit: config.MAX_SAME_EMOTE_RUN, reached: maxRun };
+            }
+        },
+        {
+            id: 'uppercase', order: 40, severity: 'low', reasonKey: 'reasonUppercase', percent: true,
+            enabledSetting: 'ENABLE_UPPERCASE_FILTER', settings: ['ENABLE_UPPERCASE_FILTER', 'UPPERCASE_RATIO', 'UPPERCASE_MIN_LETTERS'],
+            measure(msg, { config }) {
+                const caps = uppercaseRatio(msg.text, msg.emoteCodes);
+                return caps.letters < config.UPPERCASE_MIN_LETTERS ? null : { limit: config.UPPERCASE_RATIO, reached: caps.ratio };
+            },
+            check(msg, ctx) {
+                const caps = this.measure(msg, ctx);
+                return caps && caps.reached >= caps.limit ? caps : null;
+            }
+        },
+        {
+            id: 'char-repetition', order: 50, severity: 'low', reasonKey: 'reasonCharRepetition',
+            enabledSetting: 'ENABLE_REPETITION_FILTER', settings: ['ENABLE_REPETITION_FILTER', 'MAX_CHAR_REPETITION'],
+            measure: (msg, { config }) => ({ limit: config.MAX_CHAR_REPETITION, reached: longestCharRun(msg.text) }),
+            check(msg, { config }) {
+                if (!hasExcessiveRepetition(msg.text, config.MAX_CHAR_REPETITION)) return null;
+                return { limit: config.MAX_CHAR_REPETITION, reached: longestCharRun(msg.text) };
+            }
+        },
+        {
+            // the same word several times in a row ("LUL LUL LUL LUL"), anywhere in the message
+            id: 'word-repetition', order: 55, severity: 'low', reasonKey: 'reasonWordRepetition',
+            enabledSetting: 'ENABLE_REPETITION_FILTER', settings: ['ENABLE_REPETITION_FILTER', 'MAX_WORD_REPETITION'],
+            measure: (msg, { config }) => ({ limit: config.MAX_WORD_REPETITION, reached: detectRepeatedWord(msg.text).repeats }),
+            check(msg, ctx) {
+                const run = this.measure(msg, ctx);
+                return run.reached > run.limit ? run : null;
+            }
+        },
+        {
+            id: 'phrase-repeat', order: 60, severity: 'high', reasonKey: 'reasonPhraseRepeat',
+            enabledSetting: 'ENABLE_PHRASE_REPEAT_FILTER',
+            settings: ['ENABLE_PHRASE_REPEAT_FILTER', 'PHRASE_REPEAT_MIN_WORDS', 'PHRASE_REPEAT_MIN_REPEATS', 'SHORT_PHRASE_WORDS', 'SHORT_PHRASE_MIN_REPEATS'],
+            check(msg, { config }) {
+                const repeatedPhrase = detectRepeatedPhraseSpam(msg.text, config);
+                if (!repeatedPhrase) return null;
+                return { limit: repeatedPhrase.limit, reached: repeatedPhrase.repeats };
+            }
+        },
+        {
+            id: 'zalgo', order: 65, severity: 'medium', reasonKey: 'reasonZalgo',
+            enabledSetting: 'ENABLE_ZALGO_FILTER', settings: ['ENABLE_ZALGO_FILTER', 'MAX_COMBINING_MARKS', 'ZALGO_STRIP_MARKS'],
+            cleanSetting: 'ZALGO_STRIP_MARKS', clean: stripCombiningMarks,
+            measure: (msg, { config }) => ({ limit: config.MAX_COMBINING_MARKS, reached: longestMarkStack(msg.text) }),
+            check(msg, ctx) {
+                const depth = this.measure(msg, ctx);
+                return depth.reached > depth.limit ? depth : null;
+            }
+        },
+        {
+            id: 'art', order: 70, severity: 'high', reasonKey: 'reasonArt', percent: true,
+            enabledSetting: 'ENABLE_ART_SPAM_DETECTION',
+            settings: ['ENABLE_ART_SPAM_DETECTION', 'ART_SPAM_MIN_LENGTH', 'ART_SPAM_MIN_RATIO', 'ART_SPAM_MIN_LINES', 'ART_SPAM_MIN_RATIO_WITH_LINES'],
+            measure(msg, { config }) {
+                const flat = msg.text.replace(/\s+/g, ' ').trim();
+                if (flat.length < config.ART_SPAM_MIN_LENGTH) return null;
+                // Unicode Braille block U+2800–U+28FF, blocks and line elements, Box Drawings, Block Elements, Symbols
+                // (combining marks are left to the zalgo rule)
+                const artRegex = /[\u2800-\u28FF\u2500-\u257F\u2580-\u259F\u25A0-\u25FF\u2200-\u22FF]/g;
+                const matches = flat.match(artRegex) || [];
+                const ratio = matches.length / flat.length;
+                const lineCount = (msg.text.match(/\n/g) || []).length + 1;
+                const limit = lineCount >= config.ART_SPAM_MIN_LINES ? config.ART_SPAM_MIN_RATIO_WITH_LINES : config.ART_SPAM_MIN_RATIO;
+                return { limit, reached: ratio };
+            },
+            check(msg, ctx) {
+                const art = this.measure(msg, ctx);
+                return art && art.reached >= art.limit ? art : null;
+            }
+        },
+        {
+            id: 'mention', order: 75, severity: 'medium', reasonKey: 'reasonMentions',
+            enabledSetting: 'ENABLE_MENTION_FILTER', settings: ['ENABLE_MENTION_FILTER', 'MAX_MENTIONS', 'MENTION_EXEMPT_BROADCASTER', 'MENTION_EXEMPT_WHITELIST'],
+            measure: (msg, ctx) => ({ limit: ctx.config.MAX_MENTIONS, reached: countedMentions(msg, ctx).length }),
+            check(msg, ctx) {
+                rememberMentions(msg, ctx);
+                const count = this.measure(msg, ctx);
+                return count.reached > count.limit ? count : null;
+            }
+        },
+        {
+            // different users mentioned by the sender within MENTION_WINDOW_MS, this message included
+            id: 'mention-window', order: 76, severity: 'medium', reasonKey: 'reasonMentionWindow',
+            enabledSetting: 'ENABLE_MENTION_FILTER',
+            settings: ['ENABLE_MENTION_FILTER', 'MENTION_WINDOW_MS', 'MAX_MENTIONS_PER_WINDOW', 'MENTION_EXEMPT_BROADCASTER', 'MENTION_EXEMPT_WHITELIST'],
+            check(msg, ctx) {
+                const history = rememberMentions(msg, ctx);
+                if (!countedMentions(msg, ctx).length) return null;
+                const count = new Set(history.map(m => m.name)).size;
+                return count > ctx.config.MAX_MENTIONS_PER_WINDOW ? { limit: ctx.config.MAX_MENTIONS_PER_WINDOW, reached: count } : null;
+            }
+        },
+        {
+            // users who have not written within MENTION_CHATTER_WINDOW_MS; trigger.text lists them
+            id: 'mention-unknown', order: 77, severity: 'medium', reasonKey: 'reasonUnknownMentions',
+            enabledSetting: 'ENABLE_MENTION_FILTER',
+            settings: ['ENABLE_MENTION_FILTER', 'MAX_UNKNOWN_MENTIONS', 'MENTION_CHATTER_WINDOW_MS', 'MENTION_EXEMPT_BROADCASTER', 'MENTION_EXEMPT_WHITELIST'],
+            check(msg, ctx) {
+                const { config, state } = ctx;
+                if (msg.now - state.watchingSince < MENTION_WARMUP_MS) return null;
+                const unknown = countedMentions(msg, ctx).filter(name => {
+                    const seen = state.chatters.get(name);
+                    return seen === undefined || msg.now - seen >= config.MENTION_CHATTER_WINDOW_MS;
+                });
+                if (unknown.length <= config.MAX_UNKNOWN_MENTIONS) return null;
+                return { limit: config.MAX_UNKNOWN_MENTIONS, reached: unknown.length, trigger: { text: unknown.map(name => `@${name}`).join(' '), user: null } };
+            }
+        },
+        {
+            // very short texts are remembered but not checked
+            id: 'user-repeat', order: 80, severity: 'medium', reasonKey: 'reasonRepetition',
+            settings: ['PER_USER_REPEAT_WINDOW_MS', 'PER_USER_EXACT_REPEAT_THRESHOLD', 'TEXT_MIN_LENGTH'],
+            check(msg, { config, state }) {
+                const history = rememberUserMessage(msg, state);
+                if (!msg.cleaned || msg.cleaned.length < config.TEXT_MIN_LENGTH) return null;
+                const duplicates = history.filter(m => m.text === msg.cleaned && msg.now - m.time < config.PER_USER_REPEAT_WINDOW_MS).length;
+                if (duplicates < config.PER_USER_EXACT_REPEAT_THRESHOLD) return null;
+                return { limit: config.PER_USER_EXACT_REPEAT_THRESHOLD, reached: duplicates, trigger: { text: msg.text, user: msg.user } };
+            }
+        },
+        {
+            id: 'user-similar', order: 90, severity: 'medium', reasonKey: 'reasonSimilar', showTrigger: true,
+            settings: ['PER_USER_REPEAT_WINDOW_MS', 'PER_USER_SIMILAR_REPEAT_THRESHOLD', 'SIMILARITY_THRESHOLD', 'TEXT_MIN_LENGTH'],
+            check(msg, { config, state }) {
+                const history = rememberUserMessage(msg, state);
+                if (!msg.cleaned || msg.cleaned.length < config.TEXT_MIN_LENGTH) return null;
+                let similarCount = 0;
+                let bestSimilar = null; // {raw,text,score}
+                for (const m of history) {
+                    if (msg.now - m.time >= config.PER_USER_REPEAT_WINDOW_MS) continue;
+                    const score = similarityScoreClean(m.text, msg.cleaned);
+                    if (score >= config.SIMILARITY_THRESHOLD) {
+                        similarCount++;
+                        if (!bestSimilar || score > bestSimilar.score) bestSimilar = { raw: m.raw || m.text, text: m.text, score };
+                    }
+                }
+                if (similarCount < config.PER_USER_SIMILAR_REPEAT_THRESHOLD) return null;
+                return {
+                    limit: config.PER_USER_SIMILAR_REPEAT_THRESHOLD,
+                    reached: similarCount,
+                    trigger: { text: bestSimilar ? bestSimilar.raw : '', user: msg.user }
+                };
+            }
+        },
+        {
+            id: 'copy-paste', order: 100, severity: 'high', reasonKey: 'reasonCopyPasteExact',
+            settings: ['GLOBAL_COPY_PASTE_WINDOW_MS', 'GLOBAL_COPY_PASTE_MIN_LENGTH'],
+            check(msg, ctx) {
+                const recent = recentGlobalMessages(msg, ctx);
+                if (!msg.cleaned || msg.cleaned.length < ctx.config.GLOBAL_COPY_PASTE_MIN_LENGTH) return null;
+                const exact = findExactCopy(recent, msg.cleaned, msg.user, msg.now, ctx.config.GLOBAL_COPY_PASTE_WINDOW_MS);
+                return exact ? { trigger: { text: exact.raw || exact.text, user: exact.user } } : null;
+            },
+            record: rememberGlobalMessage
+        },
+        {
+            id: 'copy-paste-similar', order: 110, severity: 'medium', reasonKey: 'reasonCopyPasteSimilar', showTrigger: true,
+            settings: ['GLOBAL_COPY_PASTE_WINDOW_MS', 'GLOBAL_COPY_PASTE_MIN_LENGTH', 'SIMILARITY_THRESHOLD'],
+            check(msg, ctx) {
+                const recent = recentGlobalMessages(msg, ctx);
+                if (!msg.cleaned || msg.cleaned.length < ctx.config.GLOBAL_COPY_PASTE_MIN_LENGTH) return null;
+                const best = findSimilarCopy(recent, messageProfile(msg), msg.user, ctx.config.SIMILARITY_THRESHOLD,
+                    msg.now, ctx.config.GLOBAL_COPY_PASTE_WINDOW_MS);
+                if (!best) return null;
+                return {
+                    limit: ctx.config.SIMILARITY_THRESHOLD,
+                    reached: Math.round(best.score * 100) / 100,
+                    trigger: { text: best.entry.raw || best.entry.text, user: best.entry.user }
+                };
+            },
+            record: rememberGlobalMessage
+        },
+        {
+            // same (or, depending on EMOTE_TRAIN_MODE, reordered or similar) emote combination from
+            // several different users within the window
+            id: 'emote-train', order: 120, severity: 'low', reasonKey: 'reasonEmoteTrain',
+            settings: ['GLOBAL_EMOTE_SIGNATURE_WINDOW_MS', 'GLOBAL_EMOTE_TRAIN_THRESHOLD', 'EMOTE_TRAIN_MODE', 'EMOTE_TRAIN_SIMILARITY'],
+            check(msg, { config, state, log }) {
+                state.emoteSignatures = state.emoteSignatures.filter(m => msg.now - m.time < config.GLOBAL_EMOTE_SIGNATURE_WINDOW_MS);
+                // Only check for emote trains if we have at least 1 emote
+                const sig = emoteSignature(msg.emoteCodes);
+                if (!sig) return null;
+                const current = { sig, sorted: emoteSignature(msg.emoteCodes, true) };
+                // Count distinct users of this train in the window
+                const matches = state.emoteSignatures.filter(m => m.user && sameEmoteTrain(m, current, config));
+                const distinctUsers = new Set(matches.map(m => m.user));
+                const countSig = distinctUsers.has(msg.user) ? distinctUsers.size : distinctUsers.size + 1;
+                if (countSig < config.GLOBAL_EMOTE_TRAIN_THRESHOLD) return null;
+                if (DEBUG_VERBOSE_EMOTE_TRAIN) log(`Emote-Train hit: sig="${sig}" mode=${config.EMOTE_TRAIN_MODE} users=${countSig}/${config.GLOBAL_EMOTE_TRAIN_THRESHOLD}`);
+                const first = matches.find(m => m.user !== msg.user);
+                return { limit: config.GLOBAL_EMOTE_TRAIN_THRESHOLD, reached: countSig, trigger: { text: sig, user: first ? first.user : null } };
+            },
+            // Add this signature to the list (only if it wasn't filtered)
+            record(msg, { state, log }) {
+                const sig = emoteSignature(msg.emoteCodes);
+                if (!sig) return;
+                state.emoteSignatures.push({ user: msg.user, sig, sorted: emoteSignature(msg.emoteCodes, true), time: msg.now });
+                if (DEBUG_VERBOSE_EMOTE_TRAIN) log(`Emote-Train seen: sig="${sig}" now=${new Set(state.emoteSignatures.filter(m => m.sig === sig).map(m => m.user)).size}`);
+            }
+        },
+        {
+            // spam probability of the local classifier, once it has seen BAYES_MIN_MESSAGES of each kind
+            id: 'bayes', order: 130, severity: 'medium', reasonKey: 'reasonBayes', percent: true,
+            enabledSetting: 'ENABLE_BAYES_FILTER', settings: ['ENABLE_BAYES_FILTER', 'BAYES_THRESHOLD', 'BAYES_MIN_MESSAGES'],
+            measure(msg, { config, bayes }) {
+                if (!bayes || bayes.spam < config.BAYES_MIN_MESSAGES || bayes.ham < config.BAYES_MIN_MESSAGES) return null;
+                const probability = bayesSpamProbability(bayes, bayesTokens(msg.text, msg.emoteCodes));
+                return { limit: config.BAYES_THRESHOLD, reached: Math.round(probability * 1000) / 1000 };
+            },
+            check(msg, ctx) {
+                const probability = this.measure(msg, ctx);
+                return probability && probability.reached >= probability.limit ? probability : null;
+            }
+        }
+    ];
+    const RULES = Object.fromEntries(BUILTIN_RULES.map(rule => [rule.id, rule]));
+
+    // Settings replaced for first-time chatters by their FIRST_TIME_* counterpart, if that is stricter
+    const FIRST_TIME_SETTINGS = [
+        { key: 'MAX_EMOTES', strict: 'FIRST_TIME_MAX_EMOTES', stricter: Math.min },
+        // the link-any rule still lets allowlisted domains through, also for first-time chatters
+        { key: 'BLOCK_ALL_LINKS', strict: 'FIRST_TIME_BLOCK_LINKS', stricter: (a, b) => a || b },
+        { key: 'SIMILARITY_THRESHOLD', strict: 'FIRST_TIME_SIMILARITY_THRESHOLD', stricter: Math.min }
+    ];
+
+    // Copy of the config with the first-time values applied
+    function firstTimeConfig(config) {
+        const strict = Object.assign({}, config);
+        for (const s of FIRST_TIME_SETTINGS) strict[s.key] = s.stricter(config[s.key], config[s.strict]);
+        return strict;
+    }
+
+    const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_:-]{0,39}$/;
+
+    // Ordered set of rules for one or more engines. Definitions are copied, so switching a rule
+    // off in one registry does not affect others. register() throws on invalid definitions;
+    // the overlay and the API validate user input with readable errors before.
+    function createRuleRegistry(rules = BUILTIN_RULES) {
+        const byId = new Map();
+        let sorted = null;
+
+        function register(rule) {
+            if (!rule || typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) throw new Error(`invalid rule id: ${rule && rule.id}`);
+            if (byId.has(rule.id)) throw new Error(`rule already registered: ${rule.id}`);
+            if (rule.check !== null && typeof rule.check !== 'function') throw new Error(`rule ${rule.id}: check must be a function`);
+            if (!RULE_SEVERITIES.includes(rule.severity)) throw new Error(`rule ${rule.id}: unknown severity ${rule.severity}`);
+            byId.set(rule.id, Object.assign({ order: 1000, settings: [], enabled: true, source: 'builtin' }, rule));
+            sorted = null;
+        }
+
+        function unregister(id) {
+            sorted = null;
+            return byId.delete(id);
+        }
+
+        // Rules in the order they run (same order: registration order)
+        function list() {
+            if (!sorted) sorted = Array.from(byId.values()).sort((a, b) => a.order - b.order);
+            return sorted;
+        }
+
+        function setEnabled(id, enabled) {
+            const rule = byId.get(id);
+            if (rule) rule.enabled = !!enabled;
+            return !!rule;
+        }
+
+        function isEnabled(rule, config) {
+            return rule.enabled !== false && (!rule.enabledSetting || !!config[rule.enabledSetting]);
+        }
+
+        for (const rule of rules) register(rule);
+        return { register, unregister, get: (id) => byId.get(id), list, setEnabled, isEnabled };
+    }
+
+    // What user and script rules get to see of a message (a frozen copy)
+    function createRuleInput(msg) {
+        return Object.freeze({
+            text: msg.text,
+            user: msg.user,
+            emotes: Object.freeze(msg.emoteCodes.slice()),
+            emoteCount: msg.emoteCount,
+            words: Object.freeze(msg.text.split(/\s+/).filter(Boolean))
+        });
+    }
+
+    // Globals hidden from user rule snippets by name. This guards against accidents (a snippet
+    // that changes the page or sends requests), it is no sandbox: the code still reaches the page
+    // (e.g. through text.constructor.constructor) and has no time limit.
+    const USER_RULE_HIDDEN_GLOBALS = [
+        'window', 'self', 'globalThis', 'top', 'parent', 'frames', 'document', 'location', 'navigator',
+        'localStorage', 'sessionStorage', 'indexedDB', 'fetch', 'XMLHttpRequest', 'WebSocket',
+        'Function', 'setTimeout', 'setInterval', 'process', 'TSF'
+    ];
+
+    // Compiles the code of a user rule: an expression (`/free followers/i.test(text)`) or a
+    // snippet with `return`. It sees text, user, emotes, emoteCount and words; a truthy result
+    // marks the message as spam. Throws a SyntaxError for invalid code.
+    function compileUserRule(code) {
+        const compile = (body) => new Function(...USER_RULE_HIDDEN_GLOBALS, 'text', 'user', 'emotes', 'emoteCount', 'words', `'use strict';\n${body}`);
+        // the expression form first: "return" may also appear inside a regex or string of an expression
+        let fn;
+        try {
+            fn = compile(`return (${code}\n);`);
+        } catch (e) {
+            if (!(e instanceof SyntaxError)) throw e;
+            fn = compile(code);
+        }
+        const hidden = USER_RULE_HIDDEN_GLOBALS.map(() => undefined);
+        return (input) => fn(...hidden, input.text, input.user, input.emotes, input.emoteCount, input.words);
+    }
+
+    // Rule definition for a stored user rule { id, label, code, severity, order, enabled }
+    const USER_RULE_PREFIX = 'user:';
+    function createUserRule(def) {
+        const run = compileUserRule(def.code);
+        return {
+            id: USER_RULE_PREFIX + def.id,
+            order: def.order,
+            severity: def.severity,
+            label: def.label || def.id,
+            enabled: def.enabled !== false,
+            settings: [],
+            source: 'user',
+            check: (msg) => !!run(createRuleInput(msg))
+        };
+    }
+
+    // options: { config, keywords, domains, now, rules, log, onRuleError, onNormalize, hypeMode, exemptions, emotes, bayes }
+    // - config: settings object, read on every check (defaults: DEFAULT_SETTINGS)
+    // - keywords(): blocked terms for the keyword rule, read on every check (default: none)
+    // - domains(): { allow, deny } for the link rules, read on every check (default: LINK_ALLOWLIST / LINK_DENYLIST)
+    // - now: clock used when check() gets no timestamp (default: Date.now)
+    // - rules: rule registry, can be shared between engines (default: the built-in rules)
+    // - log(line): verbose debug lines (DEBUG_VERBOSE_EMOTE_TRAIN, default: none)
+    // - onRuleError(rule, error): a rule threw; user and script rules are switched off, built-in
+    //   rules only skip that message (default: none)
+    // - onNormalize(user, original, result): normalizeText() changed a message (default: none)
+    // - hypeMode(): true while the flood rule is relaxed by FLOOD_HYPE_MULTIPLIER (default: never)
+    // - exemptions(): { broadcaster, whitelist } logins the MENTION_EXEMPT_* settings leave out of the
+    //   mention rules, read on every check (default: none)
+    // - emotes(): Set of emote names; words of the text in it are counted as emotes when
+    //   ENABLE_EMOTE_DICTIONARY is on, read on every check (default: none)
+    // - bayes(): model of the bayes rule (see createBayesModel), read on every check (default: none)
+    function createSpamEngine(options = {}) {
+        const config = options.config || Object.assign({}, DEFAULT_SETTINGS);
+        const keywords = options.keywords || (() => []);
+        const domains = options.domains || (() => ({ allow: LINK_ALLOWLIST, deny: LINK_DENYLIST }));
+        const clock = options.now || Date.now;
+        const rules = options.rules || createRuleRegistry();
+        const log = options.log || (() => {});
+        const onRuleError = options.onRuleError || (() => {});
+        const onNormalize = options.onNormalize || (() => {});
+        const hypeMode = options.hypeMode || (() => false);
+        const exemptions = options.exemptions || (() => ({ broadcaster: null, whitelist: [] }));
+        const emotes = options.emotes || (() => null);
+        const bayes = options.bayes || (() => null);
+
+        let state = createEngineState();
+
+        // user: login, text: message text, emoteCodes: emote codes in message order,
+        // timestamp: ms (defaults to the engine clock), details: { links: hrefs of the link
+        // elements in the message, firstTime: Twitch marked the message as the sender's first
+        // in this channel }. Returns a verdict (see createVerdict).
+        function check(user, text, emoteCodes, timestamp, details = {}) {
+            let original = text || '';
+            emoteCodes = emoteCodes || [];
+            // emote names that arrived as plain text count like emote images
+            if (config.ENABLE_EMOTE_DICTIONARY) {
+                const textEmotes = findTextEmotes(original, emotes());
+                if (textEmotes.emoteCodes.length) {
+                    original = textEmotes.text;
+                    emoteCodes = emoteCodes.concat(textEmotes.emoteCodes);
+                }
+            }
+            // all rules see the normalized text
+            const normalized = normalizeText(original);
+            text = normalized.text;
+            if (text !== original) onNormalize(user || 'unknown', original, normalized);
+            const msg = {
+                user: user || 'unknown',
+                text,
+                rawText: original,
+                emoteCodes,
+                emoteCount: emoteCodes.length,
+                wordCount: (text.trim().match(/\S+/g) || []).length,
+                // words with 3+ characters, for the repetition and copy/paste rules
+                cleaned: text.toLowerCase().split(/\s+/).filter(w => w.length >= 3).join(' '),
+                links: findLinks(text, details.links),
+                mentions: findMentions(text),
+                now: typeof timestamp === 'number' ? timestamp : clock()
+            };
+            rememberChatter(msg.user, msg.now, config, state);
+            // first-time chatters are checked with the stricter FIRST_TIME_* values
+            const firstTime = !!details.firstTime && !!config.ENABLE_FIRST_TIME_RULES;
+            const ruleConfig = firstTime ? firstTimeConfig(config) : config;
+            const ctx = { config: ruleConfig, keywords: keywords(), domains: domains(), hypeMode: hypeMode(), exemptions: exemptions(), bayes: bayes(), state, log };
+            // user whitelist / privileged check handled before calling this function
+            const verdict = ruleConfig.ENABLE_SCORING_MODE ? scoreRules(msg, ctx) : firstHit(msg, ctx);
+            if (firstTime && verdict.spam) verdict.firstTime = true;
+            return verdict;
+        }
+
+        // Calls check() or measure() of a rule; returns RULE_FAILED instead of breaking the chat.
+        // A broken user or script rule is switched off; a built-in rule only skips this message,
+        // so one unusual message can't switch a filter off (the registry may be shared).
+        function callRule(rule, method, msg, ctx) {
+            try {
+                return rule[method](msg, ctx);
+            } catch (e) {
+                if (rule.source !== 'builtin') rules.setEnabled(rule.id, false);
+                onRuleError(rule, e);
+                return RULE_FAILED;
+            }
+        }
+
+        function firstHit(msg, ctx) {
+            for (const rule of rules.list()) {
+                if (!rule.check || !rules.isEnabled(rule, ctx.config)) continue;
+                const hit = callRule(rule, 'check', msg, ctx);
+                if (hit === RULE_FAILED) continue;
+                if (hit) return createVerdict(rule.id, hit.limit, hit.reached, hit.trigger, rule.severity);
+                if (rule.record) rule.record(msg, ctx);
+            }
+            return PASS;
+        }
+
+        // Scoring mode: every rule adds weight × grade. The grade of a hit is reached / limit (at
+        // least 1, SCORE_MAX_GRADE without a measured value), the grade of a near miss from
+        // measure() is reached / limit from SCORE_NEAR_MISS_RATIO on. Grades stop at SCORE_MAX_GRADE.
+        function scoreRules(msg, ctx) {
+            const { config } = ctx;
+            const parts = [];
+            const unrecorded = [];
+            for (const rule of rules.list()) {
+                if (!rule.check || !rules.isEnabled(rule, config)) continue;
+                const hit = callRule(rule, 'check', msg, ctx);
+                if (hit === RULE_FAILED) continue;
+                let grade = 0;
+                let value = hit;
+                if (hit) {
+                    const ratio = limitRatio(hit);
+                    grade = ratio === null ? SCORE_MAX_GRADE : Math.max(1, ratio);
+                } else {
+                    if (rule.record) unrecorded.push(rule);
+                    value = rule.measure ? callRule(rule, 'measure', msg, ctx) : null;
+                    const ratio = value && value !== RULE_FAILED ? limitRatio(value) : null;
+                    if (ratio !== null && ratio >= config.SCORE_NEAR_MISS_RATIO) grade = ratio;
+                }
+                if (!grade) continue;
+                const weight = typeof rule.weight === 'number' ? rule.weight : SCORE_SEVERITY_WEIGHTS[rule.severity];
+                const score = Math.round(weight * Math.min(grade, SCORE_MAX_GRADE) * 100) / 100;
+                parts.push({ rule, value, score, hit: !!hit });
+            }
+            const total = Math.round(parts.reduce((sum, part) => sum + part.score, 0) * 100) / 100;
+            const score = {
+                total,
+                threshold: config.SCORE_THRESHOLD,
+                rules: parts.map(({ rule, value, score }) => ({
+                    rule: rule.id,
+                    score,
+                    limit: typeof value.limit === 'number' ? value.limit : null,
+                    reached: typeof value.reached === 'number' ? value.reached : null
+                }))
+            };
+            if (total < config.SCORE_THRESHOLD) {
+                for (const rule of unrecorded) rule.record(msg, ctx);
+                return Object.assign({}, PASS, { score });
+            }
+            // the verdict names the rule with the highest score, preferring rules that fired over near misses
+            const top = parts.reduce((best, part) => (part.hit - best.hit || part.score - best.score) > 0 ? part : best);
+            const verdict = createVerdict(top.rule.id, top.value.limit, top.value.reached, top.value.trigger, top.rule.severity);
+            verdict.score = score;
+            return verdict;
+        }
+
+        // Notes a chatter whose message is not checked (privileged users, skipped replies), so
+        // mentioning them does not count as mentioning someone who is not in chat
+        function seen(user, timestamp) {
+            rememberChatter(user, typeof timestamp === 'number' ? timestamp : clock(), config, state);
+        }
+
+        // Forgets all message history (e.g. for tests or after a channel switch)
+        function reset() {
+            state = createEngineState();
+        }
+
+        return { config, rules, check, seen, reset };
+    }
+
+    /*********************
+     * Public API core (no DOM access)
+     *********************/
+    // The parts of window.TSF that need no page; the browser part adds saving, the overlay and
+    // the log (see Public API below). Exported for the tests like the engine.
+
+    // Window events for companion scripts, detail: { verdict, node, user, text, emotes, action }
+    // action: 'hidden' | 'cleaned' | 'marked' | 'detected' (filtered) or 'passed'
+    const TSF_EVENTS = { filtered: 'tsf:message-filtered', passed: 'tsf:message-passed' };
+
+    // Ids and default order of user rules (overlay) and script rules (TSF.registerRule())
+    const USER_RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+    const USER_RULE_DEFAULT_ORDER = 1000;
+
+    // TSF.setSetting(): validates like the overlay and sets the value. Returns an error text, or null
+    function setSettingValue(settings, key, value) {
+        const field = SETTINGS_SCHEMA.find(f => f.key === key);
+        if (!field) return `${key}: ${t('errUnknownSetting')}`;
+        const v = validateSetting(field, value);
+        if (!v.ok) return t('invalidValue', { key, error: v.error });
+        settings[key] = v.value;
+        return null;
+    }
+
+    // TSF.registerRule(): rules of other scripts are real functions that get a frozen copy of the
+    // message (see createRuleInput) and return a truthy value or { limit, reached, trigger }.
+    // Returns an error text, or null when the rule was added to the registry
+    function registerScriptRule(registry, def) {
+        if (!def || typeof def.check !== 'function') return t('errRuleCheck');
+        const id = String(def.id || '');
+        if (!USER_RULE_ID_PATTERN.test(id)) return t('errRuleId');
+        if (registry.get(id)) return t('errRuleExists', { id });
+        const severity = def.severity === undefined ? 'medium' : def.severity;
+        if (!RULE_SEVERITIES.includes(severity)) return t('errRuleSeverity');
+        const order = def.order === undefined ? USER_RULE_DEFAULT_ORDER : def.order;
+        if (typeof order !== 'number' || !Number.isFinite(order)) return `order: ${t('errNotANumber')}`;
+        const check = def.check;
+        registry.register({
+            id, order, severity, source: 'script',
+            label: typeof def.label === 'string' && def.label ? def.label : id,
+            check: (msg) => check(createRuleInput(msg))
+        });
+        return null;
+    }
+
+    // TSF.unregisterRule(): only rules of other scripts can be removed. Returns an error text, or null
+    function unregisterScriptRule(registry, id) {
+        const rule = registry.get(id);
+        if (!rule) return t('errRuleNotFound', { id });
+        if (rule.source !== 'script') return t('errRuleBuiltin', { id });
+        registry.unregister(id);
+        return null;
+    }
+
+    // TSF.on(): name 'filtered' | 'passed' (see TSF_EVENTS) on the target (window); the handler
+    // gets the event detail. Returns a function that unsubscribes.
+    function onApiEvent(target, name, handler) {
+        const type = Object.prototype.hasOwnProperty.call(TSF_EVENTS, name) ? TSF_EVENTS[name] : null;
+        if (!type || typeof handler !== 'function') throw new TypeError(`TSF.on: unknown event "${name}" or missing handler`);
+        const listener = (e) => handler(e.detail);
+        target.addEventListener(type, listener);
+        return () => target.removeEventListener(type, listener);
+    }
+
+    // Under Node (tests) only the engine and the API core are exported; everything below needs a browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createSpamEngine,
+            createVerdict,
+            createRuleRegistry,
+            createRuleInput,
+            compileUserRule,
+            createUserRule,
+            BUILTIN_RULES,
+            RULES,
+            RULE_SEVERITIES,
+            KEYWORD_TYPES,
+            compileKeyword,
+            findKeyword,
+            hasNestedQuantifier,
+            regexStressInputs,
+            normalizeText,
+            normalizeDomain,
+            domainListed,
+            deobfuscateLinks,
+            findLinks,
+            findMentions,
+            firstTimeConfig,
+            DEFAULT_SETTINGS,
+            SETTINGS_SCHEMA,
+            validateSetting,
+            I18N,
+            translate,
+            TSF_EVENTS,
+            setSettingValue,
+            registerScriptRule,
+            unregisterScriptRule,
+            onApiEvent,
+            createBigrams,
+            bigramProfile,
+            diceProfiles,
+            diceCoefficient,
+            similarityScore,
+            similarityScoreClean,
+            areTextsSimilar,
+            removeEmotes,
+            mostCommonRunLength,
+            emoteSignature,
+            emoteSignatureSimilarity,
+            uppercaseRatio,
+            hasExcessiveRepetition,
+            longestCharRun,
+            splitGraphemes,
+            isEmoteName,
+            readEmoteNames,
+            findTextEmotes,
+            createBayesModel,
+            bayesTokens,
+            trainBayes,
+            bayesSpamProbability,
+            topBayesTokens,
+            readBayesModel,
+            detectRepeatedWord,
+            longestMarkStack,
+            stripCombiningMarks,
+            detectRepeatedPhraseSpam,
+            createCopyPasteIndex,
+            addToCopyPasteIndex,
+            expireCopyPasteIndex,
+            findExactCopy,
+            findSimilarCopy,
+            lshRows
+        };
+        return;
+    }
+
+    // Avoid double instance
+    if (window.__tsf_installed) return;
+    window.__tsf_installed = true;
+
+    /*********************
+     * Persistent storage (one versioned record)
+     *********************/
+    // Everything the script persists lives in one record under STORAGE_KEY:
+    // { schemaVersion, toggles, language, knownBots, profiles, channels, userRules, emoteDictionaries }.
+    // Older records are upgraded once by SETTINGS_MIGRATIONS, in order. New settings only
+    // need a default; a migration is only needed when existing data has to be reshaped.
+    const SETTINGS_SCHEMA_VERSION = 1;
+    const DEFAULT_PROFILE = "Default";
+
+    function readStoredJson(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (_) {
+            return null;
+        }
+    }
+
+    const SETTINGS_MIGRATIONS = [
+        {
+            // 0 -> 1: import the version-suffixed keys used up to v1.28
+            version: 1,
+            legacyKeys: [
+                "tsf_filter_enabled_v1.14", "tsf_filter_enabled_v1.13", "tsf_filter_enabled_v1.12", "tsf_filter_enabled_v1.11",
+                "tsf_filter_enabled_v1.10", "tsf_filter_enabled_v1.9", "tsf_filter_enabled_v1.8", "tsf_filter_enabled_v1.7",
+                "tsf_mark_enabled_v1.14", "tsf_mark_enabled_v1.13", "tsf_mark_enabled_v1.12", "tsf_mark_enabled_v1.11",
+                "tsf_mark_enabled_v1.10", "tsf_mark_enabled_v1.9", "tsf_mark_enabled_v1.8",
+                "tsf_ignore_replies_v1.20",
+                "tsf_settings_v1.28", "tsf_profiles_v1.28", "tsf_known_bots_v1.28"
+            ],
+            migrate(record) {
+                // newest key wins, like the old readPersistedBool() lookup
+                const firstBool = (prefix) => {
+                    for (const key of this.legacyKeys.filter(k => k.startsWith(prefix))) {
+                        const v = localStorage.getItem(key);
+                        if (v !== null) return v === "true";
+                    }
+                    return undefined;
+                };
+                record.toggles = {};
+                const filter = firstBool("tsf_filter_enabled_");
+                const mark = firstBool("tsf_mark_enabled_");
+                const ignoreReplies = firstBool("tsf_ignore_replies_");
+                if (filter !== undefined) record.toggles.filterEnabled = filter;
+                if (mark !== undefined) record.toggles.markEnabled = mark;
+                if (ignoreReplies !== undefined) record.toggles.ignoreRepliesEnabled = ignoreReplies;
+
+                const profiles = readStoredJson("tsf_profiles_v1.28");
+                const globalSettings = readStoredJson("tsf_settings_v1.28");
+                if (profiles && typeof profiles === 'object') {
+                    record.profiles = profiles.profiles;
+                    record.channels = profiles.channels;
+                } else if (globalSettings && typeof globalSettings === 'object') {
+                    record.profiles = { [DEFAULT_PROFILE]: { settings: globalSettings } };
+                }
+                const bots = readStoredJson("tsf_known_bots_v1.28");
+                if (Array.isArray(bots)) record.knownBots = bots;
+                return record;
+            }
+        }
+    ];
+
+    // Reads the record and runs all pending migrations. Legacy keys are only removed
+    // after the upgraded record has been written.
+    function loadSettingsRecord() {
+        let record = readStoredJson(STORAGE_KEY);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) record = { schemaVersion: 0 };
+        const fromVersion = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+        // a record written by a newer script version is used as far as it is understood
+        const pending = SETTINGS_MIGRATIONS.filter(m => m.version > fromVersion);
+        if (!pending.length) return record;
+        for (const migration of pending) {
+            record = migration.migrate(record);
+            record.schemaVersion = migration.version;
+        }
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+            for (const migration of pending) {
+                for (const key of migration.legacyKeys || []) localStorage.removeItem(key);
+            }
+        } catch (_) {
+            // storage full/blocked: keep the legacy keys, migrate again next time
+        }
+        return record;
+    }
+
+    // Writes the current state back into the record (unknown fields of newer versions are kept)
+    function saveSettingsRecord() {
+        storedRecord.toggles = { filterEnabled, markEnabled, ignoreRepliesEnabled };
+        storedRecord.language = languageSetting;
+        storedRecord.knownBots = knownBotsCustomized ? knownBots : null;
+        storedRecord.profiles = profileStore.profiles;
+        storedRecord.channels = profileStore.channels;
+        storedRecord.userRules = userRules;
+        storedRecord.emoteDictionaries = Object.fromEntries(Array.from(emoteDictionaries, ([channel, names]) => [channel, Array.from(names)]));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(storedRecord));
+    }
+
+    const storedRecord = loadSettingsRecord();
+    const storedToggles = (storedRecord.toggles && typeof storedRecord.toggles === 'object') ? storedRecord.toggles : {};
+    // filterEnabled is persisted (sync between menu & overlay)
+    let filterEnabled = typeof storedToggles.filterEnabled === 'boolean' ? storedToggles.filterEnabled : true;
+    let markEnabled = typeof storedToggles.markEnabled === 'boolean' ? storedToggles.markEnabled : true;
+    let ignoreRepliesEnabled = typeof storedToggles.ignoreRepliesEnabled === 'boolean' ? storedToggles.ignoreRepliesEnabled : true;
+    // Hype mode is not persisted: it ends after HYPE_MODE_DURATION_MS or with the page (see setHypeMode)
+    let hypeModeTimer = null;
+
+    /*********************
+     * Language (tables: see Localization above)
+     *********************/
+    // Twitch sets <html lang> to the UI language (e.g. "de-DE"); unknown languages use English
+    function detectLanguage() {
+        const lang = ((document.documentElement && document.documentElement.lang) || navigator.language || '').toLowerCase().split('-')[0];
+        return I18N[lang] ? lang : DEFAULT_LANGUAGE;
+    }
+
+    // 'auto' follows Twitch, otherwise the language chosen in the overlay
+    let languageSetting = I18N[storedRecord.language] ? storedRecord.language : 'auto';
+    language = languageSetting === 'auto' ? detectLanguage() : languageSetting;
+
+    function setLanguage(value) {
+        languageSetting = I18N[value] ? value : 'auto';
+        language = languageSetting === 'auto' ? detectLanguage() : languageSetting;
+    }
+
+    function onOff(enabled) {
+        return t(enabled ? 'on' : 'off');
+    }
+
+    /*********************
+     * Presets and profiles
+     *********************/
+    // Built-in presets. "Balanced" are the defaults above; the other presets change the
+    // values listed here and keep the defaults for everything else.
+    const DEFAULT_PRESET = 'balanced';
+    const SETTINGS_PRESETS = {
+        lenient: {
+            labelKey: 'presetLenient',
+            values: {
+                MAX_EMOTES: 10,
+                EMOTE_DENSITY_THRESHOLD: 0.8,
+                MAX_SAME_EMOTE_RUN: 5,
+                GLOBAL_EMOTE_TRAIN_THRESHOLD: 5,
+                ART_SPAM_MIN_RATIO: 0.5,
+                ART_SPAM_MIN_RATIO_WITH_LINES: 0.3,
+                PER_USER_REPEAT_WINDOW_MS: 30000,
+                PER_USER_EXACT_REPEAT_THRESHOLD: 4,
+                PER_USER_SIMILAR_REPEAT_THRESHOLD: 4,
+                FLOOD_BURST: 8,
+                FLOOD_RATE: 1,
+                MAX_MENTIONS: 6,
+                MAX_MENTIONS_PER_WINDOW: 12,
+                GLOBAL_COPY_PASTE_WINDOW_MS: 5000,
+                SIMILARITY_THRESHOLD: 0.9,
+                ENABLE_UPPERCASE_FILTER: false,
+                PHRASE_REPEAT_MIN_REPEATS: 4,
+                SHORT_PHRASE_MIN_REPEATS: 8,
+                MAX_CHAR_REPETITION: 6,
+                MAX_WORD_REPETITION: 5,
+                FIRST_TIME_BLOCK_LINKS: false
+            }
+        },
+        balanced: {
+            labelKey: 'presetBalanced',
+            values: {}
+        },
+        strict: {
+            labelKey: 'presetStrict',
+            values: {
+                MAX_EMOTES: 4,
+                EMOTE_DENSITY_THRESHOLD: 0.5,
+                MAX_SAME_EMOTE_RUN: 2,
+                GLOBAL_EMOTE_SIGNATURE_WINDOW_MS: 15000,
+                GLOBAL_EMOTE_TRAIN_THRESHOLD: 2,
+                EMOTE_TRAIN_MODE: 'similar',
+                ART_SPAM_MIN_LENGTH: 15,
+                ART_SPAM_MIN_RATIO: 0.3,
+                ART_SPAM_MIN_RATIO_WITH_LINES: 0.15,
+                TEXT_MIN_LENGTH: 4,
+                PER_USER_REPEAT_WINDOW_MS: 120000,
+                PER_USER_EXACT_REPEAT_THRESHOLD: 2,
+                PER_USER_SIMILAR_REPEAT_THRESHOLD: 2,
+                FLOOD_BURST: 3,
+                FLOOD_RATE: 0.3,
+                MAX_MENTIONS: 3,
+                MAX_MENTIONS_PER_WINDOW: 6,
+                MAX_UNKNOWN_MENTIONS: 1,
+                GLOBAL_COPY_PASTE_WINDOW_MS: 15000,
+                GLOBAL_COPY_PASTE_MIN_LENGTH: 4,
+                SIMILARITY_THRESHOLD: 0.8,
+                UPPERCASE_RATIO: 0.6,
+                PHRASE_REPEAT_MIN_WORDS: 3,
+                SHORT_PHRASE_MIN_REPEATS: 5,
+                MAX_CHAR_REPETITION: 3,
+                MAX_WORD_REPETITION: 2,
+                BLOCK_ALL_LINKS: true,
+                FIRST_TIME_MAX_EMOTES: 2,
+                FIRST_TIME_SIMILARITY_THRESHOLD: 0.7
+            }
+        },
+        emoteFriendly: {
+            labelKey: 'presetEmoteFriendly',
+            values: {
+                MAX_EMOTES: 15,
+                EMOTE_DENSITY_THRESHOLD: 1,
+                MAX_SAME_EMOTE_RUN: 8,
+                GLOBAL_EMOTE_SIGNATURE_WINDOW_MS: 5000,
+                GLOBAL_EMOTE_TRAIN_THRESHOLD: 8,
+                EMOTE_TRAIN_MODE: 'exact',
+                FIRST_TIME_MAX_EMOTES: 8
+            }
+        }
+    };
+
+    function presetLabel(presetId) {
+        return t(SETTINGS_PRESETS[presetId].labelKey);
+    }
+
+    // All SETTINGS_SCHEMA values of a preset
+    function presetValues(presetId) {
+        const preset = SETTINGS_PRESETS[presetId] || SETTINGS_PRESETS[DEFAULT_PRESET];
+        const values = {};
+        for (const field of SETTINGS_SCHEMA) {
+            values[field.key] = field.key in preset.values ? preset.values[field.key] : field.def;
+        }
+        return values;
+    }
+
+    // Validated values from a stored overrides object (invalid or unknown fields are dropped)
+    function readSettingsOverrides(stored) {
+        const overrides = {};
+        if (!stored || typeof stored !== 'object') return overrides;
+        for (const field of SETTINGS_SCHEMA) {
+            if (!(field.key in stored)) continue;
+            const v = validateSetting(field, stored[field.key]);
+            if (v.ok) overrides[field.key] = v.value;
+        }
+        return overrides;
+    }
+
+    /*********************
+     * Filter profiles (per channel)
+     *********************/
+    // A profile holds the settings overrides, the lists of PROFILE_LISTS (users and domains on
+    // top of the ones in the script) and the blocked terms. Channels are mapped to a profile by
+    // their login; channels without a mapping use DEFAULT_PROFILE.
+    // lists: { whitelist, blocklist, allowedDomains, deniedDomains, keywords }, missing lists are empty
+    function createProfile(overrides, preset, lists = {}) {
+        const profile = { settings: Object.assign({}, overrides) };
+        for (const kind of Object.keys(PROFILE_LISTS)) profile[kind] = (lists[kind] || []).slice();
+        profile.keywords = (lists.keywords || []).map(entry => Object.assign({}, entry));
+        profile.preset = SETTINGS_PRESETS[preset] ? preset : DEFAULT_PRESET;
+        return profile;
+    }
+
+    function readStoredLogins(list) {
+        return Array.isArray(list) ? list.map(normalizeLogin).filter(u => u && isValidLogin(u)) : [];
+    }
+
+    function readStoredList(kind, list) {
+        const { normalize, isValid } = PROFILE_LISTS[kind];
+        return Array.isArray(list) ? list.map(normalize).filter(v => v && isValid(v)) : [];
+    }
+
+    // Profile names and channel logins are keys of plain objects: only own properties count, so
+    // names like "toString" work, and "__proto__" can't be used at all
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    function loadProfiles(record) {
+        const store = { profiles: {}, channels: {} };
+        if (record.profiles && typeof record.profiles === 'object') {
+            for (const [name, profile] of Object.entries(record.profiles)) {
+                if (!profile || typeof profile !== 'object' || name === '__proto__') continue;
+                const lists = { keywords: readStoredKeywords(profile.keywords) };
+                for (const kind of Object.keys(PROFILE_LISTS)) lists[kind] = readStoredList(kind, profile[kind]);
+                store.profiles[name] = createProfile(readSettingsOverrides(profile.settings), profile.preset, lists);
+            }
+        }
+        if (record.channels && typeof record.channels === 'object') {
+            for (const [channel, name] of Object.entries(record.channels)) {
+                if (channel !== '__proto__' && hasOwn(store.profiles, name)) store.channels[channel] = name;
+            }
+        }
+        if (!hasOwn(store.profiles, DEFAULT_PROFILE)) store.profiles[DEFAULT_PROFILE] = createProfile({});
+        return store;
+    }
+
+    function hasProfile(name) {
+        return typeof name === 'string' && hasOwn(profileStore.profiles, name);
+    }
+
+    function profileNameForChannel(channel) {
+        const name = channel && hasOwn(profileStore.channels, channel) ? profileStore.channels[channel] : null;
+        return hasProfile(name) ? name : DEFAULT_PROFILE;
+    }
+
+    // Returns an error text, or null if the name can be used for a new/renamed profile
+    function validateProfileName(name) {
+        if (!name) return t('errNameEmpty');
+        if (name.length > 40) return t('errNameTooLong');
+        if (name === '__proto__') return t('errProfileName');
+        if (hasProfile(name)) return t('errProfileExists', { name });
+        return null;
+    }
+
+    // Loads a profile into the live `settings` object and the lists used by the detection
+    function applyProfile(name) {
+        activeProfileName = hasProfile(name) ? name : DEFAULT_PROFILE;
+        const profile = profileStore.profiles[activeProfileName];
+        for (const field of SETTINGS_SCHEMA) {
+            settings[field.key] = field.key in profile.settings ? profile.settings[field.key] : field.def;
+        }
+        activeWhitelist = profile.whitelist;
+        activeBlocklist = profile.blocklist;
+        activeKeywords = profile.keywords;
+    }
+
+    function assignProfile(channel, name) {
+        if (!channel) return;
+        if (name === DEFAULT_PROFILE) delete profileStore.channels[channel];
+        else profileStore.channels[channel] = name;
+        saveSettingsRecord();
+    }
+
+    function copyProfile(sourceName, newName) {
+        const error = validateProfileName(newName);
+        if (error) return error;
+        const source = profileStore.profiles[sourceName];
+        profileStore.profiles[newName] = createProfile(source.settings, source.preset, source);
+        saveSettingsRecord();
+        return null;
+    }
+
+    function renameProfile(oldName, newName) {
+        if (oldName === DEFAULT_PROFILE) return t('errRenameDefault');
+        const error = validateProfileName(newName);
+        if (error) return error;
+        profileStore.profiles[newName] = profileStore.profiles[oldName];
+        delete profileStore.profiles[oldName];
+        for (const channel of Object.keys(profileStore.channels)) {
+            if (profileStore.channels[channel] === oldName) profileStore.channels[channel] = newName;
+        }
+        if (activeProfileName === oldName) activeProfileName = newName;
+        saveSettingsRecord();
+        return null;
+    }
+
+    function deleteProfile(name) {
+        if (name === DEFAULT_PROFILE) return t('errDeleteDefault');
+        delete profileStore.profiles[name];
+        for (const channel of Object.keys(profileStore.channels)) {
+            if (profileStore.channels[channel] === name) delete profileStore.channels[channel];
+        }
+        saveSettingsRecord();
+        return null;
+    }
+
+    /*********************
+     * Whitelist / blocklist / domain lists (per profile)
+     *********************/
+    function normalizeLogin(value) {
+        return typeof value === 'string' ? value.trim().replace(/^@/, '').toLowerCase() : '';
+    }
+
+    function isValidLogin(login) {
+        return /^[a-z0-9_]{1,25}$/.test(login);
+    }
+
+    // The string lists of a profile: how entries are normalized and checked, and the list
+    // from the script whose entries always apply (`fixed`, named `fixedName`)
+    const PROFILE_LISTS = {
+        whitelist: { normalize: normalizeLogin, isValid: isValidLogin, invalidKey: 'errInvalidLogin', listKey: 'errLoginList', placeholderKey: 'searchAddLogin', fixed: WHITELIST, fixedName: 'WHITELIST' },
+        blocklist: { normalize: normalizeLogin, isValid: isValidLogin, invalidKey: 'errInvalidLogin', listKey: 'errLoginList', placeholderKey: 'searchAddLogin', fixed: [], fixedName: null },
+        allowedDomains: { normalize: normalizeDomain, isValid: Boolean, invalidKey: 'errInvalidDomain', listKey: 'errDomainList', placeholderKey: 'searchAddDomain', fixed: LINK_ALLOWLIST, fixedName: 'LINK_ALLOWLIST' },
+        deniedDomains: { normalize: normalizeDomain, isValid: Boolean, invalidKey: 'errInvalidDomain', listKey: 'errDomainList', placeholderKey: 'searchAddDomain', fixed: LINK_DENYLIST, fixedName: 'LINK_DENYLIST' }
+    };
+
+    // Entries of the active profile including the ones from the script
+    function listEntries(kind) {
+        const entries = profileStore.profiles[activeProfileName][kind];
+        return PROFILE_LISTS[kind].fixed.filter(v => !entries.includes(v)).concat(entries);
+    }
+
+    // kind: a key of PROFILE_LISTS. Returns an error text, or null on success
+    function addListEntry(kind, value) {
+        const { normalize, isValid, invalidKey } = PROFILE_LISTS[kind];
+        const login = normalize(value);
+        if (!login || !isValid(login)) return t(invalidKey, { value });
+        const list = profileStore.profiles[activeProfileName][kind];
+        if (list.includes(login)) return t('errAlreadyListed', { login, list: t(kind) });
+        list.push(login);
+        saveSettingsRecord();
+        privilegedLoginCache.clear();
+        return null;
+    }
+
+    function removeListEntry(kind, login) {
+        const list = profileStore.profiles[activeProfileName][kind];
+        const idx = list.indexOf(login);
+        if (idx === -1) return t('errNotListed', { login, list: t(kind) });
+        list.splice(idx, 1);
+        saveSettingsRecord();
+        privilegedLoginCache.clear();
+        return null;
+    }
+
+    // Domain lists for the link rules of the engine
+    function activeDomains() {
+        return { allow: listEntries('allowedDomains'), deny: listEntries('deniedDomains') };
+    }
+
+    // Logins the mention rules can leave out (MENTION_EXEMPT_BROADCASTER / MENTION_EXEMPT_WHITELIST)
+    function mentionExemptions() {
+        return { broadcaster: getChannelLogin() || null, whitelist: listEntries('whitelist') };
+    }
+
+    function isBlocklisted(login) {
+        return !!login && activeBlocklist.includes(login);
+    }
+
+    /*********************
+     * Blocked terms (per profile, keyword rule)
+     *********************/
+    // Entries as described at KEYWORD_TYPES. The overlay offers these expiry choices (ms)
+    const KEYWORD_TYPE_LABELS = { keyword: 'keywordTypeKeyword', word: 'keywordTypeWord', wildcard: 'keywordTypeWildcard', regex: 'keywordTypeRegex' };
+    const KEYWORD_EXPIRY_OPTIONS = [['expiryNever', 0], ['expiry1h', 3600000], ['expiry1d', 86400000], ['expiry7d', 604800000], ['expiry30d', 2592000000]];
+    const REGEX_TEST_TIMEOUT_MS = 250;
+
+    // Returns { ok: true, value } or { ok: false, error }. Regexes are compiled and checked for
+    // nested quantifiers here; the overlay and the API also time them (testRegexTiming).
+    function validateKeywordEntry(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: t('errExpectedObject') };
+        const pattern = typeof raw.pattern === 'string' ? raw.pattern.trim() : '';
+        if (!pattern || pattern.length > 200) return { ok: false, error: t('errKeywordEmpty') };
+        const type = raw.type === undefined ? 'keyword' : raw.type;
+        if (!KEYWORD_TYPES.includes(type)) return { ok: false, error: t('errKeywordType', { type }) };
+        const expires = raw.expires === undefined || raw.expires === null ? null : raw.expires;
+        if (expires !== null && (typeof expires !== 'number' || !Number.isFinite(expires))) return { ok: false, error: t('errExpiry') };
+        const entry = { pattern, type, caseSensitive: raw.caseSensitive === true, expires };
+        try {
+            compileKeyword(entry);
+        } catch (e) {
+            return { ok: false, error: t('errRegexInvalid', { error: e.message }) };
+        }
+        if (type === 'regex' && hasNestedQuantifier(pattern)) return { ok: false, error: t('errRegexSlow') };
+        return { ok: true, value: entry };
+    }
+
+    function readStoredKeywords(list) {
+        const entries = [];
+        for (const raw of Array.isArray(list) ? list : []) {
+            const v = validateKeywordEntry(raw);
+            if (v.ok) entries.push(v.value);
+        }
+        return entries;
+    }
+
+    // Runs the regex against texts that make backtracking regexes slow, in a worker that is
+    // stopped after REGEX_TEST_TIMEOUT_MS. Without workers (blocked by the page, or the worker
+    // fails to load) it runs here with shorter texts. Resolves to an error text, or null.
+    function testRegexTiming(entry) {
+        const flags = entry.caseSensitive ? 'u' : 'iu';
+        // in the page a catastrophic regex can't be stopped, so the texts are shorter and the limit lower
+        const testHere = () => {
+            const re = new RegExp(entry.pattern, flags);
+            const start = performance.now();
+            for (const s of regexStressInputs(entry.pattern, 20)) re.test(s);
+            return performance.now() - start > REGEX_TEST_TIMEOUT_MS / 5 ? t('errRegexSlow') : null;
+        };
+        let worker = null;
+        let url = null;
+        try {
+            const source = 'onmessage = (e) => { const re = new RegExp(e.data.pattern, e.data.flags); for (const s of e.data.inputs) re.test(s); postMessage(true); };';
+            url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            worker = new Worker(url);
+        } catch (_) {
+            if (url) URL.revokeObjectURL(url);
+            return Promise.resolve(testHere());
+        }
+        return new Promise((resolve) => {
+            const done = (error) => {
+                clearTimeout(timer);
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                resolve(error);
+            };
+            const timer = setTimeout(() => done(t('errRegexSlow')), REGEX_TEST_TIMEOUT_MS);
+            worker.onmessage = () => done(null);
+            // the worker could not load or crashed: the check must not be skipped
+            worker.onerror = (e) => {
+                if (e && e.preventDefault) e.preventDefault();
+                done(testHere());
+            };
+            worker.postMessage({ pattern: entry.pattern, flags, inputs: regexStressInputs(entry.pattern, 40) });
+        });
+    }
+
+    // Expired entries are dropped whenever the list is changed
+    function pruneExpiredKeywords(list) {
+        const now = Date.now();
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (list[i].expires && list[i].expires <= now) list.splice(i, 1);
+        }
+    }
+
+    // raw: { pattern, type, caseSensitive, expiresIn (ms, 0 = never) }. Resolves to an error text, or null
+    async function addKeyword(raw) {
+        const expiresIn = raw && Number(raw.expiresIn) > 0 ? Number(raw.expiresIn) : 0;
+        const v = validateKeywordEntry(Object.assign({}, raw, { expires: expiresIn ? Date.now() + expiresIn : null }));
+        if (!v.ok) return v.error;
+        if (v.value.type === 'regex') {
+            const error = await testRegexTiming(v.value);
+            if (error) return error;
+        }
+        const list = profileStore.profiles[activeProfileName].keywords;
+        pruneExpiredKeywords(list);
+        if (list.some(e => e.pattern === v.value.pattern && e.type === v.value.type)) return t('errKeywordExists', { pattern: v.value.pattern });
+        list.push(v.value);
+        saveSettingsRecord();
+        return null;
+    }
+
+    function removeKeyword(pattern, type) {
+        const list = profileStore.profiles[activeProfileName].keywords;
+        const idx = list.findIndex(e => e.pattern === pattern && (type === undefined || e.type === type));
+        if (idx === -1) return t('errKeywordNotFound', { pattern });
+        list.splice(idx, 1);
+        pruneExpiredKeywords(list);
+        saveSettingsRecord();
+        return null;
+    }
+
+    /*********************
+     * Presets (per profile)
+     *********************/
+    // Overwrites all settings of the active profile with the values of a preset
+    function applyPreset(presetId) {
+        const values = presetValues(presetId);
+        for (const field of SETTINGS_SCHEMA) settings[field.key] = values[field.key];
+        profileStore.profiles[activeProfileName].preset = presetId;
+        saveSettings();
+    }
+
+    // Settings of the active profile that differ from its preset: [{ key, preset, current }]
+    function presetDiff() {
+        const values = presetValues(profileStore.profiles[activeProfileName].preset);
+        return SETTINGS_SCHEMA
+            .filter(field => settings[field.key] !== values[field.key])
+            .map(field => ({ key: field.key, preset: values[field.key], current: settings[field.key] }));
+    }
+
+    function saveSettings() {
+        // only persist overrides so changed defaults in the script still take effect
+        const overrides = {};
+        for (const field of SETTINGS_SCHEMA) {
+            if (settings[field.key] !== field.def) overrides[field.key] = settings[field.key];
+        }
+        profileStore.profiles[activeProfileName].settings = overrides;
+        saveSettingsRecord();
+    }
+
+    const profileStore = loadProfiles(storedRecord);
+    const settings = {};
+    let activeProfileName = DEFAULT_PROFILE;
+    let activeWhitelist = [];
+    let activeBlocklist = [];
+    let activeKeywords = [];
+    let activeChannel = getChannelLogin();
+    applyProfile(profileNameForChannel(activeChannel));
+
+    // KNOWN_BOTS from the script, unless a bot list was imported (see import/export below)
+    let knownBotsCustomized = Array.isArray(storedRecord.knownBots);
+    let knownBots = knownBotsCustomized ? readStoredLogins(storedRecord.knownBots) : KNOWN_BOTS.slice();
+
+    /*********************
+     * User rules (snippets that run in the page, for all profiles)
+     *********************/
+    // Stored as { id, label, code, severity, order, enabled } and registered as "user:<id>" in
+    // the rule registry that the detection engine runs (see createUserRule). Rules added by
+    // other scripts through TSF.registerRule() live in the same registry but are not stored.
+
+    function severityLabel(severity) {
+        return t({ low: 'severityLow', medium: 'severityMedium', high: 'severityHigh' }[severity]);
+    }
+
+    // Returns { ok: true, value } or { ok: false, error } (also compiles the code)
+    function validateUserRule(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: t('errExpectedObject') };
+        const id = String(raw.id || '').trim().toLowerCase();
+        if (!USER_RULE_ID_PATTERN.test(id)) return { ok: false, error: t('errRuleId') };
+        const severity = raw.severity === undefined ? 'medium' : raw.severity;
+        if (!RULE_SEVERITIES.includes(severity)) return { ok: false, error: t('errRuleSeverity') };
+        const order = raw.order === undefined || raw.order === '' ? USER_RULE_DEFAULT_ORDER : Number(raw.order);
+        if (!Number.isFinite(order)) return { ok: false, error: `order: ${t('errNotANumber')}` };
+        const code = typeof raw.code === 'string' ? raw.code.trim() : '';
+        if (!code || code.length > 2000) return { ok: false, error: t('errRuleCodeEmpty') };
+        try {
+            compileUserRule(code);
+        } catch (e) {
+            return { ok: false, error: t('errRuleCode', { error: e.message }) };
+        }
+        const label = typeof raw.label === 'string' ? raw.label.trim().slice(0, 80) : '';
+        return { ok: true, value: { id, label, code, severity, order, enabled: raw.enabled !== false } };
+    }
+
+    // Valid, unique rules from the stored record (invalid entries are dropped)
+    function readUserRules(list) {
+        const rules = [];
+        for (const raw of Array.isArray(list) ? list : []) {
+            const v = validateUserRule(raw);
+            if (v.ok && !rules.some(r => r.id === v.value.id)) rules.push(v.value);
+        }
+        return rules;
+    }
+
+    let userRules = readUserRules(storedRecord.userRules);
+    const ruleRegistry = createRuleRegistry();
+    for (const def of userRules) ruleRegistry.register(createUserRule(def));
+
+    // Returns an error text, or null on success
+    function addUserRule(raw) {
+        const v = validateUserRule(raw);
+        if (!v.ok) return v.error;
+        if (ruleRegistry.get(USER_RULE_PREFIX + v.value.id)) return t('errRuleExists', { id: v.value.id });
+        ruleRegistry.register(createUserRule(v.value));
+        userRules.push(v.value);
+        saveSettingsRecord();
+        return null;
+    }
+
+    function removeUserRule(id) {
+        const idx = userRules.findIndex(r => r.id === id);
+        if (idx === -1) return t('errRuleNotFound', { id });
+        userRules.splice(idx, 1);
+        ruleRegistry.unregister(USER_RULE_PREFIX + id);
+        saveSettingsRecord();
+        return null;
+    }
+
+    function setUserRuleEnabled(id, enabled) {
+        const def = userRules.find(r => r.id === id);
+        if (!def) return t('errRuleNotFound', { id });
+        def.enabled = !!enabled;
+        ruleRegistry.setEnabled(USER_RULE_PREFIX + id, def.enabled);
+        saveSettingsRecord();
+        return null;
+    }
+
+    // After an import: the registry gets the imported user rules
+    function replaceUserRules(rules) {
+        for (const def of userRules) ruleRegistry.unregister(USER_RULE_PREFIX + def.id);
+        userRules = rules;
+        for (const def of userRules) ruleRegistry.register(createUserRule(def));
+    }
+
+    /*********************
+     * Emote dictionary (per channel)
+     *********************/
+    // Emote names per channel login, learned from emote images in chat (EMOTE_DICTIONARY_LEARN)
+    // or imported from a JSON file. The engine counts words of the text that are in the
+    // dictionary of the current channel as emotes (ENABLE_EMOTE_DICTIONARY).
+    const EMOTE_DICTIONARY_LIMIT = 5000;
+    const EMOTE_DICTIONARY_SAVE_DELAY_MS = 10000;
+    const emoteDictionaries = readEmoteDictionaries(storedRecord.emoteDictionaries);
+    let emoteDictionarySaveTimer = null;
+
+    function readEmoteDictionaries(stored) {
+        const dictionaries = new Map();
+        if (!stored || typeof stored !== 'object') return dictionaries;
+        for (const [channel, names] of Object.entries(stored)) {
+            if (!isValidLogin(channel) || !Array.isArray(names)) continue;
+            dictionaries.set(channel, new Set(names.filter(isEmoteName).slice(-EMOTE_DICTIONARY_LIMIT)));
+        }
+        return dictionaries;
+    }
+
+    // Dictionary of the current channel (null if nothing was learned or imported there yet)
+    function activeEmoteDictionary() {
+        return emoteDictionaries.get(activeChannel) || null;
+    }
+
+    // Adds names to the current channel's dictionary; the oldest ones are dropped above
+    // EMOTE_DICTIONARY_LIMIT. Returns the number of new names.
+    function addEmoteNames(names) {
+        if (!activeChannel) return 0;
+        if (!emoteDictionaries.has(activeChannel)) emoteDictionaries.set(activeChannel, new Set());
+        const dictionary = emoteDictionaries.get(activeChannel);
+        let added = 0;
+        for (const name of names) {
+            if (!isEmoteName(name) || dictionary.has(name)) continue;
+            dictionary.add(name);
+            added++;
+        }
+        for (const name of dictionary) {
+            if (dictionary.size <= EMOTE_DICTIONARY_LIMIT) break;
+            dictionary.delete(name);
+        }
+        return added;
+    }
+
+    // Emote images from chat: saved with a delay, many lines arrive per second
+    function learnEmoteNames(names) {
+        if (!settings.EMOTE_DICTIONARY_LEARN || !names.length || !addEmoteNames(names)) return;
+        if (emoteDictionarySaveTimer !== null) return;
+        emoteDictionarySaveTimer = setTimeout(() => {
+            emoteDictionarySaveTimer = null;
+            saveSettingsRecord();
+        }, EMOTE_DICTIONARY_SAVE_DELAY_MS);
+    }
+
+    // doc: parsed JSON (see readEmoteNames). Returns an error text, or null on success
+    function importEmoteNames(doc) {
+        if (!activeChannel) return t('errNoChannel');
+        const names = readEmoteNames(doc);
+        if (!names.length) return t('errNoEmoteNames');
+        const added = addEmoteNames(names);
+        saveSettingsRecord();
+        dbg.addLog(t('emotesImported', { count: names.length, added, channel: activeChannel }));
+        dbg.refreshSettingsPanel();
+        return null;
+    }
+
+    function clearEmoteDictionary() {
+        if (!activeChannel) return t('errNoChannel');
+        emoteDictionaries.delete(activeChannel);
+        saveSettingsRecord();
+        return null;
+    }
+
+    /*********************
+     * Bayes classifier (IndexedDB, for all profiles)
+     *********************/
+    // The model of the bayes rule, trained with the ✓/✗ links of filtered messages in the
+    // overlay log. It grows too large for the settings record and is kept in IndexedDB.
+    const BAYES_DB_NAME = 'tsf_bayes';
+    const BAYES_DB_STORE = 'models';
+    const BAYES_MODEL_KEY = 'model';
+    const BAYES_SAVE_DELAY_MS = 2000;
+    const BAYES_FORMAT = 'tsf-bayes';
+    const BAYES_FORMAT_VERSION = 1;
+    let bayesModel = createBayesModel();
+    let bayesLoaded = Promise.resolve();
+    let bayesSaveTimer = null;
+
+    // Runs one request on the model store; rejects when IndexedDB is not available
+    function bayesStoreRequest(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+            const open = indexedDB.open(BAYES_DB_NAME, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(BAYES_DB_STORE);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const tx = db.transaction(BAYES_DB_STORE, mode);
+                const request = makeRequest(tx.objectStore(BAYES_DB_STORE));
+                tx.oncomplete = () => { db.close(); resolve(request.result); };
+                tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+            };
+        });
+    }
+
+    function logBayesError(error) {
+        dbg.addLog(`<span style="color: #ff0000">${t('bayesStorageFailed', { error: escapeHtml(error && error.message ? error.message : String(error)) })}</span>`);
+    }
+
+    // At startup; training, reset and import wait for it, so they don't get overwritten
+    function loadBayesModel() {
+        bayesLoaded = bayesStoreRequest('readonly', store => store.get(BAYES_MODEL_KEY))
+            .then(stored => {
+                const model = readBayesModel(stored);
+                if (model) bayesModel = model;
+            })
+            .catch(error => { if (settings.ENABLE_BAYES_FILTER) logBayesError(error); });
+        return bayesLoaded;
+    }
+
+    // Feedback usually comes in bursts, so saving waits a moment
+    function saveBayesModel() {
+        clearTimeout(bayesSaveTimer);
+        bayesSaveTimer = setTimeout(() => {
+            bayesSaveTimer = null;
+            bayesStoreRequest('readwrite', store => store.put(bayesModel, BAYES_MODEL_KEY)).catch(logBayesError);
+        }, BAYES_SAVE_DELAY_MS);
+    }
+
+    // Same tokens as the bayes rule sees: emote names from the dictionary count as emotes
+    // and the text is normalized
+    function bayesMessageTokens(text, emoteCodes) {
+        if (settings.ENABLE_EMOTE_DICTIONARY) {
+            const textEmotes = findTextEmotes(text, activeEmoteDictionary());
+            text = textEmotes.text;
+            emoteCodes = emoteCodes.concat(textEmotes.emoteCodes);
+        }
+        return bayesTokens(normalizeText(text).text, emoteCodes);
+    }
+
+    // spam: true = the message is spam (✓), false = it is not (✗)
+    async function trainBayesModel(text, emoteCodes, spam) {
+        await bayesLoaded;
+        trainBayes(bayesModel, bayesMessageTokens(text, emoteCodes), spam);
+        saveBayesModel();
+        dbg.refreshSettingsPanel();
+    }
+
+    async function resetBayesModel() {
+        await bayesLoaded;
+        bayesModel = createBayesModel();
+        saveBayesModel();
+    }
+
+    function buildBayesDocument() {
+        return { format: BAYES_FORMAT, version: BAYES_FORMAT_VERSION, exportedAt: new Date().toISOString(), model: bayesModel };
+    }
+
+    // doc: an exported document or a bare model. Resolves to an error text, or null on success
+    async function importBayesDocument(doc) {
+        const model = readBayesModel(doc && doc.format === BAYES_FORMAT ? doc.model : doc);
+        if (!model) return t('errBayesModel');
+        await bayesLoaded;
+        bayesModel = model;
+        saveBayesModel();
+        return null;
+    }
+
+    // ✓/✗ links after the log line of a filtered message; ✗ also shows the message again
+    function bayesFeedbackActions(root, text, emoteCodes) {
+        return [
+            { label: '✓', title: t('bayesIsSpam'), run: () => {
+                trainBayesModel(text, emoteCodes, true);
+                return t('bayesTrainedSpam');
+            } },
+            { label: '✗', title: t('bayesNotSpam'), run: () => {
+                trainBayesModel(text, emoteCodes, false);
+                root.style.display = '';
+                root.style.background = '';
+                return t('bayesTrainedHam');
+            } }
+        ];
+    }
+
+    /*********************
+     * Configuration import/export (JSON file)
+     *********************/
+    // One versioned document with the three overlay toggles, KNOWN_BOTS, all profiles
+    // (full settings, whitelist, blocklist), the channel -> profile assignments and the user rules.
+    const CONFIG_FORMAT = "tsf-config";
+    const CONFIG_FORMAT_VERSION = 1;
+
+    function buildConfigDocument() {
+        const profiles = {};
+        for (const [name, profile] of Object.entries(profileStore.profiles)) {
+            const values = {};
+            for (const field of SETTINGS_SCHEMA) {
+                values[field.key] = field.key in profile.settings ? profile.settings[field.key] : field.def;
+            }
+            profiles[name] = {
+                preset: profile.preset,
+                settings: values,
+                whitelist: profile.whitelist.slice(),
+                blocklist: profile.blocklist.slice(),
+                allowedDomains: profile.allowedDomains.slice(),
+                deniedDomains: profile.deniedDomains.slice(),
+                keywords: profile.keywords.map(entry => Object.assign({}, entry))
+            };
+        }
+        return {
+            format: CONFIG_FORMAT,
+            version: CONFIG_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            toggles: { filterEnabled, markEnabled, ignoreRepliesEnabled },
+            language: languageSetting,
+            knownBots: knownBots.slice(),
+            profiles,
+            channels: Object.assign({}, profileStore.channels),
+            userRules: userRules.map(def => Object.assign({}, def))
+        };
+    }
+
+    // Validates an imported document. Returns { config, errors }; config is null if the
+    // document cannot be used at all, otherwise it only contains the valid fields.
+    // merge: the document will be merged, so channels may also use the current profiles
+    function parseConfigDocument(doc, merge = false) {
+        const errors = [];
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { config: null, errors: [t('errNotJsonObject')] };
+        if (doc.format !== CONFIG_FORMAT) return { config: null, errors: [`format: ${t('errFormat', { format: CONFIG_FORMAT })}`] };
+        if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > CONFIG_FORMAT_VERSION) {
+            return { config: null, errors: [`version: ${t('errVersion', { version: doc.version })}`] };
+        }
+        const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+        // logins (knownBots, whitelist, blocklist) or domains, see PROFILE_LISTS
+        const readList = (list, path, kind = 'whitelist') => {
+            const { normalize, isValid, invalidKey, listKey } = PROFILE_LISTS[kind];
+            if (!Array.isArray(list)) {
+                errors.push(`${path}: ${t(listKey)}`);
+                return [];
+            }
+            const entries = [];
+            list.forEach((value, i) => {
+                const entry = normalize(value);
+                if (!entry || !isValid(entry)) errors.push(`${path}[${i}]: ${t(invalidKey, { value })}`);
+                else if (!entries.includes(entry)) entries.push(entry);
+            });
+            return entries;
+        };
+
+        const config = { toggles: {}, language: null, knownBots: null, profiles: {}, channels: {}, userRules: null };
+        if (doc.toggles !== undefined) {
+            if (!isObject(doc.toggles)) errors.push(`toggles: ${t('errExpectedObject')}`);
+            else {
+                for (const key of ['filterEnabled', 'markEnabled', 'ignoreRepliesEnabled']) {
+                    if (!(key in doc.toggles)) continue;
+                    if (typeof doc.toggles[key] === 'boolean') config.toggles[key] = doc.toggles[key];
+                    else errors.push(`toggles.${key}: ${t('errExpectedBool')}`);
+                }
+            }
+        }
+        if (doc.language !== undefined) {
+            if (doc.language === 'auto' || I18N[doc.language]) config.language = doc.language;
+            else errors.push(`language: ${t('errUnknownLanguage', { language: doc.language })}`);
+        }
+        if (doc.knownBots !== undefined) config.knownBots = readList(doc.knownBots, 'knownBots');
+        if (doc.profiles !== undefined) {
+            if (!isObject(doc.profiles)) errors.push(`profiles: ${t('errExpectedObject')}`);
+            else {
+                for (const [name, profile] of Object.entries(doc.profiles)) {
+                    const path = `profiles.${name}`;
+                    // "__proto__" would not survive as a key of a plain object
+                    if (!name.trim() || name.length > 40 || name === '__proto__') { errors.push(`${path}: ${t('errProfileName')}`); continue; }
+                    if (!isObject(profile)) { errors.push(`${path}: ${t('errExpectedObject')}`); continue; }
+                    const overrides = {};
+                    if (profile.settings !== undefined) {
+                        if (!isObject(profile.settings)) errors.push(`${path}.settings: ${t('errExpectedObject')}`);
+                        else {
+                            for (const [key, value] of Object.entries(profile.settings)) {
+                                const field = SETTINGS_SCHEMA.find(f => f.key === key);
+                                if (!field) { errors.push(`${path}.settings.${key}: ${t('errUnknownSetting')}`); continue; }
+                                const v = validateSetting(field, value);
+                                // values equal to the default are kept: a merge resets the local value with them
+                                if (!v.ok) errors.push(`${path}.settings.${key}: ${v.error}`);
+                                else overrides[key] = v.value;
+                            }
+                        }
+                    }
+                    if (profile.preset !== undefined && !SETTINGS_PRESETS[profile.preset]) errors.push(`${path}.preset: ${t('errUnknownPreset', { preset: profile.preset })}`);
+                    const keywords = [];
+                    if (profile.keywords !== undefined) {
+                        if (!Array.isArray(profile.keywords)) errors.push(`${path}.keywords: ${t('errKeywordList')}`);
+                        else {
+                            profile.keywords.forEach((raw, i) => {
+                                const v = validateKeywordEntry(raw);
+                                if (!v.ok) errors.push(`${path}.keywords[${i}]: ${v.error}`);
+                                else keywords.push(v.value);
+                            });
+                        }
+                    }
+                    const lists = { keywords };
+                    for (const kind of Object.keys(PROFILE_LISTS)) {
+                        if (profile[kind] !== undefined) lists[kind] = readList(profile[kind], `${path}.${kind}`, kind);
+                    }
+                    config.profiles[name] = createProfile(overrides, profile.preset, lists);
+                }
+            }
+        }
+        if (doc.channels !== undefined) {
+            if (!isObject(doc.channels)) errors.push(`channels: ${t('errExpectedObject')}`);
+            else {
+                for (const [channel, name] of Object.entries(doc.channels)) {
+                    if (!isValidLogin(channel) || channel === '__proto__') errors.push(`channels.${channel}: ${t('errChannelLogin')}`);
+                    else if (typeof name !== 'string' || !name) errors.push(`channels.${channel}: ${t('errExpectedProfileName')}`);
+                    else if (name !== DEFAULT_PROFILE && !hasOwn(config.profiles, name) && !(merge && hasOwn(profileStore.profiles, name))) {
+                        errors.push(`channels.${channel}: ${t('errProfileMissing', { name })}`);
+                    } else config.channels[channel] = name;
+                }
+            }
+        }
+        if (doc.userRules !== undefined) {
+            if (!Array.isArray(doc.userRules)) errors.push(`userRules: ${t('errRuleList')}`);
+            else {
+                config.userRules = [];
+                doc.userRules.forEach((raw, i) => {
+                    const v = validateUserRule(raw);
+                    if (!v.ok) errors.push(`userRules[${i}]: ${v.error}`);
+                    else if (config.userRules.some(r => r.id === v.value.id)) errors.push(`userRules[${i}]: ${t('errRuleExists', { id: v.value.id })}`);
+                    else config.userRules.push(v.value);
+                });
+            }
+        }
+        return { config, errors };
+    }
+
+    // merge = false replaces the current configuration, merge = true keeps everything that
+    // is not in the document (profiles are merged by name, lists are combined)
+    function applyConfigDocument(config, merge) {
+        if (!merge) {
+            for (const name of Object.keys(profileStore.profiles)) delete profileStore.profiles[name];
+            for (const channel of Object.keys(profileStore.channels)) delete profileStore.channels[channel];
+        }
+        for (const [name, imported] of Object.entries(config.profiles)) {
+            const current = hasProfile(name) ? profileStore.profiles[name] : null;
+            if (merge && current) {
+                // a value equal to the default removes the local override
+                for (const [key, value] of Object.entries(imported.settings)) {
+                    if (value === DEFAULT_SETTINGS[key]) delete current.settings[key];
+                    else current.settings[key] = value;
+                }
+                current.preset = imported.preset;
+                for (const kind of Object.keys(PROFILE_LISTS)) {
+                    for (const entry of imported[kind]) if (!current[kind].includes(entry)) current[kind].push(entry);
+                }
+                for (const entry of imported.keywords) {
+                    if (!current.keywords.some(e => e.pattern === entry.pattern && e.type === entry.type)) current.keywords.push(entry);
+                }
+            } else {
+                // only overrides are stored, see saveSettings()
+                for (const [key, value] of Object.entries(imported.settings)) {
+                    if (value === DEFAULT_SETTINGS[key]) delete imported.settings[key];
+                }
+                profileStore.profiles[name] = imported;
+            }
+        }
+        if (!hasProfile(DEFAULT_PROFILE)) profileStore.profiles[DEFAULT_PROFILE] = createProfile({});
+        for (const [channel, name] of Object.entries(config.channels)) {
+            if (hasProfile(name)) profileStore.channels[channel] = name;
+        }
+        if (config.knownBots) {
+            knownBots = merge ? knownBots.concat(config.knownBots.filter(b => !knownBots.includes(b))) : config.knownBots;
+            knownBotsCustomized = true;
+        }
+        if ('filterEnabled' in config.toggles) filterEnabled = config.toggles.filterEnabled;
+        if ('markEnabled' in config.toggles) markEnabled = config.toggles.markEnabled;
+        if ('ignoreRepliesEnabled' in config.toggles) ignoreRepliesEnabled = config.toggles.ignoreRepliesEnabled;
+        if (config.language) setLanguage(config.language);
+        if (config.userRules) {
+            // merge: imported rules replace the ones with the same id
+            const kept = merge ? userRules.filter(r => !config.userRules.some(i => i.id === r.id)) : [];
+            replaceUserRules(kept.concat(config.userRules));
+        }
+        saveSettingsRecord();
+        // the caller activates the profile of the current channel afterwards
+    }
+
+    /*********************
+     * Debug Overlay (top right) — just as you liked it
+     *********************/
+    function createDebugOverlay() {
+        const overlay = document.createElement("div");
+        overlay.id = "tsf-debug-overlay";
+        Object.assign(overlay.style, {
+            position: "fixed",
+            top: "12px",
+            right: "12px",
+            width: "500px",            // ~3x the old small size
+            height: "360px",
+            background: "rgba(0,0,0,0.75)",
+            color: "#fff",
+            fontSize: "12px",
+            fontFamily: "monospace",
+            padding: "8px",
+            borderRadius: "8px",
+            zIndex: 2147483647,
+            overflow: "auto",
+            boxShadow: "0 2px 12px rgba(0,0,0,0.6)",
+            cursor: "default"
+        });
+
+        overlay.innerHTML = `
+            <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:6px">
+                <div style="font-weight:700">Twitch Spam Filter</div>
+                <div style="display:flex;align-items:center;gap:8px">
+                    <div style="font-size:10px;color:#aaa">
+                        <span id="tsf-counter-total">0</span> <span id="tsf-counter-label">${t('messagesProcessed')}</span>
+                    </div>
+                    <select id="tsf-overlay-language" style="font-size:10px"></select>
+                    <div style="font-size:11px;opacity:0.9">v${SCRIPT_VERSION}</div>
+                </div>
+            </div>
+            <div style="display:flex;gap:6px;margin-bottom:6px;flex-wrap:wrap">
+                <button id="tsf-overlay-toggle-filter" style="flex:1;padding:5px;cursor:pointer"></button>
+                <button id="tsf-overlay-toggle-mark" style="flex:1;padding:5px;cursor:pointer"></button>
+                <button id="tsf-overlay-toggle-ignore-replies" style="flex:1;padding:5px;cursor:pointer"></button>
+                <button id="tsf-overlay-toggle-hype" style="flex:1;padding:5px;cursor:pointer"></button>
+                <button id="tsf-overlay-toggle-settings" title="${t('settingsTitle')}" style="padding:5px;cursor:pointer">⚙</button>
+                <button id="tsf-overlay-min" title="${t('minimize')}" style="padding:5px;cursor:pointer">▾</button>
+            </div>
+            <div id="tsf-overlay-settings" style="display:none;margin-bottom:6px;padding:6px;border:1px solid #444;border-radius:6px;max-height:220px;overflow:auto"></div>
+            <div id="tsf-overlay-log" style="font-size:11px;color:#ddd;max-height:260px;overflow:auto;white-space:pre-wrap;-webkit-user-select:text;user-select:text;cursor:text"></div>
+            <div id="tsf-overlay-note" style="font-size:10px;color:#bbb;margin-top:6px">${t('overlayNote')}</div>
+        `;
+
+        document.body.appendChild(overlay);
+        // Default: hide overlay; F9 toggles on/off
+        overlay.style.display = 'none';
+
+        // Drag support
+        makeDraggable(overlay);
+
+        const btnFilter = document.getElementById("tsf-overlay-toggle-filter");
+        const btnMark = document.getElementById("tsf-overlay-toggle-mark");
+        const minBtn = document.getElementById("tsf-overlay-min");
+        const btnIgnoreReplies = document.getElementById("tsf-overlay-toggle-ignore-replies");
+        const btnHype = document.getElementById("tsf-overlay-toggle-hype");
+        const btnSettings = document.getElementById("tsf-overlay-toggle-settings");
+        const settingsPanel = document.getElementById("tsf-overlay-settings");
+        const log = document.getElementById("tsf-overlay-log");
+        const languageSelect = document.getElementById("tsf-overlay-language");
+
+        function updateToggleButtons() {
+            btnFilter.textContent = `${t('filter')}: ${onOff(filterEnabled)}`;
+            btnMark.textContent = `${t('marking')}: ${onOff(markEnabled)}`;
+            if (btnIgnoreReplies) btnIgnoreReplies.textContent = `${t('ignoreReplies')}: ${onOff(ignoreRepliesEnabled)}`;
+            btnHype.textContent = `${t('hypeMode')}: ${onOff(hypeModeTimer !== null)}`;
+            btnHype.title = t('hypeModeTitle', { factor: settings.FLOOD_HYPE_MULTIPLIER, minutes: Math.round(settings.HYPE_MODE_DURATION_MS / 6000) / 10 });
+        }
+        updateToggleButtons();
+
+        // Language override: "Auto" follows Twitch's <html lang>
+        function renderLanguageSelect() {
+            languageSelect.innerHTML = '';
+            languageSelect.title = t('language');
+            const options = [['auto', t('languageAuto', { name: I18N[detectLanguage()].languageName })]]
+                .concat(Object.keys(I18N).map(code => [code, I18N[code].languageName]));
+            for (const [value, text] of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = value === languageSetting;
+                languageSelect.appendChild(option);
+            }
+        }
+        renderLanguageSelect();
+        // Re-labels the overlay after a language change; already written log lines keep their language
+        function updateOverlayTexts() {
+            document.getElementById('tsf-counter-label').textContent = t('messagesProcessed');
+            document.getElementById('tsf-overlay-note').textContent = t('overlayNote');
+            btnSettings.title = t('settingsTitle');
+            minBtn.title = t(minimized ? 'expand' : 'minimize');
+            updateToggleButtons();
+            renderLanguageSelect();
+        }
+        languageSelect.addEventListener("change", () => {
+            setLanguage(languageSelect.value);
+            saveSettingsRecord();
+            updateOverlayTexts();
+            renderSettingsPanel();
+            addLog(t('languageChanged', { name: I18N[language].languageName }));
+        });
+
+        btnFilter.addEventListener("click", () => {
+            filterEnabled = !filterEnabled;
+            saveSettingsRecord();
+            updateToggleButtons();
+            addLog(t('fromOverlay', { text: `${t('filter')} -> ${onOff(filterEnabled)}` }));
+        });
+
+        btnMark.addEventListener("click", () => {
+            markEnabled = !markEnabled;
+            saveSettingsRecord();
+            updateToggleButtons();
+            addLog(t('fromOverlay', { text: `${t('marking')} -> ${onOff(markEnabled)}` }));
+        });
+
+        if (btnIgnoreReplies) {
+            btnIgnoreReplies.addEventListener("click", () => {
+                ignoreRepliesEnabled = !ignoreRepliesEnabled;
+                saveSettingsRecord();
+                updateToggleButtons();
+                addLog(`${t('ignoreReplies')} -> ${onOff(ignoreRepliesEnabled)}`);
+            });
+        }
+
+        btnHype.addEventListener("click", () => setHypeMode(hypeModeTimer === null, 'fromOverlay'));
+
+        // Profile bar: choose the profile for the current channel, copy/rename/delete profiles
+        function renderProfileBar() {
+            const bar = document.createElement('div');
+            Object.assign(bar.style, { display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const label = document.createElement('span');
+            label.textContent = t('profileFor', { channel: activeChannel || '-' });
+            const select = document.createElement('select');
+            for (const name of Object.keys(profileStore.profiles)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                option.selected = name === activeProfileName;
+                select.appendChild(option);
+            }
+            select.addEventListener('change', () => {
+                assignProfile(activeChannel, select.value);
+                activateProfile(select.value);
+            });
+            const button = (text, onClick) => {
+                const b = document.createElement('button');
+                b.textContent = text;
+                Object.assign(b.style, { padding: '2px 6px', cursor: 'pointer' });
+                b.addEventListener('click', onClick);
+                return b;
+            };
+            const report = (error) => addLog(`<span style="color: #ff0000">${t('profile')}: ${escapeHtml(error)}</span>`);
+            const copyBtn = button(t('copy'), () => {
+                const name = (window.prompt(t('promptNewProfile'), t('copyName', { name: activeProfileName })) || '').trim();
+                if (!name) return;
+                const error = copyProfile(activeProfileName, name);
+                if (error) return report(error);
+                assignProfile(activeChannel, name);
+                addLog(t('profileCopied', { from: escapeHtml(activeProfileName), to: escapeHtml(name) }));
+                activateProfile(name);
+            });
+            const renameBtn = button(t('rename'), () => {
+                const oldName = activeProfileName;
+                const name = (window.prompt(t('promptRenameProfile'), oldName) || '').trim();
+                if (!name || name === oldName) return;
+                const error = renameProfile(oldName, name);
+                if (error) return report(error);
+                addLog(t('profileRenamed', { from: escapeHtml(oldName), to: escapeHtml(name) }));
+                renderSettingsPanel();
+            });
+            const deleteBtn = button(t('delete'), () => {
+                const name = activeProfileName;
+                if (!window.confirm(t('confirmDeleteProfile', { name, fallback: DEFAULT_PROFILE }))) return;
+                const error = deleteProfile(name);
+                if (error) return report(error);
+                addLog(t('profileDeleted', { name: escapeHtml(name) }));
+                activateProfile(profileNameForChannel(activeChannel));
+            });
+            bar.appendChild(label);
+            bar.appendChild(select);
+            bar.appendChild(copyBtn);
+            bar.appendChild(renameBtn);
+            bar.appendChild(deleteBtn);
+            settingsPanel.appendChild(bar);
+        }
+
+        // Preset bar: apply a preset to the current profile, show whether values were changed since
+        let updatePresetStatus = () => {};
+        function renderPresetBar() {
+            const bar = document.createElement('div');
+            Object.assign(bar.style, { display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const label = document.createElement('span');
+            label.textContent = t('preset');
+            const select = document.createElement('select');
+            for (const [id, preset] of Object.entries(SETTINGS_PRESETS)) {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = t(preset.labelKey);
+                select.appendChild(option);
+            }
+            const status = document.createElement('span');
+            status.style.color = '#ffd54a';
+            const diffBtn = document.createElement('button');
+            diffBtn.textContent = t('diff');
+            diffBtn.title = t('presetDiffTitle');
+            Object.assign(diffBtn.style, { padding: '2px 6px', cursor: 'pointer' });
+
+            updatePresetStatus = () => {
+                const presetId = profileStore.profiles[activeProfileName].preset;
+                select.value = presetId;
+                const changed = presetDiff().length;
+                status.textContent = changed ? t('presetModified', { count: changed }) : '';
+                status.title = changed ? t('presetModifiedTitle', { count: changed, preset: presetLabel(presetId) }) : '';
+                diffBtn.disabled = !changed;
+            };
+            select.addEventListener('change', () => {
+                const presetId = select.value;
+                const label = presetLabel(presetId);
+                if (!window.confirm(t('confirmApplyPreset', { preset: label, profile: activeProfileName }))) {
+                    updatePresetStatus();
+                    return;
+                }
+                applyPreset(presetId);
+                addLog(t('presetApplied', { preset: label, profile: escapeHtml(activeProfileName) }));
+                renderSettingsPanel();
+            });
+            diffBtn.addEventListener('click', () => {
+                const lines = presetDiff().map(d => `  ${d.key}: <span style="color: #00ff00">${d.preset}</span> → <span style="color: #ff0000">${d.current}</span>`);
+                addLog(`${t('presetDiff', { preset: presetLabel(profileStore.profiles[activeProfileName].preset) })}\n${lines.join('\n')}`);
+            });
+            updatePresetStatus();
+
+            bar.appendChild(label);
+            bar.appendChild(select);
+            bar.appendChild(status);
+            bar.appendChild(diffBtn);
+            settingsPanel.appendChild(bar);
+        }
+
+        // Editor for one list of PROFILE_LISTS in the current profile: the input filters the list and adds an entry
+        function renderUserList(kind) {
+            const { normalize, placeholderKey, fixedName } = PROFILE_LISTS[kind];
+            const title = t(kind);
+            const box = document.createElement('div');
+            Object.assign(box.style, { marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const heading = document.createElement('div');
+            heading.style.fontWeight = '700';
+            const row = document.createElement('div');
+            Object.assign(row.style, { display: 'flex', gap: '4px', margin: '4px 0' });
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = t(placeholderKey);
+            input.style.flex = '1';
+            const addBtn = document.createElement('button');
+            addBtn.textContent = t('add');
+            Object.assign(addBtn.style, { padding: '2px 6px', cursor: 'pointer' });
+            const list = document.createElement('div');
+            Object.assign(list.style, { display: 'flex', flexWrap: 'wrap', gap: '4px' });
+
+            function renderEntries() {
+                const query = input.value.trim().toLowerCase();
+                const users = profileStore.profiles[activeProfileName][kind];
+                // entries from the script are always active and can only be changed in the script
+                const entries = listEntries(kind);
+                const fixed = entries.filter(u => !users.includes(u));
+                heading.textContent = `${title} (${entries.length})`;
+                list.innerHTML = '';
+                for (const login of entries) {
+                    if (query && !login.includes(query.replace(/^@/, ''))) continue;
+                    const chip = document.createElement('span');
+                    Object.assign(chip.style, { padding: '1px 6px', border: '1px solid #555', borderRadius: '10px' });
+                    chip.textContent = login;
+                    if (fixed.includes(login)) {
+                        chip.title = t('definedInScript', { name: fixedName });
+                        chip.style.opacity = '0.6';
+                    } else {
+                        const remove = document.createElement('a');
+                        remove.textContent = ' ×';
+                        remove.title = t('remove');
+                        Object.assign(remove.style, { cursor: 'pointer', color: '#ff6b6b' });
+                        remove.addEventListener('click', () => {
+                            const error = removeListEntry(kind, login);
+                            if (error) return addLog(`<span style="color: #ff0000">${title}: ${escapeHtml(error)}</span>`);
+                            addLog(t('userRemoved', { list: title, login: escapeHtml(login) }));
+                            renderEntries();
+                        });
+                        chip.appendChild(remove);
+                    }
+                    list.appendChild(chip);
+                }
+            }
+
+            function add() {
+                const error = addListEntry(kind, input.value);
+                if (error) return addLog(`<span style="color: #ff0000">${title}: ${escapeHtml(error)}</span>`);
+                addLog(t('userAdded', { list: title, login: escapeHtml(normalize(input.value)) }));
+                input.value = '';
+                renderEntries();
+            }
+            addBtn.addEventListener('click', add);
+            input.addEventListener('keydown', (e) => { if (e.key === 'Enter') add(); });
+            input.addEventListener('input', renderEntries);
+            renderEntries();
+
+            row.appendChild(input);
+            row.appendChild(addBtn);
+            box.appendChild(heading);
+            box.appendChild(row);
+            box.appendChild(list);
+            settingsPanel.appendChild(box);
+        }
+
+        // Blocked terms of the current profile: chips with remove, form with type, case and expiry.
+        // Regexes are timed before they are added, see testRegexTiming().
+        function renderKeywordList() {
+            const title = t('blockedTerms');
+            const box = document.createElement('div');
+            Object.assign(box.style, { marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const heading = document.createElement('div');
+            heading.style.fontWeight = '700';
+            const list = document.createElement('div');
+            Object.assign(list.style, { display: 'flex', flexWrap: 'wrap', gap: '4px' });
+
+            function renderEntries() {
+                const entries = profileStore.profiles[activeProfileName].keywords;
+                heading.textContent = `${title} (${entries.length})`;
+                list.innerHTML = '';
+                for (const entry of entries) {
+                    const chip = document.createElement('span');
+                    Object.assign(chip.style, { padding: '1px 6px', border: '1px solid #555', borderRadius: '10px', fontFamily: entry.type === 'regex' ? 'monospace' : '' });
+                    chip.textContent = `${entry.pattern} [${t(KEYWORD_TYPE_LABELS[entry.type])}${entry.caseSensitive ? ', Aa' : ''}]`;
+                    if (entry.expires) {
+                        chip.title = t('expiresAt', { date: new Date(entry.expires).toLocaleString() });
+                        if (entry.expires <= Date.now()) chip.style.opacity = '0.5';
+                    }
+                    const remove = document.createElement('a');
+                    remove.textContent = ' ×';
+                    remove.title = t('remove');
+                    Object.assign(remove.style, { cursor: 'pointer', color: '#ff6b6b' });
+                    remove.addEventListener('click', () => {
+                        const error = removeKeyword(entry.pattern, entry.type);
+                        if (error) return addLog(`<span style="color: #ff0000">${title}: ${escapeHtml(error)}</span>`);
+                        addLog(t('keywordRemoved', { pattern: escapeHtml(entry.pattern) }));
+                        renderEntries();
+                    });
+                    chip.appendChild(remove);
+                    list.appendChild(chip);
+                }
+            }
+
+            const form = document.createElement('div');
+            Object.assign(form.style, { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px', margin: '4px 0' });
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = t('keywordPlaceholder');
+            input.style.flex = '1';
+            const typeSelect = document.createElement('select');
+            for (const type of KEYWORD_TYPES) {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = t(KEYWORD_TYPE_LABELS[type]);
+                typeSelect.appendChild(option);
+            }
+            const caseLabel = document.createElement('label');
+            const caseBox = document.createElement('input');
+            caseBox.type = 'checkbox';
+            caseLabel.appendChild(caseBox);
+            caseLabel.appendChild(document.createTextNode(` ${t('caseSensitive')}`));
+            const expirySelect = document.createElement('select');
+            for (const [key, ms] of KEYWORD_EXPIRY_OPTIONS) {
+                const option = document.createElement('option');
+                option.value = ms;
+                option.textContent = t(key);
+                expirySelect.appendChild(option);
+            }
+            const addBtn = document.createElement('button');
+            addBtn.textContent = t('add');
+            Object.assign(addBtn.style, { padding: '2px 6px', cursor: 'pointer' });
+
+            async function add() {
+                addBtn.disabled = true;
+                const raw = { pattern: input.value, type: typeSelect.value, caseSensitive: caseBox.checked, expiresIn: Number(expirySelect.value) };
+                const error = await addKeyword(raw);
+                addBtn.disabled = false;
+                if (error) {
+                    input.style.outline = '1px solid #ff0000';
+                    return addLog(`<span style="color: #ff0000">${title}: ${escapeHtml(error)}</span>`);
+                }
+                input.style.outline = '';
+                addLog(t('keywordAdded', { pattern: escapeHtml(raw.pattern.trim()) }));
+                input.value = '';
+                renderEntries();
+            }
+            addBtn.addEventListener('click', add);
+            input.addEventListener('keydown', (e) => { if (e.key === 'Enter') add(); });
+            renderEntries();
+
+            form.appendChild(input);
+            form.appendChild(typeSelect);
+            form.appendChild(caseLabel);
+            form.appendChild(expirySelect);
+            form.appendChild(addBtn);
+            box.appendChild(heading);
+            box.appendChild(form);
+            box.appendChild(list);
+            settingsPanel.appendChild(box);
+        }
+
+        // User rules: list with on/off and remove, form to add an expression/snippet
+        function renderUserRules() {
+            const box = document.createElement('div');
+            Object.assign(box.style, { marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const heading = document.createElement('div');
+            heading.style.fontWeight = '700';
+            heading.textContent = `${t('userRules')} (${userRules.length})`;
+            box.appendChild(heading);
+
+            for (const def of userRules) {
+                const row = document.createElement('label');
+                Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', margin: '2px 0' });
+                row.title = def.code;
+                const enabled = document.createElement('input');
+                enabled.type = 'checkbox';
+                enabled.checked = def.enabled;
+                enabled.addEventListener('change', () => {
+                    const error = setUserRuleEnabled(def.id, enabled.checked);
+                    if (error) return addLog(`<span style="color: #ff0000">${t('userRules')}: ${escapeHtml(error)}</span>`);
+                    addLog(t('ruleToggled', { id: escapeHtml(def.id), state: onOff(enabled.checked) }));
+                });
+                const name = document.createElement('span');
+                name.style.flex = '1';
+                name.textContent = `${def.id} (${severityLabel(def.severity)}, ${def.order})${def.label ? ` – ${def.label}` : ''}`;
+                const remove = document.createElement('a');
+                remove.textContent = '×';
+                remove.title = t('remove');
+                Object.assign(remove.style, { cursor: 'pointer', color: '#ff6b6b' });
+                remove.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const error = removeUserRule(def.id);
+                    if (error) return addLog(`<span style="color: #ff0000">${t('userRules')}: ${escapeHtml(error)}</span>`);
+                    addLog(t('ruleRemoved', { id: escapeHtml(def.id) }));
+                    renderSettingsPanel();
+                });
+                row.appendChild(enabled);
+                row.appendChild(name);
+                row.appendChild(remove);
+                box.appendChild(row);
+            }
+
+            const form = document.createElement('div');
+            Object.assign(form.style, { display: 'flex', flexWrap: 'wrap', gap: '4px', margin: '4px 0' });
+            const idInput = document.createElement('input');
+            idInput.type = 'text';
+            idInput.placeholder = t('userRuleId');
+            idInput.style.width = '90px';
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.placeholder = t('userRuleLabel');
+            labelInput.style.flex = '1';
+            const severitySelect = document.createElement('select');
+            for (const severity of RULE_SEVERITIES) {
+                const option = document.createElement('option');
+                option.value = severity;
+                option.textContent = severityLabel(severity);
+                option.selected = severity === 'medium';
+                severitySelect.appendChild(option);
+            }
+            const orderInput = document.createElement('input');
+            orderInput.type = 'number';
+            orderInput.value = USER_RULE_DEFAULT_ORDER;
+            orderInput.title = t('userRuleOrder');
+            orderInput.style.width = '70px';
+            const codeInput = document.createElement('textarea');
+            codeInput.placeholder = t('userRuleCode');
+            codeInput.rows = 2;
+            Object.assign(codeInput.style, { width: '100%', fontFamily: 'monospace', fontSize: '11px' });
+            const addBtn = document.createElement('button');
+            addBtn.textContent = t('add');
+            Object.assign(addBtn.style, { padding: '2px 6px', cursor: 'pointer' });
+            addBtn.addEventListener('click', () => {
+                const error = addUserRule({ id: idInput.value, label: labelInput.value, code: codeInput.value, severity: severitySelect.value, order: orderInput.value });
+                if (error) return addLog(`<span style="color: #ff0000">${t('userRules')}: ${escapeHtml(error)}</span>`);
+                addLog(t('ruleAdded', { id: escapeHtml(idInput.value.trim().toLowerCase()) }));
+                renderSettingsPanel();
+            });
+            const note = document.createElement('div');
+            Object.assign(note.style, { fontSize: '11px', opacity: '0.7' });
+            note.textContent = t('userRuleNote');
+            form.appendChild(idInput);
+            form.appendChild(labelInput);
+            form.appendChild(severitySelect);
+            form.appendChild(orderInput);
+            form.appendChild(codeInput);
+            form.appendChild(addBtn);
+            box.appendChild(form);
+            box.appendChild(note);
+            settingsPanel.appendChild(box);
+        }
+
+        // Export/import of the whole configuration as one JSON file
+        function renderConfigTransfer() {
+            const bar = document.createElement('div');
+            Object.assign(bar.style, { display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const exportBtn = document.createElement('button');
+            exportBtn.textContent = t('export');
+            const importBtn = document.createElement('button');
+            importBtn.textContent = t('import');
+            for (const b of [exportBtn, importBtn]) Object.assign(b.style, { padding: '2px 6px', cursor: 'pointer' });
+            const mergeLabel = document.createElement('label');
+            const mergeBox = document.createElement('input');
+            mergeBox.type = 'checkbox';
+            mergeLabel.appendChild(mergeBox);
+            mergeLabel.appendChild(document.createTextNode(t('mergeIntoCurrent')));
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,application/json';
+            fileInput.style.display = 'none';
+
+            exportBtn.addEventListener('click', () => {
+                const json = JSON.stringify(buildConfigDocument(), null, 2);
+                const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `twitch-spam-filter-config-${new Date().toISOString().slice(0, 10)}.json`;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                addLog(t('configExported'));
+            });
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    let doc = null;
+                    try {
+                        doc = JSON.parse(reader.result);
+                    } catch (e) {
+                        addLog(`<span style="color: #ff0000">${t('importInvalidJson', { error: escapeHtml(e.message) })}</span>`);
+                        return;
+                    }
+                    try {
+                        const merge = mergeBox.checked;
+                        const { config, errors } = parseConfigDocument(doc, merge);
+                        for (const error of errors) addLog(`<span style="color: #ff0000">Import: ${escapeHtml(error)}</span>`);
+                        if (!config) {
+                            addLog(`<span style="color: #ff0000">${t('importFailed', { file: escapeHtml(file.name) })}</span>`);
+                            return;
+                        }
+                        let question = errors.length
+                            ? t('confirmImportWithErrors', { count: errors.length, merge })
+                            : t('confirmImport', { file: file.name, merge });
+                        // user rules are code that runs in the page
+                        if (config.userRules && config.userRules.length) {
+                            question += `\n\n${t('warnImportUserRules', { count: config.userRules.length, ids: config.userRules.map(r => r.id).join(', ') })}`;
+                        }
+                        if (!window.confirm(question)) return;
+                        applyConfigDocument(config, merge);
+                        updateOverlayTexts();
+                        addLog(t('configImported', { file: escapeHtml(file.name), merge }));
+                        activateProfile(profileNameForChannel(activeChannel));
+                    } catch (e) {
+                        addLog(`<span style="color: #ff0000">${t('importFailed', { file: escapeHtml(file.name) })}: ${escapeHtml(e && e.message ? e.message : e)}</span>`);
+                    }
+                };
+                reader.readAsText(file);
+            });
+
+            bar.appendChild(exportBtn);
+            bar.appendChild(importBtn);
+            bar.appendChild(mergeLabel);
+            bar.appendChild(fileInput);
+            settingsPanel.appendChild(bar);
+        }
+
+        // Emote dictionary of the current channel: size, import (JSON file), export and clear
+        function renderEmoteDictionary() {
+            const bar = document.createElement('div');
+            Object.assign(bar.style, { display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const dictionary = activeEmoteDictionary();
+            const count = dictionary ? dictionary.size : 0;
+            const heading = document.createElement('span');
+            Object.assign(heading.style, { fontWeight: '700', flex: '1' });
+            heading.textContent = t('emoteDictionary', { channel: activeChannel || '-', count });
+            heading.title = t('emoteDictionaryTitle');
+            const importBtn = document.createElement('button');
+            importBtn.textContent = t('import');
+            const exportBtn = document.createElement('button');
+            exportBtn.textContent = t('export');
+            exportBtn.disabled = !count;
+            const clearBtn = document.createElement('button');
+            clearBtn.textContent = t('clear');
+            clearBtn.disabled = !count;
+            for (const b of [importBtn, exportBtn, clearBtn]) Object.assign(b.style, { padding: '2px 6px', cursor: 'pointer' });
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,application/json';
+            fileInput.style.display = 'none';
+
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    let doc = null;
+                    try {
+                        doc = JSON.parse(reader.result);
+                    } catch (e) {
+                        addLog(`<span style="color: #ff0000">${t('importInvalidJson', { error: escapeHtml(e.message) })}</span>`);
+                        return;
+                    }
+                    const error = importEmoteNames(doc);
+                    if (error) addLog(`<span style="color: #ff0000">${t('importFailed', { file: escapeHtml(file.name) })}: ${escapeHtml(error)}</span>`);
+                };
+                reader.readAsText(file);
+            });
+            exportBtn.addEventListener('click', () => {
+                const json = JSON.stringify(Array.from(activeEmoteDictionary() || []), null, 2);
+                const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `twitch-spam-filter-emotes-${activeChannel}.json`;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                addLog(t('emotesExported', { channel: activeChannel }));
+            });
+            clearBtn.addEventListener('click', () => {
+                if (!window.confirm(t('confirmClearEmotes', { count, channel: activeChannel }))) return;
+                const error = clearEmoteDictionary();
+                if (error) return addLog(`<span style="color: #ff0000">${error}</span>`);
+                addLog(t('emotesCleared', { channel: activeChannel }));
+                renderSettingsPanel();
+            });
+
+            bar.appendChild(heading);
+            bar.appendChild(importBtn);
+            bar.appendChild(exportBtn);
+            bar.appendChild(clearBtn);
+            bar.appendChild(fileInput);
+            settingsPanel.appendChild(bar);
+        }
+
+        // Bayes classifier: trained messages, export, import (JSON file), reset and the tokens
+        // with the largest weights
+        function renderBayesClassifier() {
+            const box = document.createElement('div');
+            Object.assign(box.style, { marginBottom: '6px', paddingBottom: '6px', borderBottom: '1px solid #444' });
+            const bar = document.createElement('div');
+            Object.assign(bar.style, { display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' });
+            const trained = bayesModel.spam + bayesModel.ham;
+            const heading = document.createElement('span');
+            Object.assign(heading.style, { fontWeight: '700', flex: '1' });
+            heading.textContent = t('bayesClassifier', { spam: bayesModel.spam, ham: bayesModel.ham, tokens: Object.keys(bayesModel.tokens).length });
+            heading.title = t('bayesClassifierTitle', { min: settings.BAYES_MIN_MESSAGES });
+            const importBtn = document.createElement('button');
+            importBtn.textContent = t('import');
+            const exportBtn = document.createElement('button');
+            exportBtn.textContent = t('export');
+            exportBtn.disabled = !trained;
+            const resetBtn = document.createElement('button');
+            resetBtn.textContent = t('reset');
+            resetBtn.disabled = !trained;
+            for (const b of [importBtn, exportBtn, resetBtn]) Object.assign(b.style, { padding: '2px 6px', cursor: 'pointer' });
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,application/json';
+            fileInput.style.display = 'none';
+
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = async () => {
+                    let doc = null;
+                    try {
+                        doc = JSON.parse(reader.result);
+                    } catch (e) {
+                        addLog(`<span style="color: #ff0000">${t('importInvalidJson', { error: escapeHtml(e.message) })}</span>`);
+                        return;
+                    }
+                    const error = await importBayesDocument(doc);
+                    if (error) return addLog(`<span style="color: #ff0000">${t('importFailed', { file: escapeHtml(file.name) })}: ${escapeHtml(error)}</span>`);
+                    addLog(t('bayesImported', { spam: bayesModel.spam, ham: bayesModel.ham }));
+                    renderSettingsPanel();
+                };
+                reader.readAsText(file);
+            });
+            exportBtn.addEventListener('click', () => {
+                const json = JSON.stringify(buildBayesDocument(), null, 2);
+                const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `twitch-spam-filter-bayes-${new Date().toISOString().slice(0, 10)}.json`;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                addLog(t('bayesExported'));
+            });
+            resetBtn.addEventListener('click', async () => {
+                if (!window.confirm(t('confirmBayesReset', { count: trained }))) return;
+                await resetBayesModel();
+                addLog(t('bayesReset'));
+                renderSettingsPanel();
+            });
+
+            bar.appendChild(heading);
+            bar.appendChild(importBtn);
+            bar.appendChild(exportBtn);
+            bar.appendChild(resetBtn);
+            bar.appendChild(fileInput);
+            box.appendChild(bar);
+
+            const top = topBayesTokens(bayesModel);
+            for (const kind of ['spam', 'ham']) {
+                if (!top[kind].length) continue;
+                const row = document.createElement('div');
+                Object.assign(row.style, { marginTop: '4px', fontSize: '11px', wordBreak: 'break-word' });
+                row.textContent = `${t(kind === 'spam' ? 'bayesTopSpam' : 'bayesTopHam')}: ` +
+                    top[kind].map(entry => `${entry.token} (${entry.weight > 0 ? '+' : ''}${entry.weight})`).join(', ');
+                box.appendChild(row);
+            }
+            settingsPanel.appendChild(box);
+        }
+
+        // Settings panel: one validated input per SETTINGS_SCHEMA entry, applied live
+        function renderSettingsPanel() {
+            settingsPanel.innerHTML = '';
+            renderConfigTransfer();
+            renderProfileBar();
+            renderPresetBar();
+            renderUserList('whitelist');
+            renderUserList('blocklist');
+            renderUserList('allowedDomains');
+            renderUserList('deniedDomains');
+            renderKeywordList();
+            renderEmoteDictionary();
+            renderBayesClassifier();
+            renderUserRules();
+            for (const field of SETTINGS_SCHEMA) {
+                const row = document.createElement('label');
+                Object.assign(row.style, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', margin: '2px 0' });
+                const name = document.createElement('span');
+                name.textContent = field.key;
+                name.title = field.type === 'bool' || field.type === 'choice'
+                    ? t('settingDefault', { def: field.def })
+                    : t('settingDefaultRange', { def: field.def, min: field.min, max: field.max });
+                const input = document.createElement(field.type === 'choice' ? 'select' : 'input');
+                if (field.type === 'bool') {
+                    input.type = 'checkbox';
+                    input.checked = settings[field.key];
+                } else if (field.type === 'choice') {
+                    for (const value of field.options) {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = value;
+                        input.appendChild(option);
+                    }
+                    input.value = settings[field.key];
+                } else {
+                    input.type = 'number';
+                    input.min = field.min;
+                    input.max = field.max;
+                    input.step = field.step || (field.type === 'int' ? 1 : 0.01);
+                    input.value = settings[field.key];
+                    input.style.width = '90px';
+                }
+                input.addEventListener('change', () => {
+                    const raw = field.type === 'bool' ? input.checked : input.value;
+                    const v = validateSetting(field, raw);
+                    if (!v.ok) {
+                        input.style.outline = '1px solid #ff0000';
+                        input.title = v.error;
+                        addLog(`<span style="color: #ff0000">${t('invalidValue', { key: field.key, error: v.error })}</span>`);
+                        return;
+                    }
+                    input.style.outline = '';
+                    input.title = '';
+                    settings[field.key] = v.value;
+                    saveSettings();
+                    updatePresetStatus();
+                    addLog(t('settingChanged', { key: field.key, value: v.value }));
+                });
+                row.appendChild(name);
+                row.appendChild(input);
+                settingsPanel.appendChild(row);
+            }
+            const resetBtn = document.createElement('button');
+            resetBtn.textContent = t('resetToPreset');
+            Object.assign(resetBtn.style, { marginTop: '6px', padding: '4px', cursor: 'pointer' });
+            resetBtn.addEventListener('click', () => {
+                const presetId = profileStore.profiles[activeProfileName].preset;
+                applyPreset(presetId);
+                renderSettingsPanel();
+                addLog(t('settingsReset', { preset: presetLabel(presetId) }));
+            });
+            settingsPanel.appendChild(resetBtn);
+        }
+        renderSettingsPanel();
+
+        btnSettings.addEventListener("click", () => {
+            settingsPanel.style.display = settingsPanel.style.display === 'none' ? '' : 'none';
+        });
+
+        let minimized = false;
+        minBtn.addEventListener("click", () => {
+            minimized = !minimized;
+            if (minimized) {
+                overlay.style.height = "34px";
+                overlay.style.overflow = "hidden";
+                minBtn.textContent = "▸";
+                minBtn.title = t('expand');
+                // Ensure minimize button stays visible
+                minBtn.style.position = 'absolute';
+                minBtn.style.top = '8px';
+                minBtn.style.right = '8px';
+            } else {
+                overlay.style.height = "360px";
+                overlay.style.overflow = "auto";
+                minBtn.textContent = "▾";
+                minBtn.title = t('minimize');
+                // Reset button position
+                minBtn.style.position = '';
+                minBtn.style.top = '';
+                minBtn.style.right = '';
+            }
+        });
+
+        let logLines = 0;
+        // actions: optional links after the line, [{ label, title, run }]; the first click
+        // replaces them with the text run() returns
+        function addLog(line, isWhitelist=false, actions=null) {
+            const html = isWhitelist
+                ? `<span style="color:#ffd54a">${line} (${t('whitelisted')})</span>`
+                : line;
+            if (actions && actions.length) {
+                const entry = document.createElement('span');
+                entry.innerHTML = html;
+                const links = document.createElement('span');
+                for (const action of actions) {
+                    const link = document.createElement('a');
+                    link.textContent = action.label;
+                    link.title = action.title;
+                    Object.assign(link.style, { marginLeft: '6px', cursor: 'pointer', color: '#9ecbff' });
+                    link.addEventListener('click', () => {
+                        links.textContent = ` ${action.run()}`;
+                        links.style.color = '#9e9e9e';
+                    });
+                    links.appendChild(link);
+                }
+                entry.appendChild(links);
+                log.insertBefore(document.createElement('br'), log.firstChild);
+                log.insertBefore(entry, log.firstChild);
+            } else {
+                log.insertAdjacentHTML('afterbegin', `${html}<br>`);
+            }
+            logLines++;
+            // Trim by removing lastChild nodes to cap DOM size
+            const MAX_LINES = 800;
+            while (logLines > MAX_LINES && log.lastChild) {
+                log.removeChild(log.lastChild);
+                logLines--;
+            }
+        }
+        
+        function updateCounter() {
+            const counter = document.getElementById('tsf-counter-total');
+            if (counter) {
+                const current = parseInt(counter.textContent) || 0;
+                counter.textContent = current + 1;
+            }
+        }
+
+        return { overlay, addLog, updateCounter, refreshToggles: updateToggleButtons, refreshSettingsPanel: renderSettingsPanel };
+    }
+
+    function makeDraggable(el) {
+        let dragging = false, ox = 0, oy = 0;
+        el.addEventListener('mousedown', (e) => {
+            // don't drag when clicking on buttons/inputs or inside the log (allow text selection)
+            if (e.target && (e.target.tagName === 'BUTTON' || e.target.tagName === 'A' || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+            if (e.target && (e.target.closest && e.target.closest('#tsf-overlay-log, #tsf-overlay-settings'))) return;
+            dragging = true;
+            ox = e.clientX - el.offsetLeft;
+            oy = e.clientY - el.offsetTop;
+            el.style.cursor = 'grabbing';
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!dragging) return;
+            el.style.left = Math.max(0, e.clientX - ox) + 'px';
+            el.style.top = Math.max(0, e.clientY - oy) + 'px';
+            el.style.right = 'auto';
+            el.style.bottom = 'auto';
+            el.style.position = 'fixed';
+        });
+        window.addEventListener('mouseup', () => {
+            dragging = false;
+            el.style.cursor = 'default';
+        });
+        // F9 to toggle overlay visibility
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'F9') {
+                el.style.display = (el.style.display === 'none') ? '' : 'none';
+            }
+        });
+    }
+
+
+
+    const dbg = createDebugOverlay();
+
+    /*********************
+     * Helper functions
+     *********************/
+    function safeText(node) { return node && node.textContent ? node.textContent.trim() : ""; }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+    // Try to get the message-only container (without username/badges)
+    function getMessageContainer(node) {
+        if (!node || !node.querySelector) return node;
+        return node.querySelector(
+            '.message, [data-test-selector="message"], [data-a-target="chat-message-text"], [data-test-selector="chat-line-message-body"]'
+        ) || node;
+    }
+
+    // Try to read login from node
+    function getUserLoginFromNode(node) {
+        if (!node) return null;
+        let el = node.querySelector && (
+            node.querySelector('[data-a-user]') ||
+            node.querySelector('[data-user]') ||
+            node.querySelector('[data-user-login]') ||
+            node.querySelector('[data-login]')
+        );
+        if (el) {
+            const v = el.getAttribute('data-a-user') || el.getAttribute('data-user') || el.getAttribute('data-user-login') || el.getAttribute('data-login');
+            if (v) return v.toLowerCase();
+        }
+        // fallback: display name
+        const nameEl = node.querySelector && (
+            node.querySelector('.chat-author__display-name') ||
+            node.querySelector('.chat-line__username') ||
+            node.querySelector('[data-test-selector="chat-message-username"]') ||
+            node.querySelector('[data-a-target="chat-message-username"]')
+        );
+        if (nameEl) return safeText(nameEl).toLowerCase();
+        return null;
+    }
+
+    // Detect if a chat line is a "Replying to" message (heuristics over Twitch DOM)
+    function isReplyMessage(node) {
+        try {
+            if (!node || !node.querySelector) return false;
+            const replySelectors = [
+                '[data-a-target="chat-message-reply"]',
+                '[data-a-target="chat-message-reply-link"]',
+                '[data-test-selector="chat-message-reply"]',
+                '.chat-line__reply',
+                '.reply-line',
+                '[aria-label*="replying to" i]',
+                '[aria-label*="antwort" i]'
+            ];
+            for (const sel of replySelectors) {
+                if (node.querySelector(sel)) return true;
+            }
+            // Fallback: visible text snippet like "Replying to"
+            const textProbe = (node.innerText || '').toLowerCase();
+            if (textProbe.startsWith('replying to ') || textProbe.includes('\nreplying to ')) return true;
+            if (textProbe.startsWith('antwort an ') || textProbe.includes('\nantwort an ')) return true;
+            return false;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // Twitch highlights the first message of a new chatter and labels it "First-time chat".
+    // Channel-point highlights look alike, so outside the message text only the label decides.
+    const FIRST_TIME_LABELS = ['first-time chat', 'first time chat', 'new chatter', 'erstmaliger chat', 'erster chat', 'neuer chatter'];
+    function isFirstTimeChatter(node) {
+        try {
+            if (!node || !node.querySelector) return false;
+            const markerSelectors = [
+                '[data-test-selector="first-message-highlight"]',
+                '[data-a-target="first-message-highlight"]',
+                '[data-badge="first-time-chatter"]',
+                '.chat-line__message--first-message'
+            ];
+            for (const sel of markerSelectors) {
+                if (node.querySelector(sel)) return true;
+            }
+            const msgEl = getMessageContainer(node);
+            for (const el of node.querySelectorAll('[aria-label], [title], [alt], p, span')) {
+                if (msgEl !== node && msgEl.contains(el)) continue;
+                const label = [el.getAttribute('aria-label'), el.getAttribute('title'), el.getAttribute('alt'),
+                    el.children.length === 0 ? el.textContent : ''].join(' ').toLowerCase();
+                if (FIRST_TIME_LABELS.some(l => label.includes(l))) return true;
+            }
+            return false;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    function looksLikeBot(nameOrLogin) {
+        if (!nameOrLogin) return false;
+        const s = nameOrLogin.toLowerCase();
+        if (knownBots.includes(s)) return true;
+        return /\b(bot|auto|daemon|service)\b/.test(s) || /\w+bot$/.test(s);
+    }
+
+    // Check if user is privileged (Mod/Streamer/VIP/Staff) — then don't filter
+    const privilegedLoginCache = new Set();
+
+    function getChannelLogin() {
+        const parts = location.pathname.split('/');
+        // popout/moderator/embed chat: /popout/<channel>/chat, /moderator/<channel>, /embed/<channel>/chat
+        if (['popout', 'moderator', 'embed'].includes((parts[1] || '').toLowerCase())) return (parts[2] || '').toLowerCase();
+        return (parts[1] || '').toLowerCase();
+    }
+
+    // Switches the detection engine to another profile at runtime
+    function activateProfile(name) {
+        applyProfile(name);
+        privilegedLoginCache.clear();
+        dbg.refreshSettingsPanel();
+        dbg.addLog(t('profileActive', { name: escapeHtml(activeProfileName), channel: activeChannel || '-' }));
+    }
+
+    // Twitch is a single-page app: poll the URL and apply the channel's profile on change
+    function watchChannelChanges() {
+        setInterval(() => {
+            const channel = getChannelLogin();
+            if (channel === activeChannel) return;
+            activeChannel = channel;
+            activateProfile(profileNameForChannel(channel));
+        }, 1000);
+    }
+
+    function isPrivileged(node) {
+        try {
+            if (!node) return false;
+            const root = (node.closest && (node.closest('.chat-line__message-container') || node.closest('[data-test-selector="chat-line"]') || node.closest('.chat-line__message') || node.closest('.chat-line__message-wrapper'))) || node;
+            // resolve login early for caching and list checks
+            const login = getUserLoginFromNode(root);
+            if (login && privilegedLoginCache.has(login)) return true;
+            // data attributes (robust)
+            const attr = root.querySelector && (root.querySelector('[data-a-user-type]') || root.querySelector('[data-user-type]'));
+            if (attr) {
+                const t = (attr.getAttribute('data-a-user-type') || attr.getAttribute('data-user-type') || '').toLowerCase();
+                if (['mod','moderator','broadcaster','vip','staff','partner','verified'].includes(t)) {
+                    if (login) privilegedLoginCache.add(login);
+                    return true;
+                }
+            }
+            // Badges (schneller Pfad): Twitch/FFZ Badges mit data-badge-Attribut
+            const fastBadges = root.querySelectorAll && root.querySelectorAll('.chat-line__message--badges [data-badge], [data-badge]');
+            for (let b of fastBadges || []) {
+                const badgeType = (b.getAttribute && (b.getAttribute('data-badge') || '')).toLowerCase();
+                if (['moderator','broadcaster','vip','staff','partner','verified','bot-badge'].some(x => badgeType.includes(x))) {
+                    if (login) privilegedLoginCache.add(login);
+                    return true;
+                }
+            }
+            // Badges (Fallback alt/title/aria-label)
+            const badges = root.querySelectorAll && root.querySelectorAll('img, svg, span');
+            for (let b of badges || []) {
+                const alt = (b.getAttribute && b.getAttribute('alt')) || '';
+                const title = (b.getAttribute && b.getAttribute('title')) || '';
+                const aria = (b.getAttribute && b.getAttribute('aria-label')) || '';
+                const txt = (alt + ' ' + title + ' ' + aria).toLowerCase();
+                if (
+                    txt.includes('moderator') ||
+                    txt.includes('broadcaster') ||
+                    txt.includes('vip') ||
+                    txt.includes('streamer') ||
+                    txt.includes('owner') ||
+                    txt.includes('staff') ||
+                    txt.includes('partner') ||
+                    txt.includes('verified') ||
+                    // recognized badge descriptions for bots (incl. Verified Bot)
+                    txt.includes('verified bot') ||
+                    txt.includes('verifizierter bot') ||
+                    (txt.includes('bot') && (txt.includes('badge') || txt.includes('verifiziert') || txt.includes('verified')))
+                ) {
+                    if (login) privilegedLoginCache.add(login);
+                    return true;
+                }
+            }
+            // login == channel owner
+            const channelLogin = getChannelLogin();
+            if (login && channelLogin && login === channelLogin) {
+                privilegedLoginCache.add(login);
+                return true;
+            }
+            // whitelist or bot heuristic
+            if (login && (WHITELIST.includes(login) || activeWhitelist.includes(login) || knownBots.includes(login) || looksLikeBot(login))) {
+                privilegedLoginCache.add(login);
+                return true;
+            }
+            return false;
+        } catch (e) {
+            dbg.addLog(t('privilegedCheckError', { error: escapeHtml(e && e.message ? e.message : e) }));
+            return false;
+        }
+    }
+
+    /*********************
+     * Spam detection (reads the chat line, the engine decides)
+     *********************/
+    // A rule that throws is switched off by the engine; user rules stay off after a reload
+    function handleRuleError(rule, error) {
+        const id = rule.id.startsWith(USER_RULE_PREFIX) ? rule.id.slice(USER_RULE_PREFIX.length) : rule.id;
+        if (rule.source === 'user') setUserRuleEnabled(id, false);
+        const key = rule.source === 'builtin' ? 'ruleFailedSkipped' : 'ruleFailed';
+        dbg.addLog(`<span style="color: #ff0000">${t(key, { id: escapeHtml(id), error: escapeHtml(error && error.message ? error.message : String(error)) })}</span>`);
+        if (rule.source === 'user') dbg.refreshSettingsPanel();
+    }
+
+    const engine = createSpamEngine({
+        config: settings,
+        rules: ruleRegistry,
+        keywords: () => activeKeywords,
+        domains: activeDomains,
+        log: (line) => dbg.addLog(line),
+        onRuleError: handleRuleError,
+        hypeMode: () => hypeModeTimer !== null,
+        exemptions: mentionExemptions,
+        emotes: activeEmoteDictionary,
+        bayes: () => bayesModel,
+        onNormalize: (user, original, result) => dbg.addLog(`<span style="color: #9e9e9e">${t('textNormalized', {
+            user: escapeHtml(user),
+            text: escapeHtml(result.text.slice(0, 180)),
+            removed: result.removed,
+            folded: result.folded
+        })}</span>`)
+    });
+
+    // Hype mode relaxes the flood rule by FLOOD_HYPE_MULTIPLIER and switches itself off after
+    // HYPE_MODE_DURATION_MS. source: I18N key of the log prefix ('fromOverlay' / 'fromApi'), none when it runs out.
+    function setHypeMode(enabled, source = null) {
+        clearTimeout(hypeModeTimer);
+        hypeModeTimer = enabled ? setTimeout(() => setHypeMode(false), settings.HYPE_MODE_DURATION_MS) : null;
+        dbg.refreshToggles();
+        const text = `${t('hypeMode')} -> ${onOff(!!enabled)}`;
+        dbg.addLog(source ? t(source, { text }) : text);
+    }
+
+    // Counters since page load (TSF.getStats()). skipped = replies and privileged users
+    const stats = { processed: 0, filtered: 0, hidden: 0, marked: 0, cleaned: 0, passed: 0, skipped: 0, byRule: {} };
+
+    function emitMessageEvent(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    // Reason text of a verdict for the overlay log: limit in green, reached value in red.
+    // User and script rules have no reason text of their own and are shown with their label.
+    // Verdicts of first-time chatters (stricter settings) are tagged.
+    function formatReason(verdict) {
+        const rule = ruleRegistry.get(verdict.rule) || { label: verdict.rule };
+        const show = (v) => rule.percent ? `${Math.round(v * 100)}%` : escapeHtml(String(v));
+        const params = {
+            limit: verdict.limit === null ? '' : `<span style="color: #00ff00">${show(verdict.limit)}</span>`,
+            reached: verdict.reached === null ? '' : `<span style="color: #ff0000">${show(verdict.reached)}</span>`
+        };
+        // the keyword rule reports the matched text and the entry's pattern
+        if (verdict.trigger && verdict.trigger.pattern !== undefined) {
+            params.match = escapeHtml(verdict.trigger.text);
+            params.pattern = escapeHtml(verdict.trigger.pattern);
+        }
+        // the link rules report the normalized domain
+        if (verdict.trigger && verdict.trigger.domain !== undefined) {
+            params.domain = escapeHtml(verdict.trigger.domain);
+            params.denied = verdict.trigger.denied;
+        }
+        const reason = rule.reasonKey ? t(rule.reasonKey, params)
+            : t('reasonCustomRule', Object.assign(params, { label: escapeHtml(rule.label || verdict.rule) }));
+        return verdict.firstTime ? t('reasonFirstTime', { reason }) : reason;
+    }
+
+    // Scoring mode: what every rule added to the total, e.g. "emote-limit +0.83 (5/6)"
+    function formatScore(score) {
+        const parts = score.rules.map(part => {
+            const rule = ruleRegistry.get(part.rule) || {};
+            const show = (v) => rule.percent ? `${Math.round(v * 100)}%` : String(Math.round(v * 100) / 100);
+            const values = part.limit === null || part.reached === null ? '' : ` (${show(part.reached)}/${show(part.limit)})`;
+            return `${escapeHtml(part.rule)} +${part.score}${values}`;
+        });
+        return t('scoreBreakdown', { total: score.total, threshold: score.threshold, rules: parts.join(', ') });
+    }
+
+    function extractTextAndEmotes(node) {
+        const base = getMessageContainer(node);
+        // count <img> emotes within the message container
+        const imgs = base.querySelectorAll ? base.querySelectorAll('img') : [];
+        let emoteCount = 0;
+        const emoteCodes = [];
+        // names as typed in chat, for the emote dictionary
+        const emoteNames = [];
+        for (let img of imgs) {
+            const cls = (img.className || '').toLowerCase();
+            const alt = (img.getAttribute && (img.getAttribute('alt') || img.getAttribute('title') || '')).toLowerCase();
+            const parentCls = (img.parentElement && img.parentElement.className) ? img.parentElement.className.toLowerCase() : '';
+            if (/emot|emoji|bttv|7tv|ffz|cheer|emote/.test(cls + parentCls + alt)) {
+                emoteCount++;
+                // Prefer robust identifiers from extensions/providers
+                const provider = (img.getAttribute && (img.getAttribute('data-provider') || '')) || '';
+                const dataId = (img.getAttribute && (img.getAttribute('data-id') || img.getAttribute('data-emote-id') || '')) || '';
+                const dataName = (img.getAttribute && (img.getAttribute('data-name') || img.getAttribute('data-emote-name') || '')) || '';
+                // Normalize emote code: prefer provider:id, then provider:name, then alt, finally src filename
+                let code = '';
+                if (provider && dataId) {
+                    code = `${provider}:${dataId}`.toLowerCase();
+                } else if (provider && dataName) {
+                    code = `${provider}:${dataName}`.toLowerCase();
+                } else if (dataId) {
+                    code = dataId.toLowerCase();
+                } else if (dataName) {
+                    code = dataName.toLowerCase();
+                } else if (alt && alt.trim()) {
+                    code = alt.replace(/\s+/g, ' ').trim().toLowerCase();
+                } else {
+                    const srcParts = (img.src || '').split('/');
+                    const filename = srcParts[srcParts.length - 1] || '';
+                    code = filename.split('.')[0].toLowerCase();
+                }
+                // Add code preserving order and duplicates (needed for run-length & signature)
+                if (code) {
+                    emoteCodes.push(code);
+                }
+                const name = (img.getAttribute && (img.getAttribute('alt') || dataName || '')).trim();
+                if (isEmoteName(name)) emoteNames.push(name);
+            }
+        }
+        // Prefer concatenating text fragments inside the message
+        let text = '';
+        if (base.querySelectorAll) {
+            const parts = base.querySelectorAll('[data-a-target="chat-message-text"], .text-fragment, .link-fragment, .mention-fragment, [data-a-target="chat-message-mention"]');
+            if (parts && parts.length) {
+                text = Array.from(parts).map(el => el.textContent || '').join(' ').trim();
+            }
+        }
+        if (!text) text = safeText(base) || '';
+        // link targets, so the link rules see links even when Twitch shortens the shown text
+        const links = [];
+        if (base.querySelectorAll) {
+            for (const el of base.querySelectorAll('.link-fragment')) {
+                const href = (el.getAttribute && el.getAttribute('href')) || el.textContent || '';
+                if (href && !links.includes(href)) links.push(href);
+            }
+        }
+        return { text, emoteCount, emoteCodes, emoteNames, links };
+    }
+
+    // Replaces the text of every text node in the message (emotes and links stay)
+    function cleanMessageText(msgEl, clean) {
+        const walker = document.createTreeWalker(msgEl, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const cleaned = clean(node.nodeValue);
+            if (cleaned !== node.nodeValue) node.nodeValue = cleaned;
+        }
+    }
+
+    /*********************
+     * Chat Observer
+     *********************/
+    let chatObserver = null;
+    const pendingMsgNodes = [];
+    let processingScheduled = false;
+
+    function scheduleProcessing() {
+        if (processingScheduled) return;
+        processingScheduled = true;
+        (window.requestAnimationFrame || window.setTimeout)(processPending, 0);
+    }
+
+    function processPending() {
+        processingScheduled = false;
+        // process up to N nodes per frame to keep UI responsive
+        const MAX_PER_TICK = 80;
+        let count = 0;
+        while (pendingMsgNodes.length && count < MAX_PER_TICK) {
+            const { node } = pendingMsgNodes.shift();
+            try {
+                handleChatNode(node);
+            } catch (e) {
+                // swallow per-node errors to keep batch alive
+            }
+            count++;
+        }
+        if (pendingMsgNodes.length) scheduleProcessing();
+    }
+
+    function handleChatNode(msgNode) {
+        const root = (msgNode.closest && (
+            msgNode.closest('.chat-line__message-container') ||
+            msgNode.closest('[data-test-selector="chat-line"]') ||
+            msgNode.closest('.chat-line__message') ||
+            msgNode.closest('.chat-line__message-wrapper') ||
+            msgNode.closest('[data-a-target="chat-line-message"]') ||
+            msgNode.closest('[data-test-selector="chat-line-message"]')
+        )) || msgNode;
+        // find user and message (best-effort)
+        const userEl = root.querySelector(
+            '.chat-author__display-name, .chat-line__username, [data-test-selector="chat-message-username"], [data-a-target="chat-message-username"]'
+        ) || root.querySelector('[data-a-user], [data-user], [data-user-login], [data-login]') || null;
+        const msgEl = getMessageContainer(root);
+        // Twitch sometimes changes the username DOM; keep checking as long as the message was found
+        if (!msgEl) return;
+
+        const user = getUserLoginFromNode(root) || safeText(userEl) || 'unknown';
+        // blocklisted users are always treated as spam (also replies and privileged users)
+        const blocked = isBlocklisted(user);
+
+        // replies ignore
+        if (!blocked && ignoreRepliesEnabled && isReplyMessage(root)) {
+            engine.seen(user);
+            stats.skipped++;
+            return;
+        }
+
+        // privileged check -> mark yellow and skip
+        if (!blocked && userEl && isPrivileged(root)) {
+            // Nur im Debug gelb markieren (kein Styling im Chat)
+            dbg.addLog(t('privilegedUser', { user: escapeHtml(safeText(userEl)) }), true);
+            engine.seen(user);
+            stats.skipped++;
+            return;
+        }
+
+        const { text, emoteCodes, emoteNames, links } = extractTextAndEmotes(msgEl);
+        learnEmoteNames(emoteNames);
+        // Allow processing even if text is empty (emote-only messages)
+        if (!blocked && !text && (!emoteCodes || emoteCodes.length === 0)) return;
+
+        const firstTime = isFirstTimeChatter(root);
+        const verdict = blocked ? createVerdict('blocklist') : engine.check(user, text, emoteCodes, undefined, { links, firstTime });
+        stats.processed++;
+        if (verdict.spam) {
+            const reason = formatReason(verdict);
+            let action = 'detected';
+            const rule = ruleRegistry.get(verdict.rule);
+            // classifier feedback; cleaned messages can't be shown again, but are still trained
+            const feedback = settings.ENABLE_BAYES_FILTER ? bayesFeedbackActions(root, text, emoteCodes || []) : null;
+            if (filterEnabled && rule && rule.clean && settings[rule.cleanSetting]) {
+                // rules with a clean() function can show the cleaned message instead of hiding it
+                cleanMessageText(msgEl, rule.clean);
+                dbg.addLog(t('cleaned', { reason, user: escapeHtml(user) }), false, feedback);
+                dbg.updateCounter();
+                action = 'cleaned';
+            } else if (filterEnabled) {
+                root.style.display = 'none';
+                dbg.addLog(t('hidden', { reason, user: escapeHtml(user) }), false, feedback);
+                dbg.updateCounter();
+                action = 'hidden';
+            } else {
+                if (markEnabled) {
+                    root.style.background = "rgba(255,0,0,0.15)";
+                    dbg.addLog(t('marked', { reason, user: escapeHtml(user) }), false, feedback);
+                    dbg.updateCounter();
+                    action = 'marked';
+                } else {
+                    dbg.addLog(t('detected', { reason, user: escapeHtml(user) }), false, feedback);
+                }
+            }
+            if (verdict.score) dbg.addLog(`<span style="color: #9e9e9e">${formatScore(verdict.score)}</span>`);
+            if (verdict.trigger && rule && rule.showTrigger) {
+                const filteredPreview = (text || '').slice(0, 180);
+                const triggerPreview = (verdict.trigger.text || '').slice(0, 180);
+                dbg.addLog(t('similarPair', { filtered: escapeHtml(filteredPreview), trigger: escapeHtml(triggerPreview), triggerUser: verdict.trigger.user ? escapeHtml(verdict.trigger.user) : '' }));
+            }
+            stats.filtered++;
+            if (action !== 'detected') stats[action]++;
+            stats.byRule[verdict.rule] = (stats.byRule[verdict.rule] || 0) + 1;
+            emitMessageEvent(TSF_EVENTS.filtered, { verdict, node: root, user, text, emotes: emoteCodes, action });
+        } else {
+            stats.passed++;
+            emitMessageEvent(TSF_EVENTS.passed, { verdict, node: root, user, text, emotes: emoteCodes, action: 'passed' });
+        }
+    }
+    function findChatContainer() {
+        const selectors = [
+            '.chat-scrollable-area__message-container',
+            '[data-test-selector="chat-scroll-list"]',
+            '.chat-lines'
+        ];
+        for (let s of selectors) {
+            const el = document.querySelector(s);
+            if (el) return el;
+        }
+        // fallback
+        return document.querySelector('[role="log"], section[aria-label*="Chat"], section[aria-label*="chat"]');
+    }
+
+    function observeChat() {
+        try {
+            if (chatObserver) return;
+            const chat = findChatContainer();
+            if (!chat) {
+                dbg.addLog(t('noChatContainer'));
+                setTimeout(observeChat, 1000);
+                return;
+            }
+            dbg.addLog(t('chatContainerFound'));
+
+            chatObserver = new MutationObserver(mutations => {
+                for (let mut of mutations) {
+                    for (let node of mut.addedNodes) {
+                        if (!(node instanceof HTMLElement)) continue;
+                        // robust: node itself might be a chat line or wrapper
+                        const msgNode = (node.matches && (
+                            node.matches('.chat-line__message') ||
+                            node.matches('.chat-line__message-wrapper') ||
+                            node.matches('[data-test-selector="chat-line"]') ||
+                            node.matches('[data-a-target="chat-line-message"]') ||
+                            node.matches('[data-test-selector="chat-line-message"]')
+                        ))
+                            ? node
+                            : (node.querySelector && (
+                                node.querySelector('.chat-line__message') ||
+                                node.querySelector('.text-fragment') ||
+                                node.querySelector('[data-a-user]') ||
+                                node.querySelector('[data-user]') ||
+                                node.querySelector('[data-user-login]') ||
+                                node.querySelector('[data-a-target="chat-message-username"]') ||
+                                node.querySelector('[data-a-target="chat-message-text"]')
+                            ))
+                                ? node
+                                : null;
+                        if (!msgNode) continue;
+                        pendingMsgNodes.push({ node: msgNode });
+                    }
+                }
+                if (pendingMsgNodes.length) scheduleProcessing();
+            });
+
+            chatObserver.observe(chat, { childList: true, subtree: true });
+            dbg.addLog(t('chatObserverActive'));
+        } catch (e) {
+            dbg.addLog(t('observeChatError', { error: escapeHtml(e && e.message ? e.message : e) }));
+        }
+    }
+
+    // Chat menu integration was removed. Control is exclusively through the overlay and the API below.
+
+    /*********************
+     * Public API (window.TSF)
+     *********************/
+    // With @grant none the page, other userscripts and the console share `window` with the script.
+    // Setters validate like the overlay, save, refresh the overlay and return an error text (null = ok).
+    function setToggleFromApi(label, enabled, apply) {
+        apply(!!enabled);
+        saveSettingsRecord();
+        dbg.refreshToggles();
+        dbg.addLog(t('fromApi', { text: `${label} -> ${onOff(!!enabled)}` }));
+    }
+
+    function setSettingFromApi(key, value) {
+        const error = setSettingValue(settings, key, value);
+        if (error) return error;
+        saveSettings();
+        dbg.refreshSettingsPanel();
+        dbg.addLog(t('settingChanged', { key, value: settings[key] }));
+        return null;
+    }
+
+    // kind: 'whitelist' | 'blocklist'; add: true = add, false = remove
+    function changeListFromApi(kind, value, add) {
+        const entry = PROFILE_LISTS[kind].normalize(value);
+        const error = add ? addListEntry(kind, value) : removeListEntry(kind, entry);
+        if (error) return error;
+        dbg.refreshSettingsPanel();
+        dbg.addLog(t(add ? 'userAdded' : 'userRemoved', { list: t(kind), login: escapeHtml(entry) }));
+        return null;
+    }
+
+    // Rules of other scripts, see registerScriptRule()
+    function registerRuleFromApi(def) {
+        const error = registerScriptRule(ruleRegistry, def);
+        if (error) return error;
+        dbg.addLog(t('ruleAdded', { id: escapeHtml(def.id) }));
+        return null;
+    }
+
+    function unregisterRuleFromApi(id) {
+        const error = unregisterScriptRule(ruleRegistry, id);
+        if (error) return error;
+        dbg.addLog(t('ruleRemoved', { id: escapeHtml(id) }));
+        return null;
+    }
+
+    // Built-in and script rules can be switched until the next reload, user rules are saved
+    function setRuleEnabledFromApi(id, enabled) {
+        if (id.startsWith(USER_RULE_PREFIX)) {
+            const error = setUserRuleEnabled(id.slice(USER_RULE_PREFIX.length), enabled);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+        } else if (!ruleRegistry.setEnabled(id, enabled)) {
+            return t('errRuleNotFound', { id });
+        }
+        dbg.addLog(t('ruleToggled', { id: escapeHtml(id), state: onOff(!!enabled) }));
+        return null;
+    }
+
+    // Own engine for TSF.check() so test texts don't end up in the history of the chat
+    const apiEngine = createSpamEngine({
+        config: settings, rules: ruleRegistry, keywords: () => activeKeywords, domains: activeDomains,
+        hypeMode: () => hypeModeTimer !== null, exemptions: mentionExemptions, emotes: activeEmoteDictionary,
+        bayes: () => bayesModel, onRuleError: handleRuleError
+    });
+
+    const api = {
+        version: SCRIPT_VERSION,
+        events: Object.freeze(Object.assign({}, TSF_EVENTS)),
+
+        getToggles: () => ({ filter: filterEnabled, mark: markEnabled, ignoreReplies: ignoreRepliesEnabled, hype: hypeModeTimer !== null }),
+        setFilterEnabled: (enabled) => setToggleFromApi(t('filter'), enabled, v => { filterEnabled = v; }),
+        setMarkEnabled: (enabled) => setToggleFromApi(t('marking'), enabled, v => { markEnabled = v; }),
+        setIgnoreReplies: (enabled) => setToggleFromApi(t('ignoreReplies'), enabled, v => { ignoreRepliesEnabled = v; }),
+        // not saved, ends after HYPE_MODE_DURATION_MS
+        setHypeMode: (enabled) => setHypeMode(!!enabled, 'fromApi'),
+
+        // Thresholds and rule toggles of the active profile (keys as in SETTINGS_SCHEMA)
+        getSettings: () => Object.assign({}, settings),
+        getSetting: (key) => settings[key],
+        setSetting: setSettingFromApi,
+        getProfile: () => activeProfileName,
+
+        // Lists of the active profile; the whitelist includes WHITELIST from the script
+        getWhitelist: () => listEntries('whitelist'),
+        getBlocklist: () => activeBlocklist.slice(),
+        addToWhitelist: (login) => changeListFromApi('whitelist', login, true),
+        removeFromWhitelist: (login) => changeListFromApi('whitelist', login, false),
+        addToBlocklist: (login) => changeListFromApi('blocklist', login, true),
+        removeFromBlocklist: (login) => changeListFromApi('blocklist', login, false),
+
+        // Domain lists of the active profile, including LINK_ALLOWLIST / LINK_DENYLIST from the script
+        getAllowedDomains: () => listEntries('allowedDomains'),
+        getDeniedDomains: () => listEntries('deniedDomains'),
+        addAllowedDomain: (domain) => changeListFromApi('allowedDomains', domain, true),
+        removeAllowedDomain: (domain) => changeListFromApi('allowedDomains', domain, false),
+        addDeniedDomain: (domain) => changeListFromApi('deniedDomains', domain, true),
+        removeDeniedDomain: (domain) => changeListFromApi('deniedDomains', domain, false),
+
+        // Blocked terms of the active profile: [{ pattern, type, caseSensitive, expires }]
+        getKeywords: () => activeKeywords.map(entry => Object.assign({}, entry)),
+        // { pattern, type, caseSensitive, expiresIn (ms) }; resolves to an error text, or null
+        addKeyword: async (raw) => {
+            const error = await addKeyword(raw);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('keywordAdded', { pattern: escapeHtml(String(raw.pattern).trim()) }));
+            return null;
+        },
+        removeKeyword: (pattern, type) => {
+            const error = removeKeyword(String(pattern), type);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('keywordRemoved', { pattern: escapeHtml(String(pattern)) }));
+            return null;
+        },
+
+        // Emote dictionary of the current channel (names as typed in chat)
+        getEmotes: () => Array.from(activeEmoteDictionary() || []),
+        // doc: list of names or a BTTV/FFZ/7TV emote list; merged into the dictionary. Returns an error text, or null
+        importEmotes: (doc) => importEmoteNames(doc),
+        clearEmotes: () => {
+            const error = clearEmoteDictionary();
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('fromApi', { text: t('emotesCleared', { channel: activeChannel }) }));
+            return null;
+        },
+
+        // Bayes classifier (for all profiles): { spam, ham, tokens, top: { spam: [{ token, weight, spam, ham }], ham } }
+        getBayesModel: () => ({
+            spam: bayesModel.spam,
+            ham: bayesModel.ham,
+            tokens: Object.keys(bayesModel.tokens).length,
+            top: topBayesTokens(bayesModel)
+        }),
+        // Same as the ✓/✗ links in the overlay log; resolves when the model is updated
+        trainBayes: (text, spam, emotes = []) => trainBayesModel(String(text || ''), emotes, !!spam),
+        exportBayes: () => JSON.parse(JSON.stringify(buildBayesDocument())),
+        // doc: document from exportBayes() or the export button; resolves to an error text, or null
+        importBayes: async (doc) => {
+            const error = await importBayesDocument(doc);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('fromApi', { text: t('bayesImported', { spam: bayesModel.spam, ham: bayesModel.ham }) }));
+            return null;
+        },
+        resetBayes: async () => {
+            await resetBayesModel();
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('fromApi', { text: t('bayesReset') }));
+        },
+
+        // Runs a text through the detection rules with the current settings and returns the verdict.
+        // Repeated calls share one history, so repetition and copy/paste rules can be tried out.
+        check: (text, options = {}) => apiEngine.check(options.user || 'tsf_api', String(text || ''), options.emotes || [], undefined, {
+            links: options.links || [],
+            firstTime: !!options.firstTime
+        }),
+        resetCheck: () => apiEngine.reset(),
+
+        // Rules in the order they run: [{ id, order, severity, source, enabled, settings }]
+        // source: 'builtin' | 'user' (overlay, stored) | 'script' (registerRule)
+        getRules: () => ruleRegistry.list().map(rule => ({
+            id: rule.id,
+            order: rule.order,
+            severity: rule.severity,
+            source: rule.source,
+            enabled: ruleRegistry.isEnabled(rule, settings),
+            settings: rule.settings.slice()
+        })),
+        setRuleEnabled: (id, enabled) => setRuleEnabledFromApi(String(id), enabled),
+        registerRule: registerRuleFromApi,
+        unregisterRule: (id) => unregisterRuleFromApi(String(id)),
+        // Same as the overlay form: { id, label, code, severity, order }, stored as "user:<id>"
+        addUserRule: (def) => {
+            const error = addUserRule(def);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('ruleAdded', { id: escapeHtml(String(def.id).trim().toLowerCase()) }));
+            return null;
+        },
+        removeUserRule: (id) => {
+            id = String(id).replace(USER_RULE_PREFIX, '');
+            const error = removeUserRule(id);
+            if (error) return error;
+            dbg.refreshSettingsPanel();
+            dbg.addLog(t('ruleRemoved', { id: escapeHtml(id) }));
+            return null;
+        },
+
+        getStats: () => Object.assign({}, stats, { byRule: Object.assign({}, stats.byRule) }),
+        resetStats: () => {
+            for (const key of Object.keys(stats)) stats[key] = key === 'byRule' ? {} : 0;
+        },
+
+        // name: 'filtered' | 'passed'; handler gets the event detail. Returns a function that unsubscribes.
+        on: (name, handler) => onApiEvent(window, name, handler)
+    };
+    window.TSF = Object.freeze(api);
+
+    /*********************
+     * Startup
+     *********************/
+    function startup() {
+        dbg.addLog(t('starting', { version: SCRIPT_VERSION }));
+        dbg.addLog(t('profileActive', { name: escapeHtml(activeProfileName), channel: activeChannel || '-' }));
+        loadBayesModel().then(() => dbg.refreshSettingsPanel());
+        observeChat();
+        watchChannelChanges();
+    }
+
+    startup();
+
+})();
@@ -0,0 +1,124 @@
+// Throughput of the engine on a busy chat, with the global copy/paste index.
+// Run with: node bench/copy-paste.js [messages per second] [seconds]
+// Simulates a chat with copy/paste waves, checks every message with the default settings and
+// compares the similarity lookup of the index with comparing every message in the window.
+const path = require('node:path');
+const { performance } = require('node:perf_hooks');
+
+const {
+    createSpamEngine,
+    DEFAULT_SETTINGS,
+    bigramProfile,
+    similarityScoreClean,
+    createCopyPasteIndex,
+    addToCopyPasteIndex,
+    expireCopyPasteIndex,
+    findSimilarCopy
+} = require(path.join(__dirname, '..', 'Twitch Spam Filter v1.29.js'));
+
+const RATE = Number(process.argv[2]) || 60;
+const SECONDS = Number(process.argv[3]) || 120;
+// a full scan takes long on big windows, so only this many messages are scanned
+const SCAN_SAMPLES = 200;
+const WORDS = ('gg wp lol lmao kekw pog nice play what was that clip it chat is this real no way ' +
+    'bro that aim is insane how did he do that first time here hello from germany love the stream ' +
+    'when is the next stream can you play ranked again mods please ban him he is cheating for sure ' +
+    'wait what happened i missed it rewind that please the boss fight was so good let him cook ' +
+    'this song slaps what is the song name drop the playlist one more game then sleep it is late ' +
+    'here hydrate check please go go go we need this win every day same story big brain play').split(' ');
+
+// Same messages on every run
+let seed = 42;
+function random() {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 4294967296;
+}
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+// 80% new messages, 20% copies of a recent message with one word changed or dropped
+function createChat(count) {
+    const messages = [];
+    const recent = [];
+    for (let i = 0; i < count; i++) {
+        let text;
+        if (recent.length && random() < 0.2) {
+            const words = pick(recent).split(' ');
+            const at = Math.floor(random() * words.length);
+            if (random() < 0.5) words[at] = pick(WORDS);
+            else if (words.length > 3) words.splice(at, 1);
+            text = words.join(' ');
+        } else {
+            text = Array.from({ length: 3 + Math.floor(random() * 12) }, () => pick(WORDS)).join(' ');
+        }
+        recent.push(text);
+        if (recent.length > 100) recent.shift();
+        messages.push({ user: `viewer${Math.floor(random() * 5000)}`, text, time: Math.round(i * 1000 / RATE) });
+    }
+    return messages;
+}
+
+function run(label, windowMs, messages) {
+    const engine = createSpamEngine({ config: Object.assign({}, DEFAULT_SETTINGS, { GLOBAL_COPY_PASTE_WINDOW_MS: windowMs }) });
+    let slowest = 0;
+    let copies = 0;
+    const start = performance.now();
+    for (const m of messages) {
+        const before = performance.now();
+        const verdict = engine.check(m.user, m.text, [], m.time);
+        slowest = Math.max(slowest, performance.now() - before);
+        if (verdict.rule === 'copy-paste' || verdict.rule === 'copy-paste-similar') copies++;
+    }
+    const elapsed = performance.now() - start;
+    const throughput = messages.length / elapsed * 1000;
+    console.log(`${label}: ${Math.round(throughput)} msg/s (${(throughput / RATE).toFixed(1)}x the chat rate), ` +
+        `${(elapsed / messages.length).toFixed(3)} ms per message, slowest ${slowest.toFixed(1)} ms, ${copies} copy/paste hits`);
+}
+
+// Similarity lookup alone: index against a scan of the whole window (what the rule did before)
+function compareLookup(windowMs, messages) {
+    const scanEvery = Math.max(1, Math.floor(messages.length / SCAN_SAMPLES));
+    const threshold = DEFAULT_SETTINGS.SIMILARITY_THRESHOLD;
+    const index = createCopyPasteIndex();
+    const window = [];
+    let indexMs = 0;
+    let scanMs = 0;
+    let scans = 0;
+    let found = 0;
+    let missed = 0;
+    messages.forEach((m, i) => {
+        const text = m.text.toLowerCase();
+        let t = performance.now();
+        expireCopyPasteIndex(index, m.time, windowMs);
+        const profile = bigramProfile(text);
+        const best = findSimilarCopy(index, profile, m.user, threshold, m.time, windowMs);
+        addToCopyPasteIndex(index, { user: m.user, text, raw: m.text, time: m.time, profile });
+        indexMs += performance.now() - t;
+
+        while (window.length && m.time - window[0].time >= windowMs) window.shift();
+        if (i % scanEvery === 0) {
+            t = performance.now();
+            let scanned = null;
+            for (const entry of window) {
+                if (entry.user === m.user) continue;
+                const score = similarityScoreClean(entry.text, text);
+                if (score >= threshold && (!scanned || score > scanned.score)) scanned = { entry, score };
+            }
+            scanMs += performance.now() - t;
+            scans++;
+            if (scanned) {
+                found++;
+                if (!best || best.score !== scanned.score) missed++;
+            }
+        }
+        window.push({ user: m.user, text, time: m.time });
+    });
+    console.log(`  lookup: index ${(indexMs / messages.length).toFixed(3)} ms, full scan ${(scanMs / scans).toFixed(3)} ms ` +
+        `per message; index found ${found - missed} of ${found} similar messages (${scans} scanned)`);
+}
+
+const messages = createChat(RATE * SECONDS);
+console.log(`${messages.length} messages, ${RATE} msg/s over ${SECONDS} s`);
+for (const windowMs of [DEFAULT_SETTINGS.GLOBAL_COPY_PASTE_WINDOW_MS, 30000, 120000]) {
+    run(`window ${windowMs / 1000} s (${Math.round(RATE * windowMs / 1000)} messages)`, windowMs, messages);
+    compareLookup(windowMs, messages);
+}
@@ -0,0 +1,963 @@
+// Tests for the DOM-free detection engine and API core. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const {
+    createSpamEngine,
+    createVerdict,
+    createRuleRegistry,
+    compileUserRule,
+    createUserRule,
+    BUILTIN_RULES,
+    RULES,
+    DEFAULT_SETTINGS,
+    translate,
+    TSF_EVENTS,
+    setSettingValue,
+    registerScriptRule,
+    unregisterScriptRule,
+    onApiEvent,
+    diceCoefficient,
+    similarityScoreClean,
+    mostCommonRunLength,
+    emoteSignature,
+    emoteSignatureSimilarity,
+    uppercaseRatio,
+    hasExcessiveRepetition,
+    longestCharRun,
+    splitGraphemes,
+    detectRepeatedWord,
+    longestMarkStack,
+    stripCombiningMarks,
+    detectRepeatedPhraseSpam,
+    compileKeyword,
+    findKeyword,
+    hasNestedQuantifier,
+    regexStressInputs,
+    normalizeText,
+    normalizeDomain,
+    domainListed,
+    findLinks,
+    findMentions,
+    firstTimeConfig,
+    isEmoteName,
+    readEmoteNames,
+    findTextEmotes,
+    createBayesModel,
+    bayesTokens,
+    trainBayes,
+    bayesSpamProbability,
+    topBayesTokens,
+    readBayesModel,
+    bigramProfile,
+    diceProfiles,
+    createCopyPasteIndex,
+    addToCopyPasteIndex,
+    expireCopyPasteIndex,
+    findExactCopy,
+    findSimilarCopy,
+    lshRows
+} = require(path.join(__dirname, '..', 'Twitch Spam Filter v1.29.js'));
+
+// Engine with its own copy of the defaults; `overrides` replace single settings
+function makeEngine(overrides = {}, options = {}) {
+    return createSpamEngine(Object.assign({ config: Object.assign({}, DEFAULT_SETTINGS, overrides) }, options));
+}
+
+function assertSpam(verdict, rule) {
+    assert.equal(verdict.spam, true, `expected spam (${rule})`);
+    assert.equal(verdict.rule, rule);
+    assert.equal(verdict.severity, RULES[rule].severity);
+}
+
+function assertPass(verdict) {
+    assert.equal(verdict.spam, false, `expected no spam, got "${verdict.rule}"`);
+    assert.equal(verdict.rule, null);
+}
+
+test('normal messages pass', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'hello there, how is everyone doing today?', [], 0));
+    assertPass(engine.check('bob', 'good stream', ['kappa'], 10));
+});
+
+test('too many emotes', () => {
+    const engine = makeEngine();
+    const codes = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+    const verdict = engine.check('alice', 'one two three four five', codes, 0);
+    assertSpam(verdict, 'emote-limit');
+    assert.equal(verdict.limit, 6);
+    assert.equal(verdict.reached, 7);
+    assertPass(engine.check('bob', 'one two three four five', codes.slice(0, 6), 0));
+});
+
+test('emote density', () => {
+    const engine = makeEngine();
+    const verdict = engine.check('alice', 'hi', ['a', 'b', 'c'], 0);
+    assertSpam(verdict, 'emote-density');
+    assert.equal(verdict.limit, 0.6);
+    assert.equal(verdict.reached, 0.75);
+    // fewer than 3 tokens are never checked
+    assertPass(engine.check('bob', 'hi', ['a'], 0));
+});
+
+test('emote series', () => {
+    const engine = makeEngine();
+    assertSpam(engine.check('alice', 'look at this nice thing', ['x', 'x', 'x', 'x'], 0), 'emote-series');
+    assertPass(engine.check('bob', 'look at this nice thing', ['x', 'x', 'x', 'y'], 0));
+});
+
+test('uppercase ratio in any script, without emotes and mentions, can be disabled', () => {
+    const verdict = makeEngine().check('alice', 'HELLO WORLD lol', [], 0);
+    assertSpam(verdict, 'uppercase');
+    assert.equal(verdict.limit, 0.7);
+    assert.equal(verdict.reached, 10 / 13);
+    assertSpam(makeEngine().check('alice', 'ÄRGER ÜBERALL', [], 0), 'uppercase');
+    assertSpam(makeEngine().check('alice', 'ПРИВЕТ ВСЕМ', [], 0), 'uppercase');
+    assertSpam(makeEngine().check('alice', 'ΓΕΙΑ ΣΑΣ ΟΛΟΙ', [], 0), 'uppercase');
+    assertPass(makeEngine().check('alice', 'OK', [], 0));
+    assertPass(makeEngine().check('alice', 'OK that was a good one', [], 0));
+    assertPass(makeEngine().check('alice', 'KEKW KEKW that was funny', ['kekw', 'kekw'], 0));
+    assertPass(makeEngine().check('alice', '@STREAMER_NAME @MODERATOR hi', [], 0));
+    assertPass(makeEngine({ UPPERCASE_RATIO: 0.8 }).check('alice', 'HELLO WORLD lol', [], 0));
+    assertPass(makeEngine({ UPPERCASE_MIN_LETTERS: 20 }).check('alice', 'HELLO EVERYONE', [], 0));
+    assertPass(makeEngine({ ENABLE_UPPERCASE_FILTER: false }).check('alice', 'HELLO EVERYONE', [], 0));
+});
+
+test('repeated characters, can be disabled', () => {
+    const verdict = makeEngine().check('alice', 'gyattttt', [], 0);
+    assertSpam(verdict, 'char-repetition');
+    assert.equal(verdict.reached, 5);
+    assertPass(makeEngine().check('alice', 'gyatttt', [], 0));
+    assertPass(makeEngine({ ENABLE_REPETITION_FILTER: false }).check('alice', 'gyattttt', [], 0));
+});
+
+test('repeated characters count graphemes, so emoji are not split', () => {
+    const engine = makeEngine();
+    const verdict = engine.check('alice', 'lol \u{1F602}\u{1F602}\u{1F602}\u{1F602}\u{1F602}', [], 0);
+    assertSpam(verdict, 'char-repetition');
+    assert.equal(verdict.reached, 5);
+    // two surrogate pairs each, but only four emoji
+    assertPass(engine.check('bob', 'nice \u{1F44D}\u{1F3FD}\u{1F44D}\u{1F3FD}\u{1F44D}\u{1F3FD}\u{1F44D}\u{1F3FD}', [], 0));
+});
+
+test('repeated words, case-insensitive and anywhere in the message', () => {
+    const engine = makeEngine();
+    const verdict = engine.check('alice', 'lul LUL lul lul lul', [], 0);
+    assertSpam(verdict, 'word-repetition');
+    assert.equal(verdict.limit, 3);
+    assert.equal(verdict.reached, 5);
+    assertSpam(engine.check('bob', 'that was xd xd xd xd honestly', [], 0), 'word-repetition');
+    assertPass(engine.check('carol', 'no no no way', [], 0));
+    assertPass(makeEngine({ MAX_WORD_REPETITION: 5 }).check('dave', 'lul lul lul lul lul', [], 0));
+    assertPass(makeEngine({ ENABLE_REPETITION_FILTER: false }).check('erin', 'xd xd xd xd', [], 0));
+});
+
+test('repeated phrase blocks (long and short phrases)', () => {
+    const engine = makeEngine();
+    assertSpam(engine.check('alice', 'buy my stuff now buy my stuff now buy my stuff now', [], 0), 'phrase-repeat');
+    assertSpam(engine.check('bob', 'go team '.repeat(6).trim(), [], 0), 'phrase-repeat');
+    assertPass(engine.check('carol', 'go team '.repeat(5).trim(), [], 0));
+    // after a prefix and in the middle of a message
+    assertSpam(engine.check('dave', 'hey chat follow my channel pls follow my channel pls follow my channel pls', [], 0), 'phrase-repeat');
+    assertSpam(engine.check('erin', 'ok so free subs right here free subs right here free subs right here are real trust me', [], 0), 'phrase-repeat');
+    assertPass(engine.check('frank', 'follow my channel pls and then follow my channel pls again', [], 0));
+    assertPass(makeEngine({ ENABLE_PHRASE_REPEAT_FILTER: false }).check('alice', 'buy my stuff now buy my stuff now buy my stuff now', [], 0));
+});
+
+test('ASCII/Braille art, with a lower ratio for multi-line messages', () => {
+    const engine = makeEngine();
+    assertSpam(engine.check('alice', '⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇ hi', [], 0), 'art');
+    // 27% art characters: enough with two lines, not enough on one line
+    assertSpam(engine.check('bob', 'ab ⣿⡇⣿ cd\nef ⡇⣿⡇ gh ij', [], 0), 'art');
+    assertPass(engine.check('carol', 'ab ⣿⡇⣿ cd ef ⡇⣿⡇ gh ij', [], 0));
+    assertPass(makeEngine({ ENABLE_ART_SPAM_DETECTION: false }).check('alice', '⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇⣿⡇ hi', [], 0));
+});
+
+test('zalgo: stacked combining marks, also in short messages', () => {
+    const zalgo = (letter, marks) => letter + '\u0338\u0321\u031B\u031F\u034E\u0322'.slice(0, marks);
+    const engine = makeEngine();
+    const verdict = engine.check('alice', zalgo('h', 4) + 'i', [], 0);
+    assertSpam(verdict, 'zalgo');
+    assert.equal(verdict.limit, 3);
+    assert.equal(verdict.reached, 4);
+    assertPass(engine.check('bob', `${zalgo('o', 3)}k cafe\u0301 Vie\u0323\u0302t`, [], 0));
+    assertPass(makeEngine({ ENABLE_ZALGO_FILTER: false }).check('alice', zalgo('h', 6) + 'i', [], 0));
+    // long Zalgo text is reported as zalgo, not as art
+    assertSpam(engine.check('carol', 'this is zalgo text '.split('').map(c => zalgo(c, 5)).join(''), [], 0), 'zalgo');
+    assert.equal(RULES.zalgo.cleanSetting, 'ZALGO_STRIP_MARKS');
+});
+
+test('per-user exact repetition inside the time window', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'this is my message', [], 0));
+    assertPass(engine.check('alice', 'this is my message', [], 1000));
+    assertSpam(engine.check('alice', 'this is my message', [], 2000), 'user-repeat');
+});
+
+test('per-user repetition: logins that are names of object properties', () => {
+    const errors = [];
+    const engine = makeEngine({}, { onRuleError: (rule) => errors.push(rule.id) });
+    for (const user of ['constructor', 'tostring', 'hasownproperty']) {
+        const text = `this is the message of ${user}`;
+        assertPass(engine.check(user, text, [], 0));
+        assertPass(engine.check(user, text, [], 1000));
+        assertSpam(engine.check(user, text, [], 2000), 'user-repeat');
+    }
+    assertPass(engine.check('alice', 'hello everybody welcome to the stream friends', [], 3000));
+    assertPass(engine.check('alice', 'hello everybody welcome to the stream friendz', [], 4000));
+    assertSpam(engine.check('alice', 'hello everybody welcome to the stream friendy', [], 5000), 'user-similar');
+    assert.deepEqual(errors.filter(id => id.startsWith('user-')), []);
+});
+
+test('per-user repetition outside the time window passes', () => {
+    const engine = makeEngine();
+    const window = DEFAULT_SETTINGS.PER_USER_REPEAT_WINDOW_MS;
+    assertPass(engine.check('alice', 'this is my message', [], 0));
+    assertPass(engine.check('alice', 'this is my message', [], window + 1));
+    assertPass(engine.check('alice', 'this is my message', [], 2 * window + 2));
+});
+
+test('per-user similar messages report the earlier message', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'hello everybody welcome to the stream friends', [], 0));
+    assertPass(engine.check('alice', 'hello everybody welcome to the stream friendz', [], 1000));
+    const verdict = engine.check('alice', 'hello everybody welcome to the stream friendy', [], 2000);
+    assertSpam(verdict, 'user-similar');
+    assert.equal(verdict.limit, 3);
+    assert.equal(verdict.reached, 3);
+    assert.equal(verdict.trigger.user, 'alice');
+});
+
+test('flood: burst, sustained rate and reported rate', () => {
+    const engine = makeEngine({ FLOOD_BURST: 5, FLOOD_RATE: 0.5 });
+    const texts = ['first one', 'second one', 'third one', 'fourth one', 'fifth one', 'sixth one'];
+    for (let i = 0; i < 5; i++) assertPass(engine.check('alice', texts[i], [], i * 200));
+    const verdict = engine.check('alice', texts[5], [], 1000);
+    assertSpam(verdict, 'flood');
+    assert.equal(verdict.limit, 0.5);
+    assert.equal(verdict.reached, 6);
+    // other users have their own bucket; emote-only messages count as well
+    assertPass(engine.check('bob', '', ['kappa'], 1000));
+    // one token back every 2 seconds
+    assertPass(engine.check('alice', 'seventh one', [], 2200));
+    assertSpam(engine.check('alice', 'eighth one', [], 2500), 'flood');
+    assertPass(makeEngine({ ENABLE_FLOOD_FILTER: false }).check('alice', texts[0], [], 0));
+});
+
+test('flood: logins that are names of object properties', () => {
+    const errors = [];
+    const engine = makeEngine({ FLOOD_BURST: 2, FLOOD_RATE: 0.5 }, { onRuleError: (rule) => errors.push(rule.id) });
+    assertPass(engine.check('constructor', 'hello there', [], 0));
+    assertPass(engine.check('tostring', 'hi chat', [], 0));
+    assertPass(engine.check('alice', 'first one', [], 0));
+    assertPass(engine.check('alice', 'second one', [], 0));
+    assertSpam(engine.check('alice', 'third one', [], 0), 'flood');
+    assert.equal(errors.includes('flood'), false);
+});
+
+test('flood: hype mode multiplies burst and rate', () => {
+    let hype = true;
+    const engine = makeEngine({ FLOOD_BURST: 2, FLOOD_RATE: 0.5, FLOOD_HYPE_MULTIPLIER: 3 }, { hypeMode: () => hype });
+    const texts = ['pog', 'what a play', 'lets go', 'insane', 'clip it', 'gg wp', 'no way'];
+    for (let i = 0; i < 6; i++) assertPass(engine.check('alice', texts[i], [], i * 100));
+    const verdict = engine.check('alice', texts[6], [], 600);
+    assertSpam(verdict, 'flood');
+    assert.equal(verdict.limit, 1.5);
+    hype = false;
+    // without hype mode the normal burst applies again
+    assertPass(engine.check('bob', 'hello', [], 0));
+    assertPass(engine.check('bob', 'hi chat', [], 0));
+    assertSpam(engine.check('bob', 'hey', [], 0), 'flood');
+});
+
+test('mentions: per message, per time window and exemptions', () => {
+    // nobody here has written before; see the next test for mentions of users who are not in chat
+    const engine = makeEngine({ MAX_UNKNOWN_MENTIONS: 50 }, { exemptions: () => ({ broadcaster: 'streamer', whitelist: ['modfriend'] }) });
+    assertPass(engine.check('alice', '@bob @carol @dave @erin look', [], 0));
+    const verdict = engine.check('frank', '@bob @carol @dave @erin @gina look', [], 0);
+    assertSpam(verdict, 'mention');
+    assert.equal(verdict.limit, 4);
+    assert.equal(verdict.reached, 5);
+    // the sender, the broadcaster and whitelisted users are not counted
+    assertPass(engine.check('hank', '@hank @streamer @modfriend @bob @carol @dave @erin', [], 0));
+    assertSpam(makeEngine({ MENTION_EXEMPT_BROADCASTER: false }, { exemptions: () => ({ broadcaster: 'streamer', whitelist: [] }) })
+        .check('hank', '@streamer @bob @carol @dave @erin', [], 0), 'mention');
+    // 3 + 3 + 3 different users within a minute
+    assertPass(engine.check('ivy', '@user1 @user2 @user3 hey', [], 1000));
+    assertPass(engine.check('ivy', '@user4 @user5 @user6 hello', [], 2000));
+    const window = engine.check('ivy', '@user7 @user8 @user9 hi', [], 3000);
+    assertSpam(window, 'mention-window');
+    assert.equal(window.reached, 9);
+    assertPass(engine.check('ivy', '@user10 @user11 @user12 yo', [], 3000 + DEFAULT_SETTINGS.MENTION_WINDOW_MS));
+    assertPass(makeEngine({ ENABLE_MENTION_FILTER: false }).check('frank', '@bob @carol @dave @erin @gina look', [], 0));
+});
+
+test('mentions: logins that are names of object properties', () => {
+    const errors = [];
+    const engine = makeEngine({ MAX_UNKNOWN_MENTIONS: 50 }, { onRuleError: (rule) => errors.push(rule.id) });
+    assertPass(engine.check('constructor', '@bob hi', [], 0));
+    assertPass(engine.check('valueof', '@constructor hello', [], 0));
+    assertSpam(engine.check('frank', '@bob @carol @dave @erin @gina look', [], 0), 'mention');
+    assertPass(engine.check('tostring', '@user1 @user2 @user3 hey', [], 1000));
+    assertPass(engine.check('tostring', '@user4 @user5 @user6 hello', [], 2000));
+    assertSpam(engine.check('tostring', '@user7 @user8 @user9 hi', [], 3000), 'mention-window');
+    assert.deepEqual(errors, []);
+});
+
+test('mentions: users who are not in chat, after a warm-up', () => {
+    const engine = makeEngine();
+    // during the first minute every user is unknown, so nothing is counted
+    assertPass(engine.check('bot1', 'hey @aaa @bbb @ccc', [], 0));
+    engine.seen('modperson', 60000);
+    assertPass(engine.check('alice', 'hi everyone', [], 60000));
+    const verdict = engine.check('bot2', 'hey @xxx @yyy @zzz', [], 61000);
+    assertSpam(verdict, 'mention-unknown');
+    assert.equal(verdict.limit, 2);
+    assert.equal(verdict.reached, 3);
+    assert.equal(verdict.trigger.text, '@xxx @yyy @zzz');
+    assertPass(engine.check('bot3', 'hey @alice @modperson @bot1 @zzz', [], 62000));
+    // quiet for longer than MENTION_CHATTER_WINDOW_MS: no longer in chat
+    assertSpam(engine.check('bot4', 'hey @alice @modperson @bot2', [], 70000 + DEFAULT_SETTINGS.MENTION_CHATTER_WINDOW_MS), 'mention-unknown');
+});
+
+test('global copy/paste between different users', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'check out this cool website', [], 0));
+    const verdict = engine.check('bob', 'check out this cool website', [], 1000);
+    assertSpam(verdict, 'copy-paste');
+    assert.deepEqual(verdict.trigger, { text: 'check out this cool website', user: 'alice' });
+    // one user repeating a message is not copy/paste
+    const other = makeEngine();
+    assertPass(other.check('alice', 'check out this cool website', [], 0));
+    assertPass(other.check('alice', 'check out this cool website', [], 1000));
+});
+
+test('global copy/paste expires after its window', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'check out this cool website', [], 0));
+    assertPass(engine.check('bob', 'check out this cool website', [], DEFAULT_SETTINGS.GLOBAL_COPY_PASTE_WINDOW_MS + 1));
+});
+
+test('global similar copy/paste names the trigger user', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'check out this cool website now', [], 0));
+    const verdict = engine.check('bob', 'check out this cool website noww', [], 1000);
+    assertSpam(verdict, 'copy-paste-similar');
+    assert.equal(verdict.limit, DEFAULT_SETTINGS.SIMILARITY_THRESHOLD);
+    assert.ok(verdict.reached >= verdict.limit);
+    assert.deepEqual(verdict.trigger, { text: 'check out this cool website now', user: 'alice' });
+});
+
+test('emote train from several users', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', '', ['kappa', 'pog'], 0));
+    assertPass(engine.check('bob', '', ['kappa', 'pog'], 1000));
+    const verdict = engine.check('carol', '', ['kappa', 'pog'], 2000);
+    assertSpam(verdict, 'emote-train');
+    assert.equal(verdict.reached, 3);
+    assert.deepEqual(verdict.trigger, { text: 'kappa|pog', user: 'alice' });
+});
+
+test('emote train counts distinct users and expires after its window', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', '', ['kappa', 'pog'], 0));
+    assertPass(engine.check('alice', '', ['kappa', 'pog'], 500));
+    assertPass(engine.check('bob', '', ['kappa', 'pog'], 1000));
+    assertPass(engine.check('carol', '', ['kappa', 'pog'], 1000 + DEFAULT_SETTINGS.GLOBAL_EMOTE_SIGNATURE_WINDOW_MS + 1));
+});
+
+test('emote train modes: exact order, any order and similar combinations', () => {
+    const texts = ['what a play', 'so good team', 'lets go boys', 'nice clutch there'];
+    const train = (mode, combos, similarity = DEFAULT_SETTINGS.EMOTE_TRAIN_SIMILARITY) => {
+        const engine = makeEngine({ EMOTE_TRAIN_MODE: mode, EMOTE_TRAIN_SIMILARITY: similarity });
+        return combos.map((codes, i) => engine.check(`user${i}`, texts[i], codes, i * 1000));
+    };
+    const reordered = [['kekw', 'pog', 'lul'], ['lul', 'pog', 'kekw'], ['pog', 'kekw', 'lul']];
+    assertPass(train('exact', reordered)[2]);
+    const multiset = train('multiset', reordered)[2];
+    assertSpam(multiset, 'emote-train');
+    assert.deepEqual(multiset.trigger, { text: 'pog|kekw|lul', user: 'user0' });
+    assert.equal(DEFAULT_SETTINGS.EMOTE_TRAIN_MODE, 'multiset');
+
+    // one emote more: 3 of 4 shared = 75%
+    const changed = [['kekw', 'pog', 'lul'], ['kekw', 'pog', 'lul', 'clap'], ['lul', 'kekw', 'pog']];
+    assertPass(train('multiset', changed)[2]);
+    const similar = train('similar', changed)[2];
+    assertSpam(similar, 'emote-train');
+    assert.equal(similar.reached, 3);
+    assertPass(train('similar', changed, 0.8)[2]);
+    assertPass(train('similar', [['kekw', 'pog'], ['lul', 'clap'], ['kekw', 'clap']])[2]);
+});
+
+test('emote dictionary: plain-text emote names count as emotes', () => {
+    const dictionary = new Set(['KEKW', 'Pog']);
+    const engine = makeEngine({}, { emotes: () => dictionary });
+    const verdict = engine.check('alice', 'KEKW KEKW KEKW KEKW nice', [], 0);
+    assertSpam(verdict, 'emote-density');
+    assert.equal(verdict.reached, 0.8);
+    // case-sensitive, and only whole words
+    assertPass(engine.check('bob', 'kekw kekw kekw nice', [], 0));
+    assertSpam(makeEngine({ MAX_EMOTES: 1 }, { emotes: () => dictionary }).check('carol', 'KEKW Pog nice', [], 0), 'emote-limit');
+    assertPass(makeEngine({ MAX_EMOTES: 1 }, { emotes: () => dictionary }).check('carol', 'KEKW, Pog! nice', [], 0));
+    assertPass(makeEngine({ MAX_EMOTES: 1, ENABLE_EMOTE_DICTIONARY: false }, { emotes: () => dictionary }).check('dave', 'KEKW Pog nice', [], 0));
+});
+
+test('emote dictionary: text emotes take part in emote trains', () => {
+    const engine = makeEngine({}, { emotes: () => new Set(['KEKW', 'Pog']) });
+    assertPass(engine.check('alice', 'KEKW Pog', [], 0));
+    assertPass(engine.check('bob', '', ['kekw', 'pog'], 1000));
+    const verdict = engine.check('carol', 'KEKW Pog', [], 2000);
+    assertSpam(verdict, 'emote-train');
+    assert.deepEqual(verdict.trigger, { text: 'kekw|pog', user: 'alice' });
+});
+
+test('scoring mode: near misses add up, a small overshoot alone passes', () => {
+    const engine = makeEngine({ ENABLE_SCORING_MODE: true });
+    // 5 emotes (limit 6) and 62.5% density (limit 60%): 0.83 + 0.78
+    const verdict = engine.check('alice', 'hello there friends', ['a', 'b', 'c', 'd', 'e'], 0);
+    assertSpam(verdict, 'emote-density');
+    assert.deepEqual(verdict.score, {
+        total: 1.61,
+        threshold: 1.5,
+        rules: [
+            { rule: 'emote-limit', score: 0.83, limit: 6, reached: 5 },
+            { rule: 'emote-density', score: 0.78, limit: 0.6, reached: 0.625 }
+        ]
+    });
+    // 7 emotes in a long message: over MAX_EMOTES, but only by 1/6
+    const pass = engine.check('bob', 'that was a really great play from the whole team', ['a', 'b', 'c', 'd', 'e', 'f', 'g'], 0);
+    assert.equal(pass.spam, false);
+    assert.deepEqual(pass.score.rules, [{ rule: 'emote-limit', score: 1.17, limit: 6, reached: 7 }]);
+    assertSpam(makeEngine().check('carol', 'that was a really great play from the whole team', ['a', 'b', 'c', 'd', 'e', 'f', 'g'], 0), 'emote-limit');
+});
+
+test('scoring mode: hits without a value, weights and threshold', () => {
+    const engine = makeEngine({ ENABLE_SCORING_MODE: true }, { keywords: () => [{ pattern: 'free followers', type: 'keyword' }] });
+    const verdict = engine.check('alice', 'get free followers today', [], 0);
+    assertSpam(verdict, 'keyword');
+    assert.equal(verdict.score.total, 2.5);
+    const lenient = makeEngine({ ENABLE_SCORING_MODE: true, SCORE_THRESHOLD: 3 }, { keywords: () => [{ pattern: 'free followers', type: 'keyword' }] });
+    assert.equal(lenient.check('alice', 'get free followers today', [], 0).spam, false);
+    const registry = createRuleRegistry();
+    registry.register({ id: 'heavy', severity: 'low', weight: 0.5, check: (msg) => msg.text.includes('x') });
+    const weighted = makeEngine({ ENABLE_SCORING_MODE: true, SCORE_THRESHOLD: 1 }, { rules: registry });
+    const hit = weighted.check('bob', 'x marks the spot', [], 0);
+    assert.deepEqual(hit.score.rules, [{ rule: 'heavy', score: 1, limit: null, reached: null }]);
+    assert.equal(hit.spam, true);
+    assert.equal(hit.rule, 'heavy');
+});
+
+test('scoring mode: history rules only remember messages that pass', () => {
+    const registry = createRuleRegistry();
+    registry.register({ id: 'no-promo', severity: 'medium', check: (msg) => msg.text.includes('#promo') });
+    const engine = makeEngine({ ENABLE_SCORING_MODE: true }, { rules: registry });
+    const text = '#promo this stream is really fun today';
+    assert.equal(engine.check('alice', text, [], 0).rule, 'no-promo');
+    // alice's message was filtered, so it is no copy/paste source
+    assert.deepEqual(engine.check('bob', text, [], 1000).score.rules.map(part => part.rule), ['no-promo']);
+    assert.equal(engine.check('carol', 'this stream is really fun today', [], 2000).spam, false);
+    const copy = engine.check('dave', 'this stream is really fun today', [], 3000);
+    assertSpam(copy, 'copy-paste');
+    assert.deepEqual(copy.trigger, { text: 'this stream is really fun today', user: 'carol' });
+});
+
+// Model trained with `rounds` spam and not-spam messages
+function trainedBayesModel(rounds = 10) {
+    const model = createBayesModel();
+    for (let i = 0; i < rounds; i++) {
+        trainBayes(model, bayesTokens('cheap viewers and followers at spamsite'), true);
+        trainBayes(model, bayesTokens('nice play, well done team'), false);
+    }
+    return model;
+}
+
+test('bayes classifier: learns from feedback once it has seen enough messages', () => {
+    const model = trainedBayesModel(3);
+    const engine = makeEngine({ ENABLE_BAYES_FILTER: true }, { bayes: () => model });
+    // 3 messages of each kind are below BAYES_MIN_MESSAGES
+    assertPass(engine.check('alice', 'cheap viewers at spamsite', [], 0));
+    Object.assign(model, trainedBayesModel(10));
+    const verdict = engine.check('bob', 'followers, spamsite', [], 1000);
+    assertSpam(verdict, 'bayes');
+    assert.equal(verdict.limit, 0.95);
+    assert.ok(verdict.reached > 0.99);
+    assertPass(engine.check('carol', 'what a nice play', [], 2000));
+    // unknown words leave the probability at 50%
+    assertPass(engine.check('dave', 'completely different words here', [], 3000));
+    assertPass(makeEngine({}, { bayes: () => model }).check('erin', 'cheap viewers at spamsite', [], 0));
+    assertPass(makeEngine({ ENABLE_BAYES_FILTER: true }).check('frank', 'cheap viewers at spamsite', [], 0));
+});
+
+test('bayes classifier: adds to the score as a near miss', () => {
+    const model = trainedBayesModel(10);
+    const engine = makeEngine({ ENABLE_BAYES_FILTER: true, ENABLE_SCORING_MODE: true, BAYES_THRESHOLD: 0.99 }, { bayes: () => model });
+    const verdict = engine.check('alice', 'cheap stuff here', [], 0);
+    assert.equal(verdict.spam, false);
+    assert.deepEqual(verdict.score.rules.map(part => part.rule), ['bayes']);
+    assert.ok(verdict.score.total > 0.75 && verdict.score.total < 1);
+});
+
+test('bayes classifier: tokens, training, top tokens and stored models', () => {
+    assert.deepEqual(bayesTokens('Free FREE followers a bit.ly/x', ['kappa']), ['free', 'followers', 'bit.ly', 'emote:kappa']);
+    assert.deepEqual(bayesTokens('', []), []);
+    const model = createBayesModel();
+    assert.equal(bayesSpamProbability(model, ['free']), 0.5);
+    trainBayes(model, ['free', 'followers'], true);
+    trainBayes(model, ['free', 'gg'], false);
+    assert.deepEqual(model, { spam: 1, ham: 1, tokens: { free: [1, 1], followers: [1, 0], gg: [0, 1] } });
+    assert.equal(bayesSpamProbability(model, ['free']), 0.5);
+    assert.ok(bayesSpamProbability(model, ['followers']) > 0.5);
+    assert.ok(bayesSpamProbability(model, ['gg']) < 0.5);
+
+    const top = topBayesTokens(trainedBayesModel(2), 2);
+    assert.equal(top.spam.length, 2);
+    assert.ok(top.spam.every(entry => entry.weight > 0 && entry.spam === 2 && entry.ham === 0));
+    assert.ok(top.ham.every(entry => entry.weight < 0 && bayesTokens('nice play, well done team').includes(entry.token)));
+    assert.deepEqual(Object.keys(top.spam[0]), ['token', 'weight', 'spam', 'ham']);
+    assert.deepEqual(topBayesTokens(model), { spam: [], ham: [] });
+
+    assert.deepEqual(readBayesModel(JSON.parse(JSON.stringify(model))), model);
+    assert.notEqual(readBayesModel(model).tokens, model.tokens);
+    assert.equal(readBayesModel(null), null);
+    assert.equal(readBayesModel({ spam: -1, ham: 0, tokens: {} }), null);
+    assert.equal(readBayesModel({ spam: 1, ham: 0, tokens: { x: [1] } }), null);
+    assert.deepEqual(readBayesModel(JSON.parse('{"spam":1,"ham":0,"tokens":{"__proto__":[1,0]}}')), { spam: 1, ham: 0, tokens: {} });
+});
+
+test('copy/paste index: exact and similar lookups, expiry', () => {
+    const index = createCopyPasteIndex();
+    const add = (user, text, time) => addToCopyPasteIndex(index, { user, text, raw: text.toUpperCase(), time });
+    add('alice', 'buy cheap followers now', 0);
+    add('bob', 'what a great play by the team', 1000);
+    add('carol', 'buy cheap followers now', 2000);
+    assert.equal(findExactCopy(index, 'buy cheap followers now', 'dave', 3000, 8000).user, 'alice');
+    assert.equal(findExactCopy(index, 'buy cheap followers now', 'alice', 3000, 8000).user, 'carol');
+    assert.equal(findExactCopy(index, 'buy cheap followers now', 'dave', 9000, 8000).user, 'carol');
+    const similar = findSimilarCopy(index, bigramProfile('what a great play by our team'), 'dave', 0.85, 3000, 8000);
+    assert.equal(similar.entry.user, 'bob');
+    assert.equal(similar.score, diceProfiles(bigramProfile('what a great play by the team'), bigramProfile('what a great play by our team')));
+    assert.equal(findSimilarCopy(index, bigramProfile('what a great play by our team'), 'bob', 0.85, 3000, 8000), null);
+    assert.equal(findSimilarCopy(index, bigramProfile('something else entirely'), 'dave', 0.85, 3000, 8000), null);
+
+    expireCopyPasteIndex(index, 9500, 8000);
+    assert.deepEqual(index.entries.map(entry => entry.user), ['carol']);
+    assert.deepEqual(Array.from(index.exact.keys()), ['buy cheap followers now']);
+    assert.equal(findSimilarCopy(index, bigramProfile('what a great play by our team'), 'dave', 0.85, 9500, 8000), null);
+    expireCopyPasteIndex(index, 20000, 8000);
+    assert.equal(index.entries.length, 0);
+    assert.equal(index.exact.size, 0);
+    for (const buckets of index.buckets.values()) assert.equal(buckets.size, 0);
+
+    // lower thresholds need shorter bands to find the same share of similar pairs
+    assert.ok(lshRows(0.95) >= lshRows(0.85) && lshRows(0.85) >= lshRows(0.5));
+    assert.equal(diceProfiles(bigramProfile('night'), bigramProfile('nacht')), 0.25);
+});
+
+test('copy/paste index finds the same messages as comparing all of them', () => {
+    let seed = 1;
+    const random = () => (seed = (Math.imul(seed, 1103515245) + 12345) >>> 0) / 4294967296;
+    const words = 'gg wp lol nice play what was that clip chat is this real no way bro insane aim hello stream'.split(' ');
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const index = createCopyPasteIndex();
+    const all = [];
+    let found = 0;
+    for (let i = 0; i < 400; i++) {
+        let text = Array.from({ length: 4 + Math.floor(random() * 8) }, () => pick(words)).join(' ');
+        if (all.length && random() < 0.3) {
+            const copied = pick(all).text.split(' ');
+            copied[Math.floor(random() * copied.length)] = pick(words);
+            text = copied.join(' ');
+        }
+        const user = `user${i % 50}`;
+        let expected = null;
+        for (const m of all) {
+            const score = m.user === user ? 0 : diceCoefficient(m.text, text);
+            if (score >= 0.85 && (!expected || score > expected.score)) expected = { entry: m, score };
+        }
+        const actual = findSimilarCopy(index, bigramProfile(text), user, 0.85, i, 1000);
+        assert.equal(actual && actual.entry, expected && expected.entry, text);
+        if (expected) found++;
+        const entry = { user, text, raw: text, time: i };
+        addToCopyPasteIndex(index, entry);
+        all.push(entry);
+    }
+    assert.ok(found > 50);
+});
+
+test('engines do not share state', () => {
+    const first = makeEngine();
+    const second = makeEngine();
+    assertPass(first.check('alice', 'check out this cool website', [], 0));
+    assertPass(second.check('bob', 'check out this cool website', [], 1000));
+    assertSpam(first.check('bob', 'check out this cool website', [], 1000), 'copy-paste');
+});
+
+test('injected clock is used when no timestamp is given', () => {
+    let now = 1000;
+    const engine = makeEngine({}, { now: () => now });
+    assertPass(engine.check('alice', 'check out this cool website'));
+    now += DEFAULT_SETTINGS.GLOBAL_COPY_PASTE_WINDOW_MS + 1;
+    assertPass(engine.check('bob', 'check out this cool website'));
+    now += 1;
+    assertSpam(engine.check('carol', 'check out this cool website'), 'copy-paste');
+});
+
+test('config changes apply to the next check', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'one two three four', ['a', 'b', 'c'], 0));
+    engine.config.MAX_EMOTES = 2;
+    assertSpam(engine.check('alice', 'one two three four', ['a', 'b', 'c'], 0), 'emote-limit');
+});
+
+test('reset() forgets the message history', () => {
+    const engine = makeEngine();
+    assertPass(engine.check('alice', 'check out this cool website', [], 0));
+    engine.reset();
+    assertPass(engine.check('bob', 'check out this cool website', [], 1000));
+});
+
+test('verdicts are plain data', () => {
+    const engine = makeEngine();
+    const pass = engine.check('alice', 'hello there', [], 0);
+    assert.deepEqual(pass, { spam: false, rule: null, severity: null, limit: null, reached: null, trigger: null });
+    assert.deepEqual(engine.check('alice', 'HELLO EVERYONE', [], 0),
+        { spam: true, rule: 'uppercase', severity: 'low', limit: 0.7, reached: 1, trigger: null });
+    assert.deepEqual(createVerdict('blocklist'),
+        { spam: true, rule: 'blocklist', severity: 'high', limit: null, reached: null, trigger: null });
+    for (const rule of Object.values(RULES)) {
+        assert.ok(['low', 'medium', 'high'].includes(rule.severity));
+    }
+});
+
+test('built-in rules run in their declared order', () => {
+    const ids = createRuleRegistry().list().map(rule => rule.id);
+    assert.deepEqual(ids, BUILTIN_RULES.slice().sort((a, b) => a.order - b.order).map(rule => rule.id));
+    assert.equal(ids[0], 'blocklist');
+    // 7 emotes in a row: emote-limit (order 10) wins over emote-series (order 30)
+    assert.equal(makeEngine().check('alice', 'one two three four five six', new Array(7).fill('x'), 0).rule, 'emote-limit');
+    for (const rule of BUILTIN_RULES) {
+        for (const key of rule.settings) assert.ok(key in DEFAULT_SETTINGS, `${rule.id}: unknown setting ${key}`);
+    }
+});
+
+test('registry: custom rules, order and runtime switch', () => {
+    const rules = createRuleRegistry();
+    rules.register({ id: 'no-links', order: 5, severity: 'low', check: (msg) => msg.text.includes('http') ? { limit: 0, reached: 1 } : null });
+    const engine = makeEngine({}, { rules });
+    assert.deepEqual(engine.check('alice', 'SEE HTTP LINK', [], 0),
+        { spam: true, rule: 'uppercase', severity: 'low', limit: 0.7, reached: 1, trigger: null });
+    assert.deepEqual(engine.check('alice', 'SEE http LINK', [], 0),
+        { spam: true, rule: 'no-links', severity: 'low', limit: 0, reached: 1, trigger: null });
+    rules.setEnabled('no-links', false);
+    assertPass(engine.check('alice', 'SEE http LINK', [], 0));
+    assert.throws(() => rules.register({ id: 'no-links', severity: 'low', check: () => true }), /already registered/);
+    assert.throws(() => rules.register({ id: 'Bad Id', severity: 'low', check: () => true }), /invalid rule id/);
+    assert.throws(() => rules.register({ id: 'x', severity: 'extreme', check: () => true }), /severity/);
+    assert.equal(rules.unregister('no-links'), true);
+    assert.equal(rules.get('no-links'), undefined);
+});
+
+test('registry: switching a rule off does not affect other registries', () => {
+    const rules = createRuleRegistry();
+    rules.setEnabled('uppercase', false);
+    assertPass(makeEngine({}, { rules }).check('alice', 'HELLO EVERYONE', [], 0));
+    assertSpam(makeEngine().check('alice', 'HELLO EVERYONE', [], 0), 'uppercase');
+});
+
+test('a user or script rule that throws is switched off and reported', () => {
+    const errors = [];
+    const rules = createRuleRegistry();
+    rules.register({ id: 'broken', order: 1, severity: 'high', source: 'script', check: () => { throw new Error('boom'); } });
+    const engine = makeEngine({}, { rules, onRuleError: (rule, error) => errors.push([rule.id, error.message]) });
+    assertPass(engine.check('alice', 'hello there', [], 0));
+    assertPass(engine.check('alice', 'hello again', [], 0));
+    assert.deepEqual(errors, [['broken', 'boom']]);
+    assert.equal(rules.get('broken').enabled, false);
+});
+
+test('a built-in rule that throws only skips that message', () => {
+    const errors = [];
+    const rules = createRuleRegistry(BUILTIN_RULES.concat({ id: 'picky', order: 1, severity: 'high',
+        check: (msg) => { if (msg.user === 'constructor') throw new Error('boom'); return null; } }));
+    const engine = makeEngine({}, { rules, onRuleError: (rule, error) => errors.push([rule.id, error.message]) });
+    assertPass(engine.check('constructor', 'hello there', [], 0));
+    assertSpam(engine.check('alice', 'HELLO EVERYONE', [], 0), 'uppercase');
+    assertPass(engine.check('constructor', 'hello again', [], 0));
+    assert.deepEqual(errors, [['picky', 'boom'], ['picky', 'boom']]);
+    assert.equal(rules.get('picky').enabled, true);
+});
+
+// window.TSF: the browser part only adds saving, the overlay and the log to these
+test('public API: setSetting validates like the overlay', () => {
+    const settings = Object.assign({}, DEFAULT_SETTINGS);
+    assert.equal(setSettingValue(settings, 'MAX_EMOTES', '8'), null);
+    assert.equal(settings.MAX_EMOTES, 8);
+    assert.equal(setSettingValue(settings, 'MAX_EMOTES', 0), 'Invalid value for MAX_EMOTES: allowed range 1-100');
+    assert.equal(setSettingValue(settings, 'MAX_EMOTES', 2.5), `Invalid value for MAX_EMOTES: ${translate('en', 'errWholeNumber')}`);
+    assert.equal(setSettingValue(settings, 'MAX_EMOTES', 'many'), `Invalid value for MAX_EMOTES: ${translate('en', 'errNotANumber')}`);
+    assert.equal(settings.MAX_EMOTES, 8);
+    assert.equal(setSettingValue(settings, 'SIMILARITY_THRESHOLD', '0,9'), null);
+    assert.equal(settings.SIMILARITY_THRESHOLD, 0.9);
+    assert.equal(setSettingValue(settings, 'BLOCK_ALL_LINKS', 'true'), null);
+    assert.equal(settings.BLOCK_ALL_LINKS, true);
+    assert.match(setSettingValue(settings, 'BLOCK_ALL_LINKS', 1), /^Invalid value for BLOCK_ALL_LINKS/);
+    assert.equal(setSettingValue(settings, 'EMOTE_TRAIN_MODE', 'similar'), null);
+    assert.match(setSettingValue(settings, 'EMOTE_TRAIN_MODE', 'fuzzy'), /exact, multiset, similar/);
+    assert.equal(setSettingValue(settings, 'NO_SUCH_SETTING', 1), 'NO_SUCH_SETTING: unknown setting');
+    assert.equal('NO_SUCH_SETTING' in settings, false);
+});
+
+test('public API: registerRule rejects invalid rules and runs valid ones on a frozen copy', () => {
+    const rules = createRuleRegistry();
+    const error = (key, params) => translate('en', key, params);
+    const check = () => true;
+    assert.equal(registerScriptRule(rules, null), error('errRuleCheck'));
+    assert.equal(registerScriptRule(rules, { id: 'promo', check: 'true' }), error('errRuleCheck'));
+    assert.equal(registerScriptRule(rules, { id: 'Bad Id', check }), error('errRuleId'));
+    assert.equal(registerScriptRule(rules, { id: 'user:promo', check }), error('errRuleId'));
+    assert.equal(registerScriptRule(rules, { check }), error('errRuleId'));
+    assert.equal(registerScriptRule(rules, { id: 'uppercase', check }), error('errRuleExists', { id: 'uppercase' }));
+    assert.equal(registerScriptRule(rules, { id: 'promo', severity: 'extreme', check }), error('errRuleSeverity'));
+    assert.equal(registerScriptRule(rules, { id: 'promo', order: '5', check }), `order: ${error('errNotANumber')}`);
+    assert.equal(registerScriptRule(rules, { id: 'promo', order: Infinity, check }), `order: ${error('errNotANumber')}`);
+    assert.equal(rules.get('promo'), undefined);
+
+    let input = null;
+    assert.equal(registerScriptRule(rules, { id: 'promo', check: (msg) => { input = msg; return msg.words.includes('#promo'); } }), null);
+    assert.deepEqual(rules.get('promo') && [rules.get('promo').severity, rules.get('promo').order, rules.get('promo').source], ['medium', 1000, 'script']);
+    assert.equal(registerScriptRule(rules, { id: 'promo', check }), error('errRuleExists', { id: 'promo' }));
+    const engine = makeEngine({}, { rules });
+    assert.deepEqual(engine.check('alice', 'come watch #promo now', [], 0),
+        { spam: true, rule: 'promo', severity: 'medium', limit: null, reached: null, trigger: null });
+    assert.equal(Object.isFrozen(input), true);
+    assert.equal(Object.isFrozen(input.words), true);
+
+    assert.equal(unregisterScriptRule(rules, 'uppercase'), error('errRuleBuiltin', { id: 'uppercase' }));
+    assert.equal(unregisterScriptRule(rules, 'nope'), error('errRuleNotFound', { id: 'nope' }));
+    assert.equal(unregisterScriptRule(rules, 'promo'), null);
+    assertPass(engine.check('bob', 'the #promo starts later', [], 1000));
+});
+
+test('public API: on() passes the event detail until unsubscribed', () => {
+    const target = new EventTarget();
+    const seen = [];
+    const off = onApiEvent(target, 'filtered', (detail) => seen.push(detail.action));
+    const emit = (type, action) => target.dispatchEvent(new CustomEvent(type, { detail: { action } }));
+    emit(TSF_EVENTS.filtered, 'hidden');
+    emit(TSF_EVENTS.passed, 'passed');
+    assert.deepEqual(seen, ['hidden']);
+    off();
+    emit(TSF_EVENTS.filtered, 'marked');
+    assert.deepEqual(seen, ['hidden']);
+    assert.throws(() => onApiEvent(target, 'deleted', () => {}), TypeError);
+    assert.throws(() => onApiEvent(target, 'passed'), TypeError);
+    assert.throws(() => onApiEvent(target, 'toString', () => {}), TypeError);
+});
+
+test('user rules: expressions, snippets and hidden globals', () => {
+    const input = { text: 'free followers here', user: 'alice', emotes: ['kappa'], emoteCount: 1, words: ['free', 'followers', 'here'] };
+    assert.equal(compileUserRule('/free followers/i.test(text)')(input), true);
+    assert.equal(compileUserRule('const n = words.length;\nreturn n > 2 && emotes[0] === "kappa";')(input), true);
+    assert.equal(compileUserRule('typeof window === "undefined" && typeof globalThis === "undefined" && typeof Function === "undefined"')(input), true);
+    assert.throws(() => compileUserRule('text.includes('), SyntaxError);
+    // "return" inside an expression does not make it a snippet
+    assert.equal(compileUserRule('/return shipping/i.test(text)')({ ...input, text: 'free Return Shipping' }), true);
+    assert.equal(compileUserRule('text === "return"')({ ...input, text: 'return' }), true);
+    assert.equal(compileUserRule('text.length > 5 // long enough')(input), true);
+    assert.equal(compileUserRule('if (words.length > 2) return true;\nreturn false;')(input), true);
+
+    const rules = createRuleRegistry();
+    rules.register(createUserRule({ id: 'buy', label: 'Sells followers', code: '/free followers/i.test(text)', severity: 'high', order: 1000 }));
+    const engine = makeEngine({}, { rules });
+    assert.deepEqual(engine.check('alice', 'get FREE followers now', [], 0),
+        { spam: true, rule: 'user:buy', severity: 'high', limit: null, reached: null, trigger: null });
+    assertPass(engine.check('bob', 'nice stream today', [], 0));
+    rules.register(createUserRule({ id: 'off', code: 'true', severity: 'low', order: 1, enabled: false }));
+    assertPass(engine.check('carol', 'what a game', [], 0));
+});
+
+test('blocked terms: types and case sensitivity', () => {
+    const matches = (entry, text) => compileKeyword(entry).test(text);
+    assert.equal(matches({ pattern: 'follow', type: 'keyword' }, 'FREE FOLLOWERS'), true);
+    assert.equal(matches({ pattern: 'follow', type: 'keyword', caseSensitive: true }, 'FREE FOLLOWERS'), false);
+    assert.equal(matches({ pattern: 'a.b', type: 'keyword' }, 'axb'), false);
+    assert.equal(matches({ pattern: 'free', type: 'word' }, 'get free vbucks'), true);
+    assert.equal(matches({ pattern: 'free', type: 'word' }, 'freedom'), false);
+    assert.equal(matches({ pattern: 'über', type: 'word' }, 'Über alles'), true);
+    assert.equal(matches({ pattern: 'vbuck*', type: 'wildcard' }, 'cheap VBUCKS here'), true);
+    assert.equal(matches({ pattern: 'c?sh', type: 'wildcard' }, 'cash'), true);
+    assert.equal(matches({ pattern: 'c?sh', type: 'wildcard' }, 'crash'), false);
+    assert.equal(matches({ pattern: 'c?sh', type: 'wildcard' }, 'cashback'), false);
+    assert.equal(matches({ pattern: '\\bbuy\\s+viewers\\b', type: 'regex' }, 'Buy  viewers'), true);
+    assert.throws(() => compileKeyword({ pattern: '(unclosed', type: 'regex' }), SyntaxError);
+});
+
+test('blocked terms: expired entries are skipped', () => {
+    const entries = [{ pattern: 'spam', type: 'keyword', expires: 1000 }, { pattern: 'spa', type: 'keyword', expires: null }];
+    assert.equal(findKeyword(entries, 'spam', 999).entry, entries[0]);
+    assert.deepEqual(findKeyword(entries, 'spam', 1000), { entry: entries[1], match: 'spa' });
+    assert.equal(findKeyword(entries, 'hello', 0), null);
+});
+
+test('blocked terms: verdict names the pattern and the match, before other rules', () => {
+    const keywords = [{ pattern: 'free\\s+\\w+', type: 'regex', caseSensitive: false, expires: null }];
+    const engine = makeEngine({}, { keywords: () => keywords });
+    const verdict = engine.check('alice', 'get FREE followers', ['A', 'B', 'C', 'D', 'E', 'F', 'G'], 0);
+    assertSpam(verdict, 'keyword');
+    assert.deepEqual(verdict.trigger, { text: 'FREE followers', user: null, pattern: 'free\\s+\\w+' });
+    assertPass(engine.check('bob', 'freedom', [], 0));
+    assertPass(makeEngine().check('carol', 'get free followers', [], 0));
+});
+
+test('blocked terms: slow regex checks', () => {
+    assert.equal(hasNestedQuantifier('(a+)+$'), true);
+    assert.equal(hasNestedQuantifier('(\\w*)*x'), true);
+    assert.equal(hasNestedQuantifier('(ab|cd){2,}'), false);
+    assert.equal(hasNestedQuantifier('\\(a+\\)+'), false);
+    assert.equal(hasNestedQuantifier('free\\s+\\w+'), false);
+    const inputs = regexStressInputs('(x+)+y', 10);
+    assert.ok(inputs.includes('xxxxxxxxxx!'));
+    assert.ok(inputs.every(s => s.length === 11));
+});
+
+test('links: plain, disguised and from link elements', () => {
+    const domains = (text, hrefs) => findLinks(text, hrefs).map(link => `${link.domain}${link.obfuscated ? '*' : ''}`);
+    assert.deepEqual(domains('see https://clips.twitch.tv/abc and www.Example.com/x'), ['clips.twitch.tv', 'example.com']);
+    assert.deepEqual(domains('cheap viewers at xyz dot com'), ['xyz.com*']);
+    assert.deepEqual(domains('buy at best-followers [.] net'), ['best-followers.net*']);
+    assert.deepEqual(domains('c h e a p v i e w s . c o m'), ['cheapviews.com*']);
+    assert.deepEqual(domains('x y z punkt de'), ['xyz.de*']);
+    assert.deepEqual(domains('shortened', ['https://evil.com/p']), ['evil.com']);
+    // no links: sentence ends, abbreviations, TLDs that are words, mail addresses
+    assert.deepEqual(domains('nice. com is great, ok.so what, e.g. this, mail a@b.com'), []);
+});
+
+test('links: domain normalization and lists', () => {
+    assert.equal(normalizeDomain('https://WWW.Example.com:8080/x?y=1'), 'example.com');
+    assert.equal(normalizeDomain('bücher.de'), 'xn--bcher-kva.de');
+    assert.equal(normalizeDomain('1.2.3.4'), '');
+    assert.equal(normalizeDomain('not a domain'), '');
+    assert.equal(domainListed('m.youtube.com', ['youtube.com']), true);
+    assert.equal(domainListed('notyoutube.com', ['youtube.com']), false);
+});
+
+test('links: denied and disguised links, all links only when switched on', () => {
+    const domains = () => ({ allow: ['youtube.com'], deny: ['evil.com'] });
+    const engine = makeEngine({}, { domains });
+    const denied = engine.check('alice', 'go to sub.evil.com', [], 0);
+    assertSpam(denied, 'link');
+    assert.deepEqual(denied.trigger, { text: 'sub.evil.com', user: null, domain: 'sub.evil.com', denied: true });
+    assert.equal(engine.check('bob', 'cheap viewers at xyz dot com', [], 0).trigger.denied, false);
+    assertPass(engine.check('carol', 'watch youtube dot com/abc', [], 0));
+    assertPass(engine.check('dave', 'see https://other.net', [], 0));
+    assertSpam(engine.check('erin', 'text', [], 0, { links: ['https://evil.com/x'] }), 'link');
+
+    const strict = makeEngine({ BLOCK_ALL_LINKS: true }, { domains });
+    assertSpam(strict.check('dave', 'see https://other.net', [], 0), 'link-any');
+    assertPass(strict.check('frank', 'https://www.youtube.com/watch?v=1', [], 0));
+});
+
+test('first-time chatters: stricter settings and tagged verdicts', () => {
+    const engine = makeEngine();
+    const codes = ['a', 'b', 'c', 'd'];
+    assertPass(engine.check('alice', 'one two three four five', codes, 0));
+    const verdict = engine.check('bob', 'one two three four five', codes, 0, { firstTime: true });
+    assertSpam(verdict, 'emote-limit');
+    assert.equal(verdict.limit, 3);
+    assert.equal(verdict.firstTime, true);
+    assertSpam(engine.check('carol', 'see https://example.com/x', [], 0, { firstTime: true }), 'link-any');
+    assertPass(engine.check('dave', 'see https://youtu.be/abc', [], 0, { firstTime: true }));
+    assertPass(makeEngine({ ENABLE_FIRST_TIME_RULES: false }).check('bob', 'one two three four five', codes, 0, { firstTime: true }));
+    assert.equal(engine.check('erin', 'hello there', [], 0, { firstTime: true }).firstTime, undefined);
+    // a stricter normal setting is kept
+    const strict = firstTimeConfig(Object.assign({}, DEFAULT_SETTINGS, { MAX_EMOTES: 2, SIMILARITY_THRESHOLD: 0.7 }));
+    assert.equal(strict.MAX_EMOTES, 2);
+    assert.equal(strict.SIMILARITY_THRESHOLD, 0.7);
+    assert.equal(strict.BLOCK_ALL_LINKS, true);
+});
+
+test('first-time chatters: allowlisted domains still pass the link block', () => {
+    const domains = () => ({ allow: ['clips.twitch.tv'], deny: ['evil.com'] });
+    const engine = makeEngine({ BLOCK_ALL_LINKS: false }, { domains });
+    assertPass(engine.check('alice', 'see https://clips.twitch.tv/abc', [], 0, { firstTime: true }));
+    assertSpam(engine.check('bob', 'see https://youtu.be/abc', [], 0, { firstTime: true }), 'link-any');
+    assertPass(engine.check('carol', 'see https://youtu.be/abc', [], 0));
+    assertSpam(engine.check('dave', 'see https://evil.com/abc', [], 0, { firstTime: true }), 'link');
+    assertSpam(makeEngine({ FIRST_TIME_BLOCK_LINKS: false }, { domains }).check('erin', 'see https://evil.com', [], 0, { firstTime: true }), 'link');
+});
+
+test('normalization: invisible characters, stylized alphabets and look-alikes', () => {
+    const S = String.fromCodePoint;
+    assert.deepEqual(normalizeText('plain text'), { text: 'plain text', removed: 0, folded: 0 });
+    assert.deepEqual(normalizeText('fr\u200Bee fol\u200Dlowers \u{E0000}'), { text: 'free followers', removed: 3, folded: 0 });
+    assert.equal(normalizeText('\uFF26\uFF32\uFF25\uFF25').text, 'FREE');
+    assert.equal(normalizeText(S(0x1D407, 0x1D41E, 0x1D425, 0x1D425, 0x1D428)).text, 'Hello');
+    assert.equal(normalizeText('\u24D5\u24E1\u24D4\u24D4 ' + S(0x1F175, 0x1F181)).text, 'free FR');
+    assert.equal(normalizeText('\u1D04\u029C\u1D07\u1D00\u1D18').text, 'cheap');
+    // Cyrillic e and o inside Latin words
+    assert.deepEqual(normalizeText('fr\u0435\u0435 f\u043Ellowers'), { text: 'free followers', removed: 0, folded: 3 });
+    // real Cyrillic words, emoji sequences and symbols stay
+    assert.equal(normalizeText('\u041F\u0440\u0438\u0432\u0435\u0442').text, '\u041F\u0440\u0438\u0432\u0435\u0442');
+    assert.equal(normalizeText('\u2764\uFE0F \u{1F468}\u200D\u{1F469}').text, '\u2764\uFE0F \u{1F468}\u200D\u{1F469}');
+    assert.equal(normalizeText('x\u00B2 \u2122').text, 'x\u00B2 \u2122');
+});
+
+test('normalization runs before all rules and is reported', () => {
+    const changed = [];
+    const engine = makeEngine({}, { onNormalize: (user, original, result) => changed.push([user, result.text]) });
+    assertPass(engine.check('alice', 'buy followers cheap today', [], 0));
+    assertSpam(engine.check('bob', 'buy f\u200Bollowers ch\u0435ap today', [], 1), 'copy-paste');
+    assertSpam(engine.check('carol', '\uFF22\uFF35\uFF39 \uFF2E\uFF2F\uFF37', [], 2), 'uppercase');
+    assert.deepEqual(changed, [['bob', 'buy followers cheap today'], ['carol', 'BUY NOW']]);
+});
+
+test('helpers', () => {
+    assert.deepEqual(findMentions('@Bob hi @bob, @carol_99! mail@example.com @@x @ab'), ['bob', 'carol_99']);
+    assert.equal(diceCoefficient('night', 'night'), 1);
+    assert.equal(diceCoefficient('night', 'nacht'), 0.25);
+    assert.equal(diceCoefficient('', 'nacht'), 0);
+    assert.equal(similarityScoreClean('abc', 'abc'), 1);
+    assert.equal(mostCommonRunLength(['a', 'a', 'b', 'b', 'b', 'a']), 3);
+    assert.equal(mostCommonRunLength([]), 0);
+    assert.equal(emoteSignature([' Kappa', 'POG', '']), 'kappa|pog');
+    assert.equal(emoteSignature(new Array(20).fill('x')).split('|').length, 12);
+    assert.equal(emoteSignature(['Pog', 'kappa', 'Pog'], true), 'kappa|pog|pog');
+    const wall = ['pog', 'kekw', 'lul', 'clap', 'kappa', 'omegalul', 'pepega', 'monkas', 'sadge', 'copium', 'ez', 'gg', 'hype', 'wave'];
+    assert.equal(emoteSignature(wall, true), emoteSignature(wall.slice().reverse(), true));
+    assert.notEqual(emoteSignature(wall), emoteSignature(wall.slice().reverse()));
+    assert.equal(emoteSignatureSimilarity('kekw|kekw|pog', 'kekw|pog'), 2 / 3);
+    assert.equal(emoteSignatureSimilarity('kekw|lul|pog', 'clap|kekw|lul|pog'), 0.75);
+    assert.equal(emoteSignatureSimilarity('kekw', 'pog'), 0);
+    assert.equal(emoteSignatureSimilarity('', 'pog'), 0);
+    assert.deepEqual(uppercaseRatio('HELLO 123'), { letters: 5, upper: 5, ratio: 1 });
+    assert.deepEqual(uppercaseRatio('Hello'), { letters: 5, upper: 1, ratio: 0.2 });
+    assert.deepEqual(uppercaseRatio('123 漢字'), { letters: 0, upper: 0, ratio: 0 });
+    assert.deepEqual(uppercaseRatio('Straße @Bob Kappa', ['kappa']), { letters: 6, upper: 1, ratio: 1 / 6 });
+    assert.equal(hasExcessiveRepetition('aaaa', 4), false);
+    assert.equal(hasExcessiveRepetition('aaaaa', 4), true);
+    assert.equal(longestCharRun('abbbcc'), 3);
+    assert.equal(longestCharRun(''), 0);
+    assert.equal(longestMarkStack('a\u0301\u0302b\u0303'), 2);
+    assert.equal(longestMarkStack('plain'), 0);
+    assert.equal(stripCombiningMarks('t\u0338\u0321h\u0337i\u0335s cafe\u0301'), 'this caf\u00E9');
+    assert.equal(splitGraphemes('a\u{1F44D}\u{1F3FD}e\u0301').length, 3);
+    assert.equal(longestCharRun('\u{1F602}\u{1F602}\u{1F602}'), 3);
+    assert.deepEqual(detectRepeatedWord('Hi xd XD xd, bye'), { repeats: 3, word: 'xd' });
+    assert.deepEqual(detectRepeatedWord(''), { repeats: 0, word: null });
+    assert.equal(isEmoteName('KEKW'), true);
+    assert.equal(isEmoteName('K'), false);
+    assert.equal(isEmoteName('two words'), false);
+    assert.deepEqual(readEmoteNames(['KEKW', 'KEKW', 'x', { code: 'LULW' }]), ['KEKW', 'LULW']);
+    assert.deepEqual(readEmoteNames({ emote_set: { name: 'Personal', emotes: [{ name: 'Pog' }] } }), ['Pog']);
+    assert.deepEqual(readEmoteNames({ sets: { 42: { title: 'Channel', emoticons: [{ name: 'monkaS' }] } } }), ['monkaS']);
+    assert.deepEqual(readEmoteNames({ channelEmotes: [{ code: 'catJAM' }], sharedEmotes: [{ code: 'PepeLaugh' }] }), ['catJAM', 'PepeLaugh']);
+    assert.deepEqual(readEmoteNames({ settings: {} }), []);
+    assert.deepEqual(findTextEmotes('hi KEKW  there KEKW', new Set(['KEKW'])), { text: 'hi there', emoteCodes: ['kekw', 'kekw'] });
+    assert.deepEqual(findTextEmotes('hi there', null), { text: 'hi there', emoteCodes: [] });
+    assert.deepEqual(detectRepeatedPhraseSpam('one two three four one two three four one two three four', DEFAULT_SETTINGS), { repeats: 3, phraseWords: 4, start: 0, limit: 3 });
+    assert.deepEqual(detectRepeatedPhraseSpam('hi ' + 'a b c '.repeat(6), DEFAULT_SETTINGS), { repeats: 6, phraseWords: 3, start: 1, limit: 6 });
+    assert.equal(detectRepeatedPhraseSpam('hi ' + 'a b c '.repeat(5), DEFAULT_SETTINGS), null);
+    assert.equal(detectRepeatedPhraseSpam('one two three four five six seven eight nine ten eleven twelve', DEFAULT_SETTINGS), null);
+});